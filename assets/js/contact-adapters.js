@@ -0,0 +1,74 @@
+const REQUEST_TIMEOUT = 10000;
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+export const MOCK_ENDPOINT = '/__plugo/submit';
+
+export class SubmitError extends Error {
+  constructor(message, { retryable = false, status = null } = {}) {
+    super(message);
+    this.name = 'SubmitError';
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+export function createHttpAdapter({ endpoint, headers = {} }) {
+  return {
+    name: 'http',
+    queueable: true,
+    async submit(payload) {
+      let response;
+      try {
+        response = await fetch(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+          body: JSON.stringify(payload),
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+        });
+      } catch (error) {
+        throw new SubmitError(`Could not reach ${endpoint}: ${error.message}`, { retryable: true });
+      }
+      if (!response.ok) {
+        throw new SubmitError(`${endpoint} answered ${response.status}`, {
+          retryable: RETRYABLE_STATUSES.has(response.status),
+          status: response.status
+        });
+      }
+    }
+  };
+}
+
+export function createMailtoAdapter({ address, subject = 'Contact depuis le portfolio' }) {
+  return {
+    name: 'mailto',
+    queueable: false,
+    async submit({ name, email, message }) {
+      const params = new URLSearchParams({ subject, body: `${message}\n\n${name} <${email}>` });
+      window.location.href = `mailto:${address}?${params.toString().replace(/\+/g, '%20')}`;
+    }
+  };
+}
+
+export function createMockAdapter({ endpoint = MOCK_ENDPOINT } = {}) {
+  return { ...createHttpAdapter({ endpoint }), name: 'mock' };
+}
+
+function isDevServer() {
+  return document.querySelector('script[data-plugo-dev]') !== null;
+}
+
+export function createSubmitAdapter({ adapter, endpoint, mailto } = {}) {
+  const name = adapter || (isDevServer() ? 'mock' : endpoint ? 'http' : 'mailto');
+  if (name === 'http') {
+    if (!endpoint) throw new Error('The http submit adapter needs an endpoint');
+    return createHttpAdapter({ endpoint });
+  }
+  if (name === 'mailto') {
+    if (!mailto) throw new Error('The mailto submit adapter needs an address');
+    return createMailtoAdapter({ address: mailto });
+  }
+  if (name === 'mock') {
+    return createMockAdapter();
+  }
+  throw new Error(`Unknown submit adapter "${name}", expected http, mailto or mock`);
+}
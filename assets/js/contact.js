@@ -0,0 +1,184 @@
+import { cls } from '../../microframework/js/classes.js';
+import { SubmitError, createMailtoAdapter, createSubmitAdapter } from './contact-adapters.js';
+
+const QUEUE_KEY = 'portfolio-contact-queue';
+const SENT_KEY = 'portfolio-contact-sent';
+const MAX_QUEUED = 10;
+const MAX_ATTEMPTS = 5;
+const MIN_FILL_TIME = 3000;
+const RATE_LIMIT = { max: 3, window: 60 * 60 * 1000, cooldown: 30 * 1000 };
+
+const STATUS_CLASSES = {
+  success: 'form-status alert alert-success',
+  warning: 'form-status alert alert-warning',
+  danger: 'form-status alert alert-danger'
+};
+
+const MESSAGES = {
+  sending: 'Envoi en cours…',
+  sent: 'Merci, votre message a bien été envoyé. Je vous réponds sous 48 h.',
+  mailto: 'Votre messagerie s\'est ouverte avec le message prêt à être envoyé.',
+  queued: 'Le message n\'a pas pu partir pour l\'instant : il est enregistré sur cet appareil et sera renvoyé automatiquement.',
+  pending: (count) => `${count} message${count > 1 ? 's' : ''} en attente d'envoi, nouvel essai au retour de la connexion.`,
+  flushed: 'Votre message en attente a bien été envoyé.',
+  dropped: 'Un message en attente n\'a pas pu être envoyé. Écrivez-moi directement à l\'adresse indiquée.',
+  limited: (minutes) => `Vous avez envoyé plusieurs messages récemment. Réessayez dans ${minutes} minute${minutes > 1 ? 's' : ''}.`,
+  failed: 'L\'envoi a échoué. Réessayez plus tard ou écrivez-moi directement à l\'adresse indiquée.'
+};
+
+function readList(key) {
+  try {
+    const value = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(value) ? value : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeList(key, list) {
+  try {
+    localStorage.setItem(key, JSON.stringify(list));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function checkRateLimit(now = Date.now()) {
+  const recent = readList(SENT_KEY).filter((time) => now - time < RATE_LIMIT.window);
+  if (recent.length >= RATE_LIMIT.max) {
+    return { allowed: false, retryAt: recent[0] + RATE_LIMIT.window };
+  }
+  const last = recent[recent.length - 1];
+  if (last && now - last < RATE_LIMIT.cooldown) {
+    return { allowed: false, retryAt: last + RATE_LIMIT.cooldown };
+  }
+  return { allowed: true, retryAt: now };
+}
+
+function recordSent(now = Date.now()) {
+  writeList(SENT_KEY, [...readList(SENT_KEY).filter((time) => now - time < RATE_LIMIT.window), now]);
+}
+
+function enqueue(payload) {
+  const item = { id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, payload, attempts: 0 };
+  return writeList(QUEUE_KEY, [...readList(QUEUE_KEY), item].slice(-MAX_QUEUED));
+}
+
+let flushing = null;
+
+export function flushQueue(adapter) {
+  if (flushing) return flushing;
+  flushing = (async () => {
+    const queue = readList(QUEUE_KEY);
+    const result = { sent: 0, dropped: 0, pending: queue.length };
+    if (!queue.length || !navigator.onLine) return result;
+
+    const remaining = [];
+    for (const item of queue) {
+      try {
+        await adapter.submit(item.payload);
+        result.sent += 1;
+      } catch (error) {
+        const attempts = item.attempts + 1;
+        if (error instanceof SubmitError && error.retryable && attempts < MAX_ATTEMPTS) {
+          remaining.push({ ...item, attempts });
+        } else {
+          result.dropped += 1;
+        }
+      }
+    }
+    const added = readList(QUEUE_KEY).filter((item) => !queue.some((queued) => queued.id === item.id));
+    writeList(QUEUE_KEY, [...remaining, ...added]);
+    return { ...result, pending: remaining.length + added.length };
+  })().finally(() => {
+    flushing = null;
+  });
+  return flushing;
+}
+
+export function initContactForm(form, { adapter = createSubmitAdapter(form.dataset) } = {}) {
+  const status = form.querySelector('.form-status');
+  const button = form.querySelector('[type="submit"]');
+  const label = button.textContent;
+  const fallback = adapter.name !== 'mailto' && form.dataset.mailto ? createMailtoAdapter({ address: form.dataset.mailto }) : null;
+  let startedAt = null;
+  let busy = false;
+
+  function setStatus(kind, message) {
+    status.className = cls(STATUS_CLASSES[kind]);
+    status.textContent = message;
+    status.hidden = false;
+  }
+
+  function setBusy(value) {
+    busy = value;
+    button.disabled = value;
+    button.textContent = value ? MESSAGES.sending : label;
+    form.setAttribute('aria-busy', String(value));
+  }
+
+  function reportFlush({ sent, dropped, pending }) {
+    if (dropped) setStatus('danger', MESSAGES.dropped);
+    else if (sent) setStatus('success', MESSAGES.flushed);
+    else if (pending) setStatus('warning', MESSAGES.pending(pending));
+  }
+
+  async function deliver(payload) {
+    if (adapter.queueable && !navigator.onLine) {
+      throw new SubmitError('The browser is offline', { retryable: true });
+    }
+    await adapter.submit(payload);
+    return adapter.name === 'mailto' ? MESSAGES.mailto : MESSAGES.sent;
+  }
+
+  form.addEventListener('focusin', () => {
+    startedAt = Date.now();
+  }, { once: true });
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    if (busy) return;
+    const data = new FormData(form);
+    if (data.get('website') || startedAt === null || Date.now() - startedAt < MIN_FILL_TIME) {
+      form.reset();
+      setStatus('success', MESSAGES.sent);
+      return;
+    }
+    const limit = checkRateLimit();
+    if (!limit.allowed) {
+      setStatus('danger', MESSAGES.limited(Math.ceil((limit.retryAt - Date.now()) / 60000)));
+      return;
+    }
+
+    const payload = {
+      name: String(data.get('name')).trim(),
+      email: String(data.get('email')).trim(),
+      message: String(data.get('message')).trim(),
+      sentAt: new Date().toISOString()
+    };
+    setBusy(true);
+    try {
+      setStatus('success', await deliver(payload));
+      recordSent();
+      form.reset();
+    } catch (error) {
+      if (adapter.queueable && error instanceof SubmitError && error.retryable && enqueue(payload)) {
+        recordSent();
+        form.reset();
+        setStatus('warning', MESSAGES.queued);
+      } else if (fallback) {
+        await fallback.submit(payload);
+        recordSent();
+        setStatus('success', MESSAGES.mailto);
+      } else {
+        setStatus('danger', MESSAGES.failed);
+      }
+    } finally {
+      setBusy(false);
+    }
+  });
+
+  window.addEventListener('online', () => flushQueue(adapter).then(reportFlush));
+  flushQueue(adapter).then(reportFlush);
+}
@@ -0,0 +1,67 @@
+import { matchFields, searchTerms } from './search.js';
+
+export const DEFAULT_FILTERS = { q: '', type: 'all', tags: [], sort: 'featured' };
+
+const collator = new Intl.Collator('fr', { sensitivity: 'base' });
+
+export const SORTS = {
+  featured: () => 0,
+  date: (a, b) => b.date.localeCompare(a.date),
+  title: (a, b) => collator.compare(a.title, b.title)
+};
+
+export function readFilters(search, { types = [], tags = [] } = {}) {
+  const params = new URLSearchParams(search);
+  const type = params.get('type');
+  const sort = params.get('sort');
+  return {
+    q: params.get('q') || '',
+    type: types.includes(type) ? type : DEFAULT_FILTERS.type,
+    tags: Array.from(new Set(params.getAll('tag'))).filter((tag) => tags.includes(tag)),
+    sort: Object.hasOwn(SORTS, sort) ? sort : DEFAULT_FILTERS.sort
+  };
+}
+
+export function filtersToQuery(filters) {
+  const params = new URLSearchParams();
+  if (filters.q.trim()) params.set('q', filters.q.trim());
+  if (filters.type !== DEFAULT_FILTERS.type) params.set('type', filters.type);
+  filters.tags.forEach((tag) => params.append('tag', tag));
+  if (filters.sort !== DEFAULT_FILTERS.sort) params.set('sort', filters.sort);
+  return params.toString();
+}
+
+export function projectFacets(projects) {
+  return {
+    types: Array.from(new Set(projects.map((project) => project.type))),
+    tags: Array.from(new Set(projects.flatMap((project) => project.tags))).sort(collator.compare)
+  };
+}
+
+export function applyFilters(projects, filters) {
+  const terms = searchTerms(filters.q);
+  const results = projects
+    .filter((project) => filters.type === 'all' || project.type === filters.type)
+    .filter((project) => filters.tags.every((tag) => project.tags.includes(tag)))
+    .map((project) => ({
+      project,
+      matches: matchFields({
+        title: project.title,
+        type: project.type,
+        role: project.role,
+        description: project.description,
+        tags: project.tags
+      }, terms)
+    }))
+    .filter(({ matches }) => matches)
+    .sort((a, b) => SORTS[filters.sort](a.project, b.project));
+
+  const counts = new Map();
+  results.forEach(({ project }) => project.tags.forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1)));
+  const facets = projectFacets(projects).tags.map((tag) => ({
+    tag,
+    count: counts.get(tag) || 0,
+    selected: filters.tags.includes(tag)
+  }));
+  return { results, facets };
+}
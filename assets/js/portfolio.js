@@ -1,24 +1,45 @@
-const nav = document.querySelector('.nav');
-const burger = document.querySelector('.burger');
+import { cls } from '../../microframework/js/classes.js';
+import { initForms } from '../../microframework/js/form.js';
+import { closeModal, initModals, openModal } from '../../microframework/js/modal.js';
+import { initNavbar } from '../../microframework/js/navbar.js';
+import { initContactForm } from './contact.js';
+import { DEFAULT_FILTERS, applyFilters, filtersToQuery, projectFacets, readFilters } from './filters.js';
+import { parseProjects } from './projects.js';
+import { createHashRouter } from './router.js';
+import { highlight } from './search.js';
+import { html, renderInto, toElement } from './template.js';
+
 const themeToggle = document.querySelector('.theme-toggle');
 const projectsGrid = document.getElementById('projectsGrid');
 const searchInput = document.getElementById('search');
 const typeFilter = document.getElementById('typeFilter');
+const sortOrder = document.getElementById('sortOrder');
+const tagFacets = document.getElementById('tagFacets');
+const resultsSummary = document.getElementById('resultsSummary');
+const projectDialog = document.getElementById('projectDialog');
+const projectDialogTitle = document.getElementById('projectDialogTitle');
+const projectDialogBody = document.getElementById('projectDialogBody');
+const projectPosition = document.getElementById('projectPosition');
+const previousProject = document.getElementById('previousProject');
+const nextProject = document.getElementById('nextProject');
+
+const SEARCH_DELAY = 200;
 
 const state = {
   projects: [],
   filtered: [],
+  skipped: 0,
+  notice: null,
+  filters: { ...DEFAULT_FILTERS },
+  facets: { types: [], tags: [] },
+  lastChange: null,
+  opener: null,
+  openedFromList: false,
   theme: 'light'
 };
 
 function applyTheme(theme) {
   document.body.setAttribute('data-theme', theme);
-  document.body.classList.remove('bg-primary-light', 'text-primary-dark', 'bg-primary-dark', 'text-primary-light');
-  if (theme === 'dark') {
-    document.body.classList.add('bg-primary-dark', 'text-primary-light');
-  } else {
-    document.body.classList.add('bg-primary-light', 'text-primary-dark');
-  }
   themeToggle.textContent = theme === 'dark' ? 'Mode clair' : 'Mode sombre';
   localStorage.setItem('portfolio-theme', theme);
   state.theme = theme;
@@ -33,16 +54,6 @@ function loadTheme() {
   }
 }
 
-function toggleNav() {
-  const isOpen = nav.classList.toggle('is-open');
-  burger.setAttribute('aria-expanded', isOpen);
-}
-
-function closeNav() {
-  nav.classList.remove('is-open');
-  burger.setAttribute('aria-expanded', 'false');
-}
-
 function smoothScrollSetup() {
   document.querySelectorAll('a[href^="#"]').forEach((link) => {
     link.addEventListener('click', (event) => {
@@ -50,82 +61,212 @@ function smoothScrollSetup() {
       if (target) {
         event.preventDefault();
         target.scrollIntoView({ behavior: 'smooth' });
-        closeNav();
       }
     });
   });
 }
 
-function createProjectCard(project) {
-  const card = document.createElement('article');
-  card.className = 'card flex flex-col gap-2 reveal col-12 sm:col-6 lg:col-4';
-  card.dataset.type = project.type;
+const dateFormat = new Intl.DateTimeFormat('fr-FR', { month: 'long', year: 'numeric' });
 
-  const header = document.createElement('div');
-  header.className = 'project-header flex items-center justify-between gap-2';
-  header.innerHTML = `<h3 class="m-0">${project.title}</h3><p class="m-0 project-type">${project.type}</p>`;
+function projectImage(image, className) {
+  return html`<img class="${cls(className)}" src="${image.src}"${image.srcset ? html` srcset="${image.srcset}" sizes="${image.sizes}"` : ''} alt="${image.alt}" loading="lazy" decoding="async">`;
+}
 
-  const meta = document.createElement('div');
-  meta.className = 'project-meta flex flex-wrap gap-2';
-  meta.innerHTML = project.tags.map((tag) => `<span class="btn btn-secondary m-0">${tag}</span>`).join('');
+function projectCover(cover) {
+  return cover ? projectImage(cover, 'img-responsive project-cover') : '';
+}
 
-  const description = document.createElement('p');
-  description.className = 'project-description m-0';
-  description.textContent = project.description;
+function projectGallery(gallery) {
+  if (!gallery.length) return '';
+  return html`<ul class="${cls('project-gallery')}" aria-label="Galerie">
+    ${gallery.map((image) => html`<li><figure class="${cls('m-0')}">${projectImage(image, 'img-responsive')}${image.caption ? html`<figcaption>${image.caption}</figcaption>` : ''}</figure></li>`)}
+  </ul>`;
+}
 
-  const toggle = document.createElement('button');
-  toggle.type = 'button';
-  toggle.className = 'btn btn-secondary';
-  toggle.textContent = 'En savoir plus';
-  toggle.addEventListener('click', () => {
-    description.classList.toggle('is-visible');
-    toggle.textContent = description.classList.contains('is-visible') ? 'Masquer' : 'En savoir plus';
-  });
+function projectDetails(project, matches = {}) {
+  return html`<time datetime="${project.date}">${dateFormat.format(new Date(project.date))}</time>${project.role ? html` · ${highlight(project.role, matches.role)}` : ''}`;
+}
+
+function projectTags(project, matches = {}) {
+  return html`${project.featured ? html`<span class="${cls('badge badge-success badge-solid')}">À la une</span>` : ''}
+      ${project.tags.map((tag, index) => html`<span class="${cls('badge badge-primary')}">${highlight(tag, matches[`tags.${index}`])}</span>`)}`;
+}
 
-  card.append(header, meta, toggle, description);
-  return card;
+function projectLinks(project) {
+  const links = [
+    project.repository && html`<a class="${cls('btn btn-sm btn-secondary')}" href="${project.repository}" target="_blank" rel="noopener noreferrer">Code source</a>`,
+    project.live && html`<a class="${cls('btn btn-sm')}" href="${project.live}" target="_blank" rel="noopener noreferrer">Voir le site</a>`
+  ].filter(Boolean);
+  return links.length ? html`<div class="${cls('project-links flex flex-wrap gap-2')}">${links}</div>` : '';
 }
 
-function renderProjects(projects) {
-  projectsGrid.innerHTML = '';
-  if (!projects.length) {
-    projectsGrid.innerHTML = '<p>Aucun projet trouvé.</p>';
+function projectCardTemplate(project, matches = {}) {
+  return html`<article class="${cls('card flex flex-col gap-2 reveal col-12 sm:col-6 lg:col-4')}" data-type="${project.type}" data-slug="${project.slug}">
+    ${projectCover(project.cover)}
+    <div class="${cls('project-header flex items-center justify-between gap-2')}">
+      <h3 class="${cls('m-0')}">${highlight(project.title, matches.title)}</h3>
+      <p class="${cls('m-0 project-type')}">${highlight(project.type, matches.type)}</p>
+    </div>
+    <p class="${cls('m-0 project-details')}">${projectDetails(project, matches)}</p>
+    <div class="${cls('project-meta flex flex-wrap gap-2')}">${projectTags(project, matches)}</div>
+    <p class="${cls('project-description m-0')}">${highlight(project.description, matches.description)}</p>
+    <a class="${cls('btn btn-secondary')}" href="#/projects/${project.slug}" data-project-link>En savoir plus<span class="${cls('sr-only')}"> sur ${project.title}</span></a>
+  </article>`;
+}
+
+function createProjectCard({ project, matches }) {
+  return toElement(projectCardTemplate(project, matches));
+}
+
+function projectDetailTemplate(project) {
+  return html`${projectCover(project.cover)}
+    <p class="${cls('project-details m-b-2')}">${projectDetails(project)} · ${project.type}</p>
+    <div class="${cls('project-meta flex flex-wrap gap-2 m-b-3')}">${projectTags(project)}</div>
+    <p>${project.description}</p>
+    ${project.content.map((paragraph) => html`<p>${paragraph}</p>`)}
+    ${projectGallery(project.gallery)}
+    ${projectLinks(project)}`;
+}
+
+function siblingsOf(slug) {
+  const list = state.filtered.some((project) => project.slug === slug) ? state.filtered : state.projects;
+  const index = list.findIndex((project) => project.slug === slug);
+  return { previous: list[index - 1] || null, next: list[index + 1] || null, position: index + 1, total: list.length };
+}
+
+function setSibling(button, project) {
+  button.disabled = !project;
+  button.dataset.slug = project ? project.slug : '';
+  button.title = project ? project.title : '';
+}
+
+function showProject({ slug }) {
+  const project = state.projects.find((entry) => entry.slug === slug);
+  if (!project) {
+    state.notice = `Le projet « ${slug} » est introuvable.`;
+    renderSummary();
+    router.navigate(null, { replace: true });
     return;
   }
-  projects.forEach((project) => {
-    projectsGrid.appendChild(createProjectCard(project));
-  });
+  const { previous, next, position, total } = siblingsOf(slug);
+  projectDialogTitle.textContent = project.title;
+  renderInto(projectDialogBody, projectDetailTemplate(project));
+  projectPosition.textContent = `Projet ${position} sur ${total}`;
+  setSibling(previousProject, previous);
+  setSibling(nextProject, next);
+  projectDialog.querySelector(`.${cls('modal-dialog')}`).scrollTop = 0;
+  if (projectDialog.hidden) {
+    openModal(projectDialog, state.opener || document.activeElement);
+  } else if (document.activeElement?.disabled) {
+    (next ? nextProject : previousProject).focus();
+  }
+}
+
+function hideProject() {
+  state.opener = null;
+  state.openedFromList = false;
+  closeModal(projectDialog);
+}
+
+function leaveProject() {
+  if (!router.active) return;
+  if (state.openedFromList) {
+    state.openedFromList = false;
+    window.history.back();
+  } else {
+    router.navigate(null, { replace: true });
+  }
+}
+
+const router = createHashRouter({ '/projects/:slug': showProject }, { onLeave: hideProject });
+
+function renderSummary() {
+  const total = state.projects.length;
+  const count = state.filtered.length;
+  resultsSummary.textContent = [
+    `${count} projet${count > 1 ? 's' : ''} sur ${total}`,
+    state.skipped && `${state.skipped} projet${state.skipped > 1 ? 's' : ''} ignoré${state.skipped > 1 ? 's' : ''} (données invalides)`,
+    state.notice
+  ].filter(Boolean).join(' · ');
+}
+
+function renderProjects(results) {
+  renderSummary();
+  if (!results.length) {
+    renderInto(projectsGrid, html`<p>Aucun projet trouvé.</p>`);
+    return;
+  }
+  projectsGrid.replaceChildren(...results.map(createProjectCard));
   observeReveal();
 }
 
-function updateFilters() {
-  const term = searchInput.value.toLowerCase();
-  const type = typeFilter.value;
-  const filtered = state.projects.filter((project) => {
-    const matchesType = type === 'all' || project.type === type;
-    const matchesText = [project.title, project.description, project.type]
-      .some((field) => field.toLowerCase().includes(term));
-    return matchesType && matchesText;
-  });
-  state.filtered = filtered;
-  renderProjects(filtered);
+function renderFacets(facets) {
+  renderInto(tagFacets, facets.map(({ tag, count, selected }) => html`<button type="button" class="${cls('btn btn-sm btn-secondary tag-facet')}" data-tag="${tag}" aria-pressed="${selected}"${!count && !selected ? ' disabled' : ''}>${tag} <span class="${cls('tag-count')}">${count}</span></button>`));
+}
+
+function syncControls(filters) {
+  searchInput.value = filters.q;
+  typeFilter.value = filters.type;
+  sortOrder.value = filters.sort;
+}
+
+function showFilters(filters) {
+  state.filters = filters;
+  const { results, facets } = applyFilters(state.projects, filters);
+  state.filtered = results.map(({ project }) => project);
+  renderFacets(facets);
+  renderProjects(results);
+}
+
+function updateFilters(changes, { kind = 'filter' } = {}) {
+  const filters = { ...state.filters, ...changes };
+  const query = filtersToQuery(filters);
+  const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+  if (query !== filtersToQuery(state.filters)) {
+    const replace = kind === 'search' && state.lastChange === 'search';
+    window.history[replace ? 'replaceState' : 'pushState'](null, '', url);
+  }
+  state.lastChange = kind;
+  state.notice = null;
+  showFilters(filters);
+}
+
+function restoreFilters({ force = false } = {}) {
+  const filters = readFilters(window.location.search, state.facets);
+  if (!force && filtersToQuery(filters) === filtersToQuery(state.filters)) return;
+  state.lastChange = null;
+  syncControls(filters);
+  showFilters(filters);
+}
+
+function debounce(callback, delay) {
+  let timer = null;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => callback(...args), delay);
+  };
 }
 
 async function loadProjects() {
   try {
     const res = await fetch('./data/projects.json');
-    const data = await res.json();
-    state.projects = data.projects;
-    const types = Array.from(new Set(state.projects.map((p) => p.type)));
-    types.forEach((type) => {
+    if (!res.ok) {
+      throw new Error(`Failed to load projects.json (${res.status})`);
+    }
+    const { projects, rejected } = parseProjects(await res.json(), { baseUrl: document.baseURI });
+    state.projects = projects;
+    state.skipped = rejected.length;
+    state.facets = projectFacets(projects);
+    state.facets.types.forEach((type) => {
       const option = document.createElement('option');
       option.value = type;
       option.textContent = type;
       typeFilter.appendChild(option);
     });
-    updateFilters();
+    restoreFilters({ force: true });
+    router.start();
   } catch (err) {
-    projectsGrid.innerHTML = '<p>Impossible de charger les projets.</p>';
+    renderInto(projectsGrid, html`<p>Impossible de charger les projets.</p>`);
     console.error(err);
   }
 }
@@ -143,25 +284,41 @@ function observeReveal() {
   document.querySelectorAll('.reveal').forEach((section) => observer.observe(section));
 }
 
-function setupContactForm() {
-  const form = document.querySelector('.contact-form');
-  form.addEventListener('submit', (event) => {
-    event.preventDefault();
-    alert('Formulaire non fonctionnel dans cette version.');
-  });
-}
-
 function init() {
+  initNavbar();
+  initForms();
+  initModals();
   loadTheme();
   observeReveal();
   smoothScrollSetup();
-  setupContactForm();
+  initContactForm(document.querySelector('.contact-form'));
   loadProjects();
 
-  burger.addEventListener('click', toggleNav);
   themeToggle.addEventListener('click', () => applyTheme(state.theme === 'dark' ? 'light' : 'dark'));
-  searchInput.addEventListener('input', updateFilters);
-  typeFilter.addEventListener('change', updateFilters);
+  searchInput.addEventListener('input', debounce(() => updateFilters({ q: searchInput.value }, { kind: 'search' }), SEARCH_DELAY));
+  typeFilter.addEventListener('change', () => updateFilters({ type: typeFilter.value }));
+  sortOrder.addEventListener('change', () => updateFilters({ sort: sortOrder.value }));
+  tagFacets.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-tag]');
+    if (!button) return;
+    const { tag } = button.dataset;
+    const tags = state.filters.tags.includes(tag)
+      ? state.filters.tags.filter((selected) => selected !== tag)
+      : [...state.filters.tags, tag];
+    updateFilters({ tags });
+  });
+  window.addEventListener('popstate', () => restoreFilters());
+  projectsGrid.addEventListener('click', (event) => {
+    const link = event.target.closest('[data-project-link]');
+    if (link) {
+      state.opener = link;
+      state.openedFromList = true;
+    }
+  });
+  [previousProject, nextProject].forEach((button) => {
+    button.addEventListener('click', () => router.navigate(`/projects/${button.dataset.slug}`, { replace: true }));
+  });
+  projectDialog.addEventListener('modal:close', leaveProject);
 }
 
 init();
@@ -0,0 +1,136 @@
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DATE = /^\d{4}-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?$/;
+const KNOWN_FIELDS = ['slug', 'title', 'description', 'content', 'type', 'tags', 'date', 'cover', 'gallery', 'repository', 'live', 'role', 'featured'];
+const CARD_SIZES = '(min-width: 1024px) 33vw, (min-width: 640px) 50vw, 100vw';
+const GALLERY_SIZES = '(min-width: 768px) 24rem, 80vw';
+
+function isText(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function isUrl(value, base) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value, base).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function checkImage(image, field, errors, { defaultSizes, baseUrl }) {
+  if (!image || typeof image !== 'object' || Array.isArray(image)) {
+    errors.push(`${field} must be an object with src and alt`);
+    return null;
+  }
+  if (!isText(image.src) || !isUrl(image.src, baseUrl)) {
+    errors.push(`${field}.src must be an image path or URL`);
+  }
+  if (typeof image.alt !== 'string') {
+    errors.push(`${field}.alt must be a string, use "" for a decorative image`);
+  }
+  const srcset = image.srcset || [];
+  if (!Array.isArray(srcset) || srcset.some((source) => (
+    !source || !isText(source.src) || !isUrl(source.src, baseUrl) || !Number.isInteger(source.width) || source.width <= 0
+  ))) {
+    errors.push(`${field}.srcset must be a list of { src, width } with a positive integer width`);
+  }
+  if (image.sizes !== undefined && !isText(image.sizes)) {
+    errors.push(`${field}.sizes must be a sizes string, e.g. "(min-width: 1024px) 33vw, 100vw"`);
+  }
+  if (image.caption !== undefined && !isText(image.caption)) {
+    errors.push(`${field}.caption must be a non-empty string`);
+  }
+  return {
+    src: image.src,
+    alt: image.alt,
+    srcset: Array.isArray(srcset) ? srcset.map((source) => `${source?.src} ${source?.width}w`).join(', ') : '',
+    sizes: image.sizes || defaultSizes,
+    caption: image.caption || null
+  };
+}
+
+export function validateProject(entry, { baseUrl } = {}) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { project: null, errors: ['must be an object'] };
+  }
+  const errors = [];
+  Object.keys(entry).filter((key) => !KNOWN_FIELDS.includes(key)).forEach((key) => {
+    errors.push(`unknown field "${key}"`);
+  });
+  if (!isText(entry.slug) || !SLUG.test(entry.slug)) {
+    errors.push('slug must be lowercase words separated by dashes, e.g. "dashboard-analytics"');
+  }
+  ['title', 'description', 'type'].forEach((key) => {
+    if (!isText(entry[key])) errors.push(`${key} must be a non-empty string`);
+  });
+  if (!isText(entry.date) || !DATE.test(entry.date) || Number.isNaN(Date.parse(entry.date))) {
+    errors.push('date must be YYYY-MM or YYYY-MM-DD');
+  }
+  const tags = entry.tags ?? [];
+  if (!Array.isArray(tags) || !tags.every(isText)) {
+    errors.push('tags must be a list of strings');
+  }
+  ['repository', 'live'].forEach((key) => {
+    if (entry[key] !== undefined && !isUrl(entry[key])) errors.push(`${key} must be an absolute http(s) URL`);
+  });
+  if (entry.role !== undefined && !isText(entry.role)) {
+    errors.push('role must be a non-empty string');
+  }
+  if (entry.featured !== undefined && typeof entry.featured !== 'boolean') {
+    errors.push('featured must be true or false');
+  }
+  const content = entry.content ?? [];
+  if (!Array.isArray(content) || !content.every(isText)) {
+    errors.push('content must be a list of paragraphs');
+  }
+  const cover = entry.cover === undefined ? null : checkImage(entry.cover, 'cover', errors, { defaultSizes: CARD_SIZES, baseUrl });
+  const gallery = entry.gallery ?? [];
+  if (!Array.isArray(gallery)) {
+    errors.push('gallery must be a list of images');
+  }
+  const images = Array.isArray(gallery) ? gallery.map((image, index) => checkImage(image, `gallery[${index}]`, errors, { defaultSizes: GALLERY_SIZES, baseUrl })) : [];
+
+  if (errors.length) {
+    return { project: null, errors };
+  }
+  return {
+    project: {
+      slug: entry.slug,
+      title: entry.title.trim(),
+      description: entry.description.trim(),
+      content,
+      type: entry.type.trim(),
+      tags,
+      date: entry.date,
+      cover,
+      gallery: images,
+      repository: entry.repository || null,
+      live: entry.live || null,
+      role: entry.role || null,
+      featured: entry.featured === true
+    },
+    errors
+  };
+}
+
+export function parseProjects(data, { baseUrl } = {}) {
+  if (!data || !Array.isArray(data.projects)) {
+    throw new Error('projects.json must contain a "projects" list');
+  }
+  const projects = [];
+  const rejected = [];
+  const slugs = new Set();
+  data.projects.forEach((entry, index) => {
+    const { project, errors } = validateProject(entry, { baseUrl });
+    if (project && slugs.has(project.slug)) {
+      errors.push(`slug "${project.slug}" is already used by another project`);
+    }
+    if (errors.length) {
+      rejected.push({ index, label: entry?.slug || entry?.title || `#${index + 1}`, errors });
+      return;
+    }
+    slugs.add(project.slug);
+    projects.push(project);
+  });
+  projects.sort((a, b) => Number(b.featured) - Number(a.featured) || b.date.localeCompare(a.date));
+  return { projects, rejected };
+}
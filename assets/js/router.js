@@ -0,0 +1,58 @@
+function compile(pattern) {
+  const keys = [];
+  const source = pattern.replace(/:(\w+)/g, (match, key) => {
+    keys.push(key);
+    return '([^/]+)';
+  });
+  return { regex: new RegExp(`^${source}/?$`), keys };
+}
+
+export function currentPath() {
+  const { hash } = window.location;
+  if (!hash.startsWith('#/')) return null;
+  try {
+    return decodeURIComponent(hash.slice(1));
+  } catch {
+    return null;
+  }
+}
+
+export function createHashRouter(routes, { onLeave = () => {} } = {}) {
+  const compiled = Object.entries(routes).map(([pattern, handler]) => ({ ...compile(pattern), handler }));
+  let active = null;
+
+  function resolve() {
+    const path = currentPath();
+    const route = path && compiled.find(({ regex }) => regex.test(path));
+    if (!route) {
+      const previous = active;
+      active = null;
+      if (previous) onLeave(previous);
+      return;
+    }
+    const values = path.match(route.regex).slice(1);
+    const params = Object.fromEntries(route.keys.map((key, index) => [key, values[index]]));
+    active = path;
+    route.handler(params);
+  }
+
+  function urlFor(path) {
+    const { pathname, search } = window.location;
+    return `${pathname}${search}${path ? `#${path}` : ''}`;
+  }
+
+  return {
+    start() {
+      window.addEventListener('hashchange', resolve);
+      resolve();
+    },
+    navigate(path, { replace = false } = {}) {
+      window.history[replace ? 'replaceState' : 'pushState'](null, '', urlFor(path));
+      resolve();
+    },
+    get active() {
+      return active;
+    },
+    urlFor
+  };
+}
@@ -0,0 +1,100 @@
+import { html } from './template.js';
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+export function normalize(text) {
+  let normalized = '';
+  const map = [];
+  let index = 0;
+  for (const char of String(text)) {
+    const folded = char.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+    for (let i = 0; i < folded.length; i += 1) map.push(index);
+    normalized += folded;
+    index += char.length;
+  }
+  map.push(index);
+  return { text: normalized, map };
+}
+
+export function searchTerms(query) {
+  return normalize(query).text.match(WORD) || [];
+}
+
+function distance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function fuzzyEnd(term, word) {
+  const tolerance = term.length >= 8 ? 2 : 1;
+  const lengths = [word.length, term.length - 1, term.length, term.length + 1].filter((length) => length > 0 && length <= word.length);
+  const best = lengths
+    .map((length) => ({ length, cost: distance(term, word.slice(0, length)) }))
+    .sort((a, b) => a.cost - b.cost || b.length - a.length)[0];
+  return best && best.cost <= tolerance ? best.length : null;
+}
+
+export function matchTerm(term, text) {
+  const { text: haystack, map } = normalize(text);
+  const ranges = [];
+  let from = haystack.indexOf(term);
+  while (from !== -1) {
+    ranges.push([map[from], map[from + term.length]]);
+    from = haystack.indexOf(term, from + term.length);
+  }
+  if (ranges.length || term.length < 4) {
+    return ranges.length ? ranges : null;
+  }
+  for (const { 0: word, index } of haystack.matchAll(WORD)) {
+    const end = fuzzyEnd(term, word);
+    if (end !== null) ranges.push([map[index], map[index + end]]);
+  }
+  return ranges.length ? ranges : null;
+}
+
+function mergeRanges(ranges) {
+  return [...ranges].sort((a, b) => a[0] - b[0]).reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+}
+
+export function matchFields(fields, terms) {
+  const matches = {};
+  const found = terms.every((term) => {
+    let hit = false;
+    Object.entries(fields).forEach(([field, value]) => {
+      (Array.isArray(value) ? value : [value]).forEach((text, index) => {
+        const ranges = text ? matchTerm(term, text) : null;
+        if (!ranges) return;
+        const key = Array.isArray(value) ? `${field}.${index}` : field;
+        matches[key] = [...(matches[key] || []), ...ranges];
+        hit = true;
+      });
+    });
+    return hit;
+  });
+  return found ? Object.fromEntries(Object.entries(matches).map(([key, ranges]) => [key, mergeRanges(ranges)])) : null;
+}
+
+export function highlight(text, ranges = []) {
+  let cursor = 0;
+  const parts = ranges.map(([start, end]) => {
+    const part = html`${text.slice(cursor, start)}<mark>${text.slice(start, end)}</mark>`;
+    cursor = end;
+    return part;
+  });
+  return html`${parts}${text.slice(cursor)}`;
+}
@@ -0,0 +1,44 @@
+const ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&#39;'
+};
+
+class SafeHtml {
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
+
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => ENTITIES[char]);
+}
+
+function toMarkup(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (Array.isArray(value)) return value.map(toMarkup).join('');
+  if (value instanceof SafeHtml) return value.markup;
+  return escapeHtml(value);
+}
+
+export function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((markup, string, index) => (
+    `${markup}${string}${index < values.length ? toMarkup(values[index]) : ''}`
+  ), ''));
+}
+
+export function toElement(template) {
+  const container = document.createElement('template');
+  container.innerHTML = toMarkup(template).trim();
+  return container.content.firstElementChild;
+}
+
+export function renderInto(element, template) {
+  element.innerHTML = toMarkup(template);
+}
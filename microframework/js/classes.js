@@ -0,0 +1,15 @@
+/* Generated by Plugo from plugo.config.js, do not edit. */
+
+export const prefix = "";
+
+const names = new Set([]);
+
+export function cls(classNames) {
+  if (!prefix) return classNames;
+  return classNames.split(/\s+/).filter(Boolean).map((name) => {
+    const split = name.lastIndexOf(':') + 1;
+    return names.has(name.slice(split)) ? `${name.slice(0, split)}${prefix}${name.slice(split)}` : name;
+  }).join(' ');
+}
+
+export default cls;
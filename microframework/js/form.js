@@ -0,0 +1,85 @@
+import { cls } from './classes.js';
+
+const VALIDITY_MESSAGES = [
+  ['valueMissing', 'errorRequired'],
+  ['typeMismatch', 'errorType'],
+  ['tooShort', 'errorMinlength'],
+  ['tooLong', 'errorMaxlength'],
+  ['patternMismatch', 'errorPattern'],
+  ['rangeUnderflow', 'errorMin'],
+  ['rangeOverflow', 'errorMax']
+];
+
+let errorCount = 0;
+
+function errorFor(control) {
+  const field = control.closest(`.${cls('form-field')}, .${cls('form-check')}`) || control.parentElement;
+  let error = field.querySelector(`.${cls('form-error')}`);
+  if (!error) {
+    error = document.createElement('p');
+    error.className = cls('form-error');
+    error.hidden = true;
+    field.append(error);
+  }
+  if (!error.id) {
+    errorCount += 1;
+    error.id = `form-error-${errorCount}`;
+  }
+  const describedBy = (control.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+  if (!describedBy.includes(error.id)) {
+    control.setAttribute('aria-describedby', [...describedBy, error.id].join(' '));
+  }
+  return error;
+}
+
+function messageFor(control) {
+  const { validity, dataset } = control;
+  const match = VALIDITY_MESSAGES.find(([flag, key]) => validity[flag] && dataset[key]);
+  return match ? dataset[match[1]] : dataset.error || control.validationMessage;
+}
+
+export function validateControl(control) {
+  const valid = control.checkValidity();
+  const error = errorFor(control);
+  if (valid) {
+    control.removeAttribute('aria-invalid');
+    error.textContent = '';
+    error.hidden = true;
+  } else {
+    control.setAttribute('aria-invalid', 'true');
+    error.textContent = messageFor(control);
+    error.hidden = false;
+  }
+  return valid;
+}
+
+export function validateForm(form) {
+  const invalid = Array.from(form.elements)
+    .filter((control) => control.willValidate)
+    .filter((control) => !validateControl(control));
+  invalid[0]?.focus();
+  return invalid.length === 0;
+}
+
+export function initForms(root = document) {
+  root.querySelectorAll('form[data-validate]').forEach((form) => {
+    form.noValidate = true;
+    form.addEventListener('focusout', (event) => {
+      const control = event.target;
+      if (control.willValidate && (control.value || control.getAttribute('aria-invalid') === 'true')) {
+        validateControl(control);
+      }
+    });
+    form.addEventListener('input', (event) => {
+      if (event.target.getAttribute('aria-invalid') === 'true') {
+        validateControl(event.target);
+      }
+    });
+    form.addEventListener('submit', (event) => {
+      if (!validateForm(form)) {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+      }
+    });
+  });
+}
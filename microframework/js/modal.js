@@ -0,0 +1,110 @@
+import { cls } from './classes.js';
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'iframe',
+  '[contenteditable="true"]',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+const openers = new WeakMap();
+let modalCount = 0;
+
+function dialogOf(modal) {
+  return modal.querySelector(`.${cls('modal-dialog')}`) || modal;
+}
+
+function focusableIn(modal) {
+  return Array.from(modal.querySelectorAll(FOCUSABLE)).filter((element) => element.getClientRects().length);
+}
+
+function trapFocus(event) {
+  const modal = event.currentTarget;
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    closeModal(modal);
+    return;
+  }
+  if (event.key !== 'Tab') return;
+
+  const items = focusableIn(modal);
+  const dialog = dialogOf(modal);
+  if (!items.length) {
+    event.preventDefault();
+    dialog.focus();
+    return;
+  }
+  const first = items[0];
+  const last = items[items.length - 1];
+  if (event.shiftKey && (document.activeElement === first || document.activeElement === dialog)) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && document.activeElement === last) {
+    event.preventDefault();
+    first.focus();
+  }
+}
+
+export function prepareModal(modal) {
+  const dialog = dialogOf(modal);
+  dialog.setAttribute('role', dialog.getAttribute('role') || 'dialog');
+  dialog.setAttribute('aria-modal', 'true');
+  dialog.setAttribute('tabindex', '-1');
+  const title = modal.querySelector(`.${cls('modal-title')}`);
+  if (title && !dialog.hasAttribute('aria-labelledby') && !dialog.hasAttribute('aria-label')) {
+    modalCount += 1;
+    title.id = title.id || `modal-title-${modalCount}`;
+    dialog.setAttribute('aria-labelledby', title.id);
+  }
+  return modal;
+}
+
+export function openModal(modal, opener = document.activeElement) {
+  if (!modal.hidden) return;
+  prepareModal(modal);
+  openers.set(modal, opener);
+  modal.hidden = false;
+  document.body.classList.add(cls('modal-open'));
+  modal.addEventListener('keydown', trapFocus);
+  (modal.querySelector('[autofocus]') || dialogOf(modal)).focus();
+  modal.dispatchEvent(new CustomEvent('modal:open', { bubbles: true }));
+}
+
+export function closeModal(modal, { restoreFocus = true } = {}) {
+  if (modal.hidden) return;
+  modal.hidden = true;
+  modal.removeEventListener('keydown', trapFocus);
+  if (!document.querySelector(`.${cls('modal')}:not([hidden])`)) {
+    document.body.classList.remove(cls('modal-open'));
+  }
+  const opener = openers.get(modal);
+  openers.delete(modal);
+  if (restoreFocus && opener && document.contains(opener)) {
+    opener.focus();
+  }
+  modal.dispatchEvent(new CustomEvent('modal:close', { bubbles: true }));
+}
+
+export function initModals(root = document) {
+  root.querySelectorAll(`.${cls('modal')}`).forEach(prepareModal);
+  root.addEventListener('click', (event) => {
+    const opener = event.target.closest('[data-modal-open]');
+    if (opener) {
+      const modal = document.getElementById(opener.dataset.modalOpen);
+      if (modal) {
+        event.preventDefault();
+        openModal(modal, opener);
+      }
+      return;
+    }
+    const closer = event.target.closest('[data-modal-close]');
+    const modal = closer?.closest(`.${cls('modal')}`);
+    if (modal) {
+      closeModal(modal);
+    }
+  });
+}
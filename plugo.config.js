@@ -1,5 +1,10 @@
 const config = {
-    darkMode: false,
+    darkMode: 'attribute',
+    strictContrast: false,
+    targets: '> 0.5%, last 2 versions, Firefox ESR, not dead',
+    output: {
+        layers: true
+    },
     theme: {
         colors: {
             primary: '#6e52f7',
@@ -9,13 +14,25 @@ const config = {
         },
         typography: {
             main: 'Arial, sans-serif',
-            headlines: 'Verdana, sans-serif'
+            headlines: 'Verdana, sans-serif',
+            scale: {
+                base: '1rem',
+                ratio: [1.2, 1.25],
+                minViewport: '320px',
+                maxViewport: '1280px'
+            }
         },
         layout: {
+            mode: 'flex',
             container: '1200px',
             cols: 12,
+            gutters: {
+                base: '16px',
+                lg: '24px'
+            },
+            variants: ['responsive', 'max', 'container'],
             breakpoints: {
-                sm: '767px',
+                sm: '640px',
                 md: '768px',
                 lg: '1024px',
                 xl: '1280px'
@@ -30,8 +47,36 @@ const config = {
             type: 'ease'
         }
     },
-    components: ['button', 'card', 'alert'],
-    utilities: ['flex', 'spacing', 'color', 'image']
+    themes: {
+        highContrast: {
+            colors: {
+                primary: '#3b1fd1',
+                danger: '#c2132f'
+            },
+            surfaces: {
+                background: '#ffffff',
+                text: '#000000',
+                border: '#000000'
+            }
+        }
+    },
+    content: ['./**/*.html', './assets/js/**/*.js'],
+    components: ['button', 'card', 'alert', 'badge', 'navbar', 'form', 'modal', 'tabs'],
+    utilities: {
+        flex: ['responsive', 'max', 'container'],
+        spacing: ['responsive', 'max'],
+        color: ['hover', 'focus', 'dark'],
+        image: [],
+        gap: ['responsive'],
+        sizing: ['responsive'],
+        display: ['responsive', 'max'],
+        position: ['responsive'],
+        zIndex: [],
+        typography: ['responsive'],
+        border: [],
+        shadow: ['hover'],
+        opacity: ['hover']
+    }
 };
 
 export default config;
@@ -0,0 +1,3229 @@
+/* Generated by Plugo from plugo.config.js, do not edit. */
+
+export type PlugoClass =
+  | '@container'
+  | '@lg:col'
+  | '@lg:col-1'
+  | '@lg:col-10'
+  | '@lg:col-11'
+  | '@lg:col-12'
+  | '@lg:col-2'
+  | '@lg:col-3'
+  | '@lg:col-4'
+  | '@lg:col-5'
+  | '@lg:col-6'
+  | '@lg:col-7'
+  | '@lg:col-8'
+  | '@lg:col-9'
+  | '@lg:col-auto'
+  | '@lg:flex'
+  | '@lg:flex-col'
+  | '@lg:flex-row'
+  | '@lg:flex-wrap'
+  | '@lg:grow'
+  | '@lg:inline-flex'
+  | '@lg:items-center'
+  | '@lg:items-end'
+  | '@lg:items-start'
+  | '@lg:justify-around'
+  | '@lg:justify-between'
+  | '@lg:justify-center'
+  | '@lg:offset-0'
+  | '@lg:offset-1'
+  | '@lg:offset-10'
+  | '@lg:offset-11'
+  | '@lg:offset-2'
+  | '@lg:offset-3'
+  | '@lg:offset-4'
+  | '@lg:offset-5'
+  | '@lg:offset-6'
+  | '@lg:offset-7'
+  | '@lg:offset-8'
+  | '@lg:offset-9'
+  | '@lg:order-0'
+  | '@lg:order-1'
+  | '@lg:order-10'
+  | '@lg:order-11'
+  | '@lg:order-12'
+  | '@lg:order-2'
+  | '@lg:order-3'
+  | '@lg:order-4'
+  | '@lg:order-5'
+  | '@lg:order-6'
+  | '@lg:order-7'
+  | '@lg:order-8'
+  | '@lg:order-9'
+  | '@lg:order-first'
+  | '@lg:order-last'
+  | '@lg:shrink'
+  | '@md:col'
+  | '@md:col-1'
+  | '@md:col-10'
+  | '@md:col-11'
+  | '@md:col-12'
+  | '@md:col-2'
+  | '@md:col-3'
+  | '@md:col-4'
+  | '@md:col-5'
+  | '@md:col-6'
+  | '@md:col-7'
+  | '@md:col-8'
+  | '@md:col-9'
+  | '@md:col-auto'
+  | '@md:flex'
+  | '@md:flex-col'
+  | '@md:flex-row'
+  | '@md:flex-wrap'
+  | '@md:grow'
+  | '@md:inline-flex'
+  | '@md:items-center'
+  | '@md:items-end'
+  | '@md:items-start'
+  | '@md:justify-around'
+  | '@md:justify-between'
+  | '@md:justify-center'
+  | '@md:offset-0'
+  | '@md:offset-1'
+  | '@md:offset-10'
+  | '@md:offset-11'
+  | '@md:offset-2'
+  | '@md:offset-3'
+  | '@md:offset-4'
+  | '@md:offset-5'
+  | '@md:offset-6'
+  | '@md:offset-7'
+  | '@md:offset-8'
+  | '@md:offset-9'
+  | '@md:order-0'
+  | '@md:order-1'
+  | '@md:order-10'
+  | '@md:order-11'
+  | '@md:order-12'
+  | '@md:order-2'
+  | '@md:order-3'
+  | '@md:order-4'
+  | '@md:order-5'
+  | '@md:order-6'
+  | '@md:order-7'
+  | '@md:order-8'
+  | '@md:order-9'
+  | '@md:order-first'
+  | '@md:order-last'
+  | '@md:shrink'
+  | '@sm:col'
+  | '@sm:col-1'
+  | '@sm:col-10'
+  | '@sm:col-11'
+  | '@sm:col-12'
+  | '@sm:col-2'
+  | '@sm:col-3'
+  | '@sm:col-4'
+  | '@sm:col-5'
+  | '@sm:col-6'
+  | '@sm:col-7'
+  | '@sm:col-8'
+  | '@sm:col-9'
+  | '@sm:col-auto'
+  | '@sm:flex'
+  | '@sm:flex-col'
+  | '@sm:flex-row'
+  | '@sm:flex-wrap'
+  | '@sm:grow'
+  | '@sm:inline-flex'
+  | '@sm:items-center'
+  | '@sm:items-end'
+  | '@sm:items-start'
+  | '@sm:justify-around'
+  | '@sm:justify-between'
+  | '@sm:justify-center'
+  | '@sm:offset-0'
+  | '@sm:offset-1'
+  | '@sm:offset-10'
+  | '@sm:offset-11'
+  | '@sm:offset-2'
+  | '@sm:offset-3'
+  | '@sm:offset-4'
+  | '@sm:offset-5'
+  | '@sm:offset-6'
+  | '@sm:offset-7'
+  | '@sm:offset-8'
+  | '@sm:offset-9'
+  | '@sm:order-0'
+  | '@sm:order-1'
+  | '@sm:order-10'
+  | '@sm:order-11'
+  | '@sm:order-12'
+  | '@sm:order-2'
+  | '@sm:order-3'
+  | '@sm:order-4'
+  | '@sm:order-5'
+  | '@sm:order-6'
+  | '@sm:order-7'
+  | '@sm:order-8'
+  | '@sm:order-9'
+  | '@sm:order-first'
+  | '@sm:order-last'
+  | '@sm:shrink'
+  | '@xl:col'
+  | '@xl:col-1'
+  | '@xl:col-10'
+  | '@xl:col-11'
+  | '@xl:col-12'
+  | '@xl:col-2'
+  | '@xl:col-3'
+  | '@xl:col-4'
+  | '@xl:col-5'
+  | '@xl:col-6'
+  | '@xl:col-7'
+  | '@xl:col-8'
+  | '@xl:col-9'
+  | '@xl:col-auto'
+  | '@xl:flex'
+  | '@xl:flex-col'
+  | '@xl:flex-row'
+  | '@xl:flex-wrap'
+  | '@xl:grow'
+  | '@xl:inline-flex'
+  | '@xl:items-center'
+  | '@xl:items-end'
+  | '@xl:items-start'
+  | '@xl:justify-around'
+  | '@xl:justify-between'
+  | '@xl:justify-center'
+  | '@xl:offset-0'
+  | '@xl:offset-1'
+  | '@xl:offset-10'
+  | '@xl:offset-11'
+  | '@xl:offset-2'
+  | '@xl:offset-3'
+  | '@xl:offset-4'
+  | '@xl:offset-5'
+  | '@xl:offset-6'
+  | '@xl:offset-7'
+  | '@xl:offset-8'
+  | '@xl:offset-9'
+  | '@xl:order-0'
+  | '@xl:order-1'
+  | '@xl:order-10'
+  | '@xl:order-11'
+  | '@xl:order-12'
+  | '@xl:order-2'
+  | '@xl:order-3'
+  | '@xl:order-4'
+  | '@xl:order-5'
+  | '@xl:order-6'
+  | '@xl:order-7'
+  | '@xl:order-8'
+  | '@xl:order-9'
+  | '@xl:order-first'
+  | '@xl:order-last'
+  | '@xl:shrink'
+  | 'absolute'
+  | 'alert'
+  | 'alert-danger'
+  | 'alert-ghost'
+  | 'alert-lg'
+  | 'alert-md'
+  | 'alert-outline'
+  | 'alert-primary'
+  | 'alert-sm'
+  | 'alert-solid'
+  | 'alert-success'
+  | 'alert-warning'
+  | 'badge'
+  | 'badge-danger'
+  | 'badge-dismiss'
+  | 'badge-ghost'
+  | 'badge-lg'
+  | 'badge-md'
+  | 'badge-outline'
+  | 'badge-primary'
+  | 'badge-sm'
+  | 'badge-solid'
+  | 'badge-success'
+  | 'badge-warning'
+  | 'bg-black'
+  | 'bg-danger'
+  | 'bg-danger-100'
+  | 'bg-danger-200'
+  | 'bg-danger-300'
+  | 'bg-danger-400'
+  | 'bg-danger-50'
+  | 'bg-danger-500'
+  | 'bg-danger-600'
+  | 'bg-danger-700'
+  | 'bg-danger-800'
+  | 'bg-danger-900'
+  | 'bg-danger-950'
+  | 'bg-danger-dark'
+  | 'bg-danger-light'
+  | 'bg-primary'
+  | 'bg-primary-100'
+  | 'bg-primary-200'
+  | 'bg-primary-300'
+  | 'bg-primary-400'
+  | 'bg-primary-50'
+  | 'bg-primary-500'
+  | 'bg-primary-600'
+  | 'bg-primary-700'
+  | 'bg-primary-800'
+  | 'bg-primary-900'
+  | 'bg-primary-950'
+  | 'bg-primary-dark'
+  | 'bg-primary-light'
+  | 'bg-success'
+  | 'bg-success-100'
+  | 'bg-success-200'
+  | 'bg-success-300'
+  | 'bg-success-400'
+  | 'bg-success-50'
+  | 'bg-success-500'
+  | 'bg-success-600'
+  | 'bg-success-700'
+  | 'bg-success-800'
+  | 'bg-success-900'
+  | 'bg-success-950'
+  | 'bg-success-dark'
+  | 'bg-success-light'
+  | 'bg-surface'
+  | 'bg-transparent'
+  | 'bg-warning'
+  | 'bg-warning-100'
+  | 'bg-warning-200'
+  | 'bg-warning-300'
+  | 'bg-warning-400'
+  | 'bg-warning-50'
+  | 'bg-warning-500'
+  | 'bg-warning-600'
+  | 'bg-warning-700'
+  | 'bg-warning-800'
+  | 'bg-warning-900'
+  | 'bg-warning-950'
+  | 'bg-warning-dark'
+  | 'bg-warning-light'
+  | 'bg-white'
+  | 'block'
+  | 'border'
+  | 'border-0'
+  | 'border-2'
+  | 'border-4'
+  | 'border-b'
+  | 'border-danger'
+  | 'border-danger-100'
+  | 'border-danger-200'
+  | 'border-danger-300'
+  | 'border-danger-400'
+  | 'border-danger-50'
+  | 'border-danger-500'
+  | 'border-danger-600'
+  | 'border-danger-700'
+  | 'border-danger-800'
+  | 'border-danger-900'
+  | 'border-danger-950'
+  | 'border-l'
+  | 'border-primary'
+  | 'border-primary-100'
+  | 'border-primary-200'
+  | 'border-primary-300'
+  | 'border-primary-400'
+  | 'border-primary-50'
+  | 'border-primary-500'
+  | 'border-primary-600'
+  | 'border-primary-700'
+  | 'border-primary-800'
+  | 'border-primary-900'
+  | 'border-primary-950'
+  | 'border-r'
+  | 'border-success'
+  | 'border-success-100'
+  | 'border-success-200'
+  | 'border-success-300'
+  | 'border-success-400'
+  | 'border-success-50'
+  | 'border-success-500'
+  | 'border-success-600'
+  | 'border-success-700'
+  | 'border-success-800'
+  | 'border-success-900'
+  | 'border-success-950'
+  | 'border-t'
+  | 'border-warning'
+  | 'border-warning-100'
+  | 'border-warning-200'
+  | 'border-warning-300'
+  | 'border-warning-400'
+  | 'border-warning-50'
+  | 'border-warning-500'
+  | 'border-warning-600'
+  | 'border-warning-700'
+  | 'border-warning-800'
+  | 'border-warning-900'
+  | 'border-warning-950'
+  | 'bottom-0'
+  | 'bottom-1'
+  | 'bottom-2'
+  | 'bottom-3'
+  | 'bottom-4'
+  | 'bottom-5'
+  | 'bottom-6'
+  | 'bottom-7'
+  | 'btn'
+  | 'btn-danger'
+  | 'btn-ghost'
+  | 'btn-lg'
+  | 'btn-md'
+  | 'btn-outline'
+  | 'btn-primary'
+  | 'btn-secondary'
+  | 'btn-sm'
+  | 'btn-solid'
+  | 'btn-success'
+  | 'btn-warning'
+  | 'card'
+  | 'card-ghost'
+  | 'card-lg'
+  | 'card-md'
+  | 'card-outline'
+  | 'card-sm'
+  | 'card-solid'
+  | 'col'
+  | 'col-1'
+  | 'col-10'
+  | 'col-11'
+  | 'col-12'
+  | 'col-2'
+  | 'col-3'
+  | 'col-4'
+  | 'col-5'
+  | 'col-6'
+  | 'col-7'
+  | 'col-8'
+  | 'col-9'
+  | 'col-auto'
+  | 'container'
+  | 'contents'
+  | 'danger-border'
+  | 'dark:bg-black'
+  | 'dark:bg-danger'
+  | 'dark:bg-danger-100'
+  | 'dark:bg-danger-200'
+  | 'dark:bg-danger-300'
+  | 'dark:bg-danger-400'
+  | 'dark:bg-danger-50'
+  | 'dark:bg-danger-500'
+  | 'dark:bg-danger-600'
+  | 'dark:bg-danger-700'
+  | 'dark:bg-danger-800'
+  | 'dark:bg-danger-900'
+  | 'dark:bg-danger-950'
+  | 'dark:bg-danger-dark'
+  | 'dark:bg-danger-light'
+  | 'dark:bg-primary'
+  | 'dark:bg-primary-100'
+  | 'dark:bg-primary-200'
+  | 'dark:bg-primary-300'
+  | 'dark:bg-primary-400'
+  | 'dark:bg-primary-50'
+  | 'dark:bg-primary-500'
+  | 'dark:bg-primary-600'
+  | 'dark:bg-primary-700'
+  | 'dark:bg-primary-800'
+  | 'dark:bg-primary-900'
+  | 'dark:bg-primary-950'
+  | 'dark:bg-primary-dark'
+  | 'dark:bg-primary-light'
+  | 'dark:bg-success'
+  | 'dark:bg-success-100'
+  | 'dark:bg-success-200'
+  | 'dark:bg-success-300'
+  | 'dark:bg-success-400'
+  | 'dark:bg-success-50'
+  | 'dark:bg-success-500'
+  | 'dark:bg-success-600'
+  | 'dark:bg-success-700'
+  | 'dark:bg-success-800'
+  | 'dark:bg-success-900'
+  | 'dark:bg-success-950'
+  | 'dark:bg-success-dark'
+  | 'dark:bg-success-light'
+  | 'dark:bg-surface'
+  | 'dark:bg-transparent'
+  | 'dark:bg-warning'
+  | 'dark:bg-warning-100'
+  | 'dark:bg-warning-200'
+  | 'dark:bg-warning-300'
+  | 'dark:bg-warning-400'
+  | 'dark:bg-warning-50'
+  | 'dark:bg-warning-500'
+  | 'dark:bg-warning-600'
+  | 'dark:bg-warning-700'
+  | 'dark:bg-warning-800'
+  | 'dark:bg-warning-900'
+  | 'dark:bg-warning-950'
+  | 'dark:bg-warning-dark'
+  | 'dark:bg-warning-light'
+  | 'dark:bg-white'
+  | 'dark:border-danger'
+  | 'dark:border-danger-100'
+  | 'dark:border-danger-200'
+  | 'dark:border-danger-300'
+  | 'dark:border-danger-400'
+  | 'dark:border-danger-50'
+  | 'dark:border-danger-500'
+  | 'dark:border-danger-600'
+  | 'dark:border-danger-700'
+  | 'dark:border-danger-800'
+  | 'dark:border-danger-900'
+  | 'dark:border-danger-950'
+  | 'dark:border-primary'
+  | 'dark:border-primary-100'
+  | 'dark:border-primary-200'
+  | 'dark:border-primary-300'
+  | 'dark:border-primary-400'
+  | 'dark:border-primary-50'
+  | 'dark:border-primary-500'
+  | 'dark:border-primary-600'
+  | 'dark:border-primary-700'
+  | 'dark:border-primary-800'
+  | 'dark:border-primary-900'
+  | 'dark:border-primary-950'
+  | 'dark:border-success'
+  | 'dark:border-success-100'
+  | 'dark:border-success-200'
+  | 'dark:border-success-300'
+  | 'dark:border-success-400'
+  | 'dark:border-success-50'
+  | 'dark:border-success-500'
+  | 'dark:border-success-600'
+  | 'dark:border-success-700'
+  | 'dark:border-success-800'
+  | 'dark:border-success-900'
+  | 'dark:border-success-950'
+  | 'dark:border-warning'
+  | 'dark:border-warning-100'
+  | 'dark:border-warning-200'
+  | 'dark:border-warning-300'
+  | 'dark:border-warning-400'
+  | 'dark:border-warning-50'
+  | 'dark:border-warning-500'
+  | 'dark:border-warning-600'
+  | 'dark:border-warning-700'
+  | 'dark:border-warning-800'
+  | 'dark:border-warning-900'
+  | 'dark:border-warning-950'
+  | 'dark:danger-border'
+  | 'dark:primary-border'
+  | 'dark:success-border'
+  | 'dark:text-black'
+  | 'dark:text-danger'
+  | 'dark:text-danger-100'
+  | 'dark:text-danger-200'
+  | 'dark:text-danger-300'
+  | 'dark:text-danger-400'
+  | 'dark:text-danger-50'
+  | 'dark:text-danger-500'
+  | 'dark:text-danger-600'
+  | 'dark:text-danger-700'
+  | 'dark:text-danger-800'
+  | 'dark:text-danger-900'
+  | 'dark:text-danger-950'
+  | 'dark:text-danger-dark'
+  | 'dark:text-danger-light'
+  | 'dark:text-primary'
+  | 'dark:text-primary-100'
+  | 'dark:text-primary-200'
+  | 'dark:text-primary-300'
+  | 'dark:text-primary-400'
+  | 'dark:text-primary-50'
+  | 'dark:text-primary-500'
+  | 'dark:text-primary-600'
+  | 'dark:text-primary-700'
+  | 'dark:text-primary-800'
+  | 'dark:text-primary-900'
+  | 'dark:text-primary-950'
+  | 'dark:text-primary-dark'
+  | 'dark:text-primary-light'
+  | 'dark:text-success'
+  | 'dark:text-success-100'
+  | 'dark:text-success-200'
+  | 'dark:text-success-300'
+  | 'dark:text-success-400'
+  | 'dark:text-success-50'
+  | 'dark:text-success-500'
+  | 'dark:text-success-600'
+  | 'dark:text-success-700'
+  | 'dark:text-success-800'
+  | 'dark:text-success-900'
+  | 'dark:text-success-950'
+  | 'dark:text-success-dark'
+  | 'dark:text-success-light'
+  | 'dark:text-warning'
+  | 'dark:text-warning-100'
+  | 'dark:text-warning-200'
+  | 'dark:text-warning-300'
+  | 'dark:text-warning-400'
+  | 'dark:text-warning-50'
+  | 'dark:text-warning-500'
+  | 'dark:text-warning-600'
+  | 'dark:text-warning-700'
+  | 'dark:text-warning-800'
+  | 'dark:text-warning-900'
+  | 'dark:text-warning-950'
+  | 'dark:text-warning-dark'
+  | 'dark:text-warning-light'
+  | 'dark:text-white'
+  | 'dark:warning-border'
+  | 'fixed'
+  | 'flex'
+  | 'flex-col'
+  | 'flex-row'
+  | 'flex-wrap'
+  | 'focus:bg-black'
+  | 'focus:bg-danger'
+  | 'focus:bg-danger-100'
+  | 'focus:bg-danger-200'
+  | 'focus:bg-danger-300'
+  | 'focus:bg-danger-400'
+  | 'focus:bg-danger-50'
+  | 'focus:bg-danger-500'
+  | 'focus:bg-danger-600'
+  | 'focus:bg-danger-700'
+  | 'focus:bg-danger-800'
+  | 'focus:bg-danger-900'
+  | 'focus:bg-danger-950'
+  | 'focus:bg-danger-dark'
+  | 'focus:bg-danger-light'
+  | 'focus:bg-primary'
+  | 'focus:bg-primary-100'
+  | 'focus:bg-primary-200'
+  | 'focus:bg-primary-300'
+  | 'focus:bg-primary-400'
+  | 'focus:bg-primary-50'
+  | 'focus:bg-primary-500'
+  | 'focus:bg-primary-600'
+  | 'focus:bg-primary-700'
+  | 'focus:bg-primary-800'
+  | 'focus:bg-primary-900'
+  | 'focus:bg-primary-950'
+  | 'focus:bg-primary-dark'
+  | 'focus:bg-primary-light'
+  | 'focus:bg-success'
+  | 'focus:bg-success-100'
+  | 'focus:bg-success-200'
+  | 'focus:bg-success-300'
+  | 'focus:bg-success-400'
+  | 'focus:bg-success-50'
+  | 'focus:bg-success-500'
+  | 'focus:bg-success-600'
+  | 'focus:bg-success-700'
+  | 'focus:bg-success-800'
+  | 'focus:bg-success-900'
+  | 'focus:bg-success-950'
+  | 'focus:bg-success-dark'
+  | 'focus:bg-success-light'
+  | 'focus:bg-surface'
+  | 'focus:bg-transparent'
+  | 'focus:bg-warning'
+  | 'focus:bg-warning-100'
+  | 'focus:bg-warning-200'
+  | 'focus:bg-warning-300'
+  | 'focus:bg-warning-400'
+  | 'focus:bg-warning-50'
+  | 'focus:bg-warning-500'
+  | 'focus:bg-warning-600'
+  | 'focus:bg-warning-700'
+  | 'focus:bg-warning-800'
+  | 'focus:bg-warning-900'
+  | 'focus:bg-warning-950'
+  | 'focus:bg-warning-dark'
+  | 'focus:bg-warning-light'
+  | 'focus:bg-white'
+  | 'focus:border-danger'
+  | 'focus:border-danger-100'
+  | 'focus:border-danger-200'
+  | 'focus:border-danger-300'
+  | 'focus:border-danger-400'
+  | 'focus:border-danger-50'
+  | 'focus:border-danger-500'
+  | 'focus:border-danger-600'
+  | 'focus:border-danger-700'
+  | 'focus:border-danger-800'
+  | 'focus:border-danger-900'
+  | 'focus:border-danger-950'
+  | 'focus:border-primary'
+  | 'focus:border-primary-100'
+  | 'focus:border-primary-200'
+  | 'focus:border-primary-300'
+  | 'focus:border-primary-400'
+  | 'focus:border-primary-50'
+  | 'focus:border-primary-500'
+  | 'focus:border-primary-600'
+  | 'focus:border-primary-700'
+  | 'focus:border-primary-800'
+  | 'focus:border-primary-900'
+  | 'focus:border-primary-950'
+  | 'focus:border-success'
+  | 'focus:border-success-100'
+  | 'focus:border-success-200'
+  | 'focus:border-success-300'
+  | 'focus:border-success-400'
+  | 'focus:border-success-50'
+  | 'focus:border-success-500'
+  | 'focus:border-success-600'
+  | 'focus:border-success-700'
+  | 'focus:border-success-800'
+  | 'focus:border-success-900'
+  | 'focus:border-success-950'
+  | 'focus:border-warning'
+  | 'focus:border-warning-100'
+  | 'focus:border-warning-200'
+  | 'focus:border-warning-300'
+  | 'focus:border-warning-400'
+  | 'focus:border-warning-50'
+  | 'focus:border-warning-500'
+  | 'focus:border-warning-600'
+  | 'focus:border-warning-700'
+  | 'focus:border-warning-800'
+  | 'focus:border-warning-900'
+  | 'focus:border-warning-950'
+  | 'focus:danger-border'
+  | 'focus:primary-border'
+  | 'focus:success-border'
+  | 'focus:text-black'
+  | 'focus:text-danger'
+  | 'focus:text-danger-100'
+  | 'focus:text-danger-200'
+  | 'focus:text-danger-300'
+  | 'focus:text-danger-400'
+  | 'focus:text-danger-50'
+  | 'focus:text-danger-500'
+  | 'focus:text-danger-600'
+  | 'focus:text-danger-700'
+  | 'focus:text-danger-800'
+  | 'focus:text-danger-900'
+  | 'focus:text-danger-950'
+  | 'focus:text-danger-dark'
+  | 'focus:text-danger-light'
+  | 'focus:text-primary'
+  | 'focus:text-primary-100'
+  | 'focus:text-primary-200'
+  | 'focus:text-primary-300'
+  | 'focus:text-primary-400'
+  | 'focus:text-primary-50'
+  | 'focus:text-primary-500'
+  | 'focus:text-primary-600'
+  | 'focus:text-primary-700'
+  | 'focus:text-primary-800'
+  | 'focus:text-primary-900'
+  | 'focus:text-primary-950'
+  | 'focus:text-primary-dark'
+  | 'focus:text-primary-light'
+  | 'focus:text-success'
+  | 'focus:text-success-100'
+  | 'focus:text-success-200'
+  | 'focus:text-success-300'
+  | 'focus:text-success-400'
+  | 'focus:text-success-50'
+  | 'focus:text-success-500'
+  | 'focus:text-success-600'
+  | 'focus:text-success-700'
+  | 'focus:text-success-800'
+  | 'focus:text-success-900'
+  | 'focus:text-success-950'
+  | 'focus:text-success-dark'
+  | 'focus:text-success-light'
+  | 'focus:text-warning'
+  | 'focus:text-warning-100'
+  | 'focus:text-warning-200'
+  | 'focus:text-warning-300'
+  | 'focus:text-warning-400'
+  | 'focus:text-warning-50'
+  | 'focus:text-warning-500'
+  | 'focus:text-warning-600'
+  | 'focus:text-warning-700'
+  | 'focus:text-warning-800'
+  | 'focus:text-warning-900'
+  | 'focus:text-warning-950'
+  | 'focus:text-warning-dark'
+  | 'focus:text-warning-light'
+  | 'focus:text-white'
+  | 'focus:warning-border'
+  | 'font-bold'
+  | 'font-extrabold'
+  | 'font-light'
+  | 'font-medium'
+  | 'font-normal'
+  | 'font-semibold'
+  | 'form-check'
+  | 'form-check-input'
+  | 'form-control'
+  | 'form-control-lg'
+  | 'form-control-md'
+  | 'form-control-sm'
+  | 'form-error'
+  | 'form-field'
+  | 'form-help'
+  | 'form-label'
+  | 'form-select'
+  | 'form-textarea'
+  | 'gap-0'
+  | 'gap-1'
+  | 'gap-2'
+  | 'gap-3'
+  | 'gap-4'
+  | 'gap-5'
+  | 'gap-6'
+  | 'gap-7'
+  | 'gap-x-0'
+  | 'gap-x-1'
+  | 'gap-x-2'
+  | 'gap-x-3'
+  | 'gap-x-4'
+  | 'gap-x-5'
+  | 'gap-x-6'
+  | 'gap-x-7'
+  | 'gap-y-0'
+  | 'gap-y-1'
+  | 'gap-y-2'
+  | 'gap-y-3'
+  | 'gap-y-4'
+  | 'gap-y-5'
+  | 'gap-y-6'
+  | 'gap-y-7'
+  | 'grid'
+  | 'grow'
+  | 'h-0'
+  | 'h-1'
+  | 'h-2'
+  | 'h-3'
+  | 'h-4'
+  | 'h-5'
+  | 'h-6'
+  | 'h-7'
+  | 'h-auto'
+  | 'h-full'
+  | 'h-screen'
+  | 'hidden'
+  | 'hover:bg-black'
+  | 'hover:bg-danger'
+  | 'hover:bg-danger-100'
+  | 'hover:bg-danger-200'
+  | 'hover:bg-danger-300'
+  | 'hover:bg-danger-400'
+  | 'hover:bg-danger-50'
+  | 'hover:bg-danger-500'
+  | 'hover:bg-danger-600'
+  | 'hover:bg-danger-700'
+  | 'hover:bg-danger-800'
+  | 'hover:bg-danger-900'
+  | 'hover:bg-danger-950'
+  | 'hover:bg-danger-dark'
+  | 'hover:bg-danger-light'
+  | 'hover:bg-primary'
+  | 'hover:bg-primary-100'
+  | 'hover:bg-primary-200'
+  | 'hover:bg-primary-300'
+  | 'hover:bg-primary-400'
+  | 'hover:bg-primary-50'
+  | 'hover:bg-primary-500'
+  | 'hover:bg-primary-600'
+  | 'hover:bg-primary-700'
+  | 'hover:bg-primary-800'
+  | 'hover:bg-primary-900'
+  | 'hover:bg-primary-950'
+  | 'hover:bg-primary-dark'
+  | 'hover:bg-primary-light'
+  | 'hover:bg-success'
+  | 'hover:bg-success-100'
+  | 'hover:bg-success-200'
+  | 'hover:bg-success-300'
+  | 'hover:bg-success-400'
+  | 'hover:bg-success-50'
+  | 'hover:bg-success-500'
+  | 'hover:bg-success-600'
+  | 'hover:bg-success-700'
+  | 'hover:bg-success-800'
+  | 'hover:bg-success-900'
+  | 'hover:bg-success-950'
+  | 'hover:bg-success-dark'
+  | 'hover:bg-success-light'
+  | 'hover:bg-surface'
+  | 'hover:bg-transparent'
+  | 'hover:bg-warning'
+  | 'hover:bg-warning-100'
+  | 'hover:bg-warning-200'
+  | 'hover:bg-warning-300'
+  | 'hover:bg-warning-400'
+  | 'hover:bg-warning-50'
+  | 'hover:bg-warning-500'
+  | 'hover:bg-warning-600'
+  | 'hover:bg-warning-700'
+  | 'hover:bg-warning-800'
+  | 'hover:bg-warning-900'
+  | 'hover:bg-warning-950'
+  | 'hover:bg-warning-dark'
+  | 'hover:bg-warning-light'
+  | 'hover:bg-white'
+  | 'hover:border-danger'
+  | 'hover:border-danger-100'
+  | 'hover:border-danger-200'
+  | 'hover:border-danger-300'
+  | 'hover:border-danger-400'
+  | 'hover:border-danger-50'
+  | 'hover:border-danger-500'
+  | 'hover:border-danger-600'
+  | 'hover:border-danger-700'
+  | 'hover:border-danger-800'
+  | 'hover:border-danger-900'
+  | 'hover:border-danger-950'
+  | 'hover:border-primary'
+  | 'hover:border-primary-100'
+  | 'hover:border-primary-200'
+  | 'hover:border-primary-300'
+  | 'hover:border-primary-400'
+  | 'hover:border-primary-50'
+  | 'hover:border-primary-500'
+  | 'hover:border-primary-600'
+  | 'hover:border-primary-700'
+  | 'hover:border-primary-800'
+  | 'hover:border-primary-900'
+  | 'hover:border-primary-950'
+  | 'hover:border-success'
+  | 'hover:border-success-100'
+  | 'hover:border-success-200'
+  | 'hover:border-success-300'
+  | 'hover:border-success-400'
+  | 'hover:border-success-50'
+  | 'hover:border-success-500'
+  | 'hover:border-success-600'
+  | 'hover:border-success-700'
+  | 'hover:border-success-800'
+  | 'hover:border-success-900'
+  | 'hover:border-success-950'
+  | 'hover:border-warning'
+  | 'hover:border-warning-100'
+  | 'hover:border-warning-200'
+  | 'hover:border-warning-300'
+  | 'hover:border-warning-400'
+  | 'hover:border-warning-50'
+  | 'hover:border-warning-500'
+  | 'hover:border-warning-600'
+  | 'hover:border-warning-700'
+  | 'hover:border-warning-800'
+  | 'hover:border-warning-900'
+  | 'hover:border-warning-950'
+  | 'hover:danger-border'
+  | 'hover:opacity-0'
+  | 'hover:opacity-10'
+  | 'hover:opacity-100'
+  | 'hover:opacity-25'
+  | 'hover:opacity-50'
+  | 'hover:opacity-75'
+  | 'hover:opacity-90'
+  | 'hover:primary-border'
+  | 'hover:shadow'
+  | 'hover:shadow-lg'
+  | 'hover:shadow-md'
+  | 'hover:shadow-none'
+  | 'hover:shadow-sm'
+  | 'hover:shadow-xl'
+  | 'hover:success-border'
+  | 'hover:text-black'
+  | 'hover:text-danger'
+  | 'hover:text-danger-100'
+  | 'hover:text-danger-200'
+  | 'hover:text-danger-300'
+  | 'hover:text-danger-400'
+  | 'hover:text-danger-50'
+  | 'hover:text-danger-500'
+  | 'hover:text-danger-600'
+  | 'hover:text-danger-700'
+  | 'hover:text-danger-800'
+  | 'hover:text-danger-900'
+  | 'hover:text-danger-950'
+  | 'hover:text-danger-dark'
+  | 'hover:text-danger-light'
+  | 'hover:text-primary'
+  | 'hover:text-primary-100'
+  | 'hover:text-primary-200'
+  | 'hover:text-primary-300'
+  | 'hover:text-primary-400'
+  | 'hover:text-primary-50'
+  | 'hover:text-primary-500'
+  | 'hover:text-primary-600'
+  | 'hover:text-primary-700'
+  | 'hover:text-primary-800'
+  | 'hover:text-primary-900'
+  | 'hover:text-primary-950'
+  | 'hover:text-primary-dark'
+  | 'hover:text-primary-light'
+  | 'hover:text-success'
+  | 'hover:text-success-100'
+  | 'hover:text-success-200'
+  | 'hover:text-success-300'
+  | 'hover:text-success-400'
+  | 'hover:text-success-50'
+  | 'hover:text-success-500'
+  | 'hover:text-success-600'
+  | 'hover:text-success-700'
+  | 'hover:text-success-800'
+  | 'hover:text-success-900'
+  | 'hover:text-success-950'
+  | 'hover:text-success-dark'
+  | 'hover:text-success-light'
+  | 'hover:text-warning'
+  | 'hover:text-warning-100'
+  | 'hover:text-warning-200'
+  | 'hover:text-warning-300'
+  | 'hover:text-warning-400'
+  | 'hover:text-warning-50'
+  | 'hover:text-warning-500'
+  | 'hover:text-warning-600'
+  | 'hover:text-warning-700'
+  | 'hover:text-warning-800'
+  | 'hover:text-warning-900'
+  | 'hover:text-warning-950'
+  | 'hover:text-warning-dark'
+  | 'hover:text-warning-light'
+  | 'hover:text-white'
+  | 'hover:warning-border'
+  | 'img-contain'
+  | 'img-cover'
+  | 'img-responsive'
+  | 'inline'
+  | 'inline-block'
+  | 'inline-flex'
+  | 'inline-grid'
+  | 'inset-0'
+  | 'inset-auto'
+  | 'inset-x-0'
+  | 'inset-y-0'
+  | 'invisible'
+  | 'is-open'
+  | 'items-center'
+  | 'items-end'
+  | 'items-start'
+  | 'justify-around'
+  | 'justify-between'
+  | 'justify-center'
+  | 'left-0'
+  | 'left-1'
+  | 'left-2'
+  | 'left-3'
+  | 'left-4'
+  | 'left-5'
+  | 'left-6'
+  | 'left-7'
+  | 'lg:absolute'
+  | 'lg:block'
+  | 'lg:bottom-0'
+  | 'lg:bottom-1'
+  | 'lg:bottom-2'
+  | 'lg:bottom-3'
+  | 'lg:bottom-4'
+  | 'lg:bottom-5'
+  | 'lg:bottom-6'
+  | 'lg:bottom-7'
+  | 'lg:col'
+  | 'lg:col-1'
+  | 'lg:col-10'
+  | 'lg:col-11'
+  | 'lg:col-12'
+  | 'lg:col-2'
+  | 'lg:col-3'
+  | 'lg:col-4'
+  | 'lg:col-5'
+  | 'lg:col-6'
+  | 'lg:col-7'
+  | 'lg:col-8'
+  | 'lg:col-9'
+  | 'lg:col-auto'
+  | 'lg:contents'
+  | 'lg:fixed'
+  | 'lg:flex'
+  | 'lg:flex-col'
+  | 'lg:flex-row'
+  | 'lg:flex-wrap'
+  | 'lg:font-bold'
+  | 'lg:font-extrabold'
+  | 'lg:font-light'
+  | 'lg:font-medium'
+  | 'lg:font-normal'
+  | 'lg:font-semibold'
+  | 'lg:gap-0'
+  | 'lg:gap-1'
+  | 'lg:gap-2'
+  | 'lg:gap-3'
+  | 'lg:gap-4'
+  | 'lg:gap-5'
+  | 'lg:gap-6'
+  | 'lg:gap-7'
+  | 'lg:gap-x-0'
+  | 'lg:gap-x-1'
+  | 'lg:gap-x-2'
+  | 'lg:gap-x-3'
+  | 'lg:gap-x-4'
+  | 'lg:gap-x-5'
+  | 'lg:gap-x-6'
+  | 'lg:gap-x-7'
+  | 'lg:gap-y-0'
+  | 'lg:gap-y-1'
+  | 'lg:gap-y-2'
+  | 'lg:gap-y-3'
+  | 'lg:gap-y-4'
+  | 'lg:gap-y-5'
+  | 'lg:gap-y-6'
+  | 'lg:gap-y-7'
+  | 'lg:grid'
+  | 'lg:grow'
+  | 'lg:h-0'
+  | 'lg:h-1'
+  | 'lg:h-2'
+  | 'lg:h-3'
+  | 'lg:h-4'
+  | 'lg:h-5'
+  | 'lg:h-6'
+  | 'lg:h-7'
+  | 'lg:h-auto'
+  | 'lg:h-full'
+  | 'lg:h-screen'
+  | 'lg:hidden'
+  | 'lg:inline'
+  | 'lg:inline-block'
+  | 'lg:inline-flex'
+  | 'lg:inline-grid'
+  | 'lg:inset-0'
+  | 'lg:inset-auto'
+  | 'lg:inset-x-0'
+  | 'lg:inset-y-0'
+  | 'lg:invisible'
+  | 'lg:items-center'
+  | 'lg:items-end'
+  | 'lg:items-start'
+  | 'lg:justify-around'
+  | 'lg:justify-between'
+  | 'lg:justify-center'
+  | 'lg:left-0'
+  | 'lg:left-1'
+  | 'lg:left-2'
+  | 'lg:left-3'
+  | 'lg:left-4'
+  | 'lg:left-5'
+  | 'lg:left-6'
+  | 'lg:left-7'
+  | 'lg:m-0'
+  | 'lg:m-1'
+  | 'lg:m-2'
+  | 'lg:m-3'
+  | 'lg:m-4'
+  | 'lg:m-5'
+  | 'lg:m-6'
+  | 'lg:m-7'
+  | 'lg:m-b-0'
+  | 'lg:m-b-1'
+  | 'lg:m-b-2'
+  | 'lg:m-b-3'
+  | 'lg:m-b-4'
+  | 'lg:m-b-5'
+  | 'lg:m-b-6'
+  | 'lg:m-b-7'
+  | 'lg:m-l-0'
+  | 'lg:m-l-1'
+  | 'lg:m-l-2'
+  | 'lg:m-l-3'
+  | 'lg:m-l-4'
+  | 'lg:m-l-5'
+  | 'lg:m-l-6'
+  | 'lg:m-l-7'
+  | 'lg:m-r-0'
+  | 'lg:m-r-1'
+  | 'lg:m-r-2'
+  | 'lg:m-r-3'
+  | 'lg:m-r-4'
+  | 'lg:m-r-5'
+  | 'lg:m-r-6'
+  | 'lg:m-r-7'
+  | 'lg:m-t-0'
+  | 'lg:m-t-1'
+  | 'lg:m-t-2'
+  | 'lg:m-t-3'
+  | 'lg:m-t-4'
+  | 'lg:m-t-5'
+  | 'lg:m-t-6'
+  | 'lg:m-t-7'
+  | 'lg:m-x-0'
+  | 'lg:m-x-1'
+  | 'lg:m-x-2'
+  | 'lg:m-x-3'
+  | 'lg:m-x-4'
+  | 'lg:m-x-5'
+  | 'lg:m-x-6'
+  | 'lg:m-x-7'
+  | 'lg:m-y-0'
+  | 'lg:m-y-1'
+  | 'lg:m-y-2'
+  | 'lg:m-y-3'
+  | 'lg:m-y-4'
+  | 'lg:m-y-5'
+  | 'lg:m-y-6'
+  | 'lg:m-y-7'
+  | 'lg:max-w-container'
+  | 'lg:max-w-full'
+  | 'lg:max-w-lg'
+  | 'lg:max-w-md'
+  | 'lg:max-w-none'
+  | 'lg:max-w-prose'
+  | 'lg:max-w-sm'
+  | 'lg:max-w-xl'
+  | 'lg:min-h-screen'
+  | 'lg:offset-0'
+  | 'lg:offset-1'
+  | 'lg:offset-10'
+  | 'lg:offset-11'
+  | 'lg:offset-2'
+  | 'lg:offset-3'
+  | 'lg:offset-4'
+  | 'lg:offset-5'
+  | 'lg:offset-6'
+  | 'lg:offset-7'
+  | 'lg:offset-8'
+  | 'lg:offset-9'
+  | 'lg:order-0'
+  | 'lg:order-1'
+  | 'lg:order-10'
+  | 'lg:order-11'
+  | 'lg:order-12'
+  | 'lg:order-2'
+  | 'lg:order-3'
+  | 'lg:order-4'
+  | 'lg:order-5'
+  | 'lg:order-6'
+  | 'lg:order-7'
+  | 'lg:order-8'
+  | 'lg:order-9'
+  | 'lg:order-first'
+  | 'lg:order-last'
+  | 'lg:p-0'
+  | 'lg:p-1'
+  | 'lg:p-2'
+  | 'lg:p-3'
+  | 'lg:p-4'
+  | 'lg:p-5'
+  | 'lg:p-6'
+  | 'lg:p-7'
+  | 'lg:p-b-0'
+  | 'lg:p-b-1'
+  | 'lg:p-b-2'
+  | 'lg:p-b-3'
+  | 'lg:p-b-4'
+  | 'lg:p-b-5'
+  | 'lg:p-b-6'
+  | 'lg:p-b-7'
+  | 'lg:p-l-0'
+  | 'lg:p-l-1'
+  | 'lg:p-l-2'
+  | 'lg:p-l-3'
+  | 'lg:p-l-4'
+  | 'lg:p-l-5'
+  | 'lg:p-l-6'
+  | 'lg:p-l-7'
+  | 'lg:p-r-0'
+  | 'lg:p-r-1'
+  | 'lg:p-r-2'
+  | 'lg:p-r-3'
+  | 'lg:p-r-4'
+  | 'lg:p-r-5'
+  | 'lg:p-r-6'
+  | 'lg:p-r-7'
+  | 'lg:p-t-0'
+  | 'lg:p-t-1'
+  | 'lg:p-t-2'
+  | 'lg:p-t-3'
+  | 'lg:p-t-4'
+  | 'lg:p-t-5'
+  | 'lg:p-t-6'
+  | 'lg:p-t-7'
+  | 'lg:p-x-0'
+  | 'lg:p-x-1'
+  | 'lg:p-x-2'
+  | 'lg:p-x-3'
+  | 'lg:p-x-4'
+  | 'lg:p-x-5'
+  | 'lg:p-x-6'
+  | 'lg:p-x-7'
+  | 'lg:p-y-0'
+  | 'lg:p-y-1'
+  | 'lg:p-y-2'
+  | 'lg:p-y-3'
+  | 'lg:p-y-4'
+  | 'lg:p-y-5'
+  | 'lg:p-y-6'
+  | 'lg:p-y-7'
+  | 'lg:relative'
+  | 'lg:right-0'
+  | 'lg:right-1'
+  | 'lg:right-2'
+  | 'lg:right-3'
+  | 'lg:right-4'
+  | 'lg:right-5'
+  | 'lg:right-6'
+  | 'lg:right-7'
+  | 'lg:shrink'
+  | 'lg:sr-only'
+  | 'lg:static'
+  | 'lg:sticky'
+  | 'lg:text-2xl'
+  | 'lg:text-3xl'
+  | 'lg:text-4xl'
+  | 'lg:text-5xl'
+  | 'lg:text-base'
+  | 'lg:text-center'
+  | 'lg:text-justify'
+  | 'lg:text-left'
+  | 'lg:text-lg'
+  | 'lg:text-right'
+  | 'lg:text-sm'
+  | 'lg:text-xl'
+  | 'lg:text-xs'
+  | 'lg:top-0'
+  | 'lg:top-1'
+  | 'lg:top-2'
+  | 'lg:top-3'
+  | 'lg:top-4'
+  | 'lg:top-5'
+  | 'lg:top-6'
+  | 'lg:top-7'
+  | 'lg:visible'
+  | 'lg:w-0'
+  | 'lg:w-1'
+  | 'lg:w-1/2'
+  | 'lg:w-1/3'
+  | 'lg:w-1/4'
+  | 'lg:w-2'
+  | 'lg:w-2/3'
+  | 'lg:w-3'
+  | 'lg:w-3/4'
+  | 'lg:w-4'
+  | 'lg:w-5'
+  | 'lg:w-6'
+  | 'lg:w-7'
+  | 'lg:w-auto'
+  | 'lg:w-fit'
+  | 'lg:w-full'
+  | 'lg:w-screen'
+  | 'm-0'
+  | 'm-1'
+  | 'm-2'
+  | 'm-3'
+  | 'm-4'
+  | 'm-5'
+  | 'm-6'
+  | 'm-7'
+  | 'm-b-0'
+  | 'm-b-1'
+  | 'm-b-2'
+  | 'm-b-3'
+  | 'm-b-4'
+  | 'm-b-5'
+  | 'm-b-6'
+  | 'm-b-7'
+  | 'm-l-0'
+  | 'm-l-1'
+  | 'm-l-2'
+  | 'm-l-3'
+  | 'm-l-4'
+  | 'm-l-5'
+  | 'm-l-6'
+  | 'm-l-7'
+  | 'm-r-0'
+  | 'm-r-1'
+  | 'm-r-2'
+  | 'm-r-3'
+  | 'm-r-4'
+  | 'm-r-5'
+  | 'm-r-6'
+  | 'm-r-7'
+  | 'm-t-0'
+  | 'm-t-1'
+  | 'm-t-2'
+  | 'm-t-3'
+  | 'm-t-4'
+  | 'm-t-5'
+  | 'm-t-6'
+  | 'm-t-7'
+  | 'm-x-0'
+  | 'm-x-1'
+  | 'm-x-2'
+  | 'm-x-3'
+  | 'm-x-4'
+  | 'm-x-5'
+  | 'm-x-6'
+  | 'm-x-7'
+  | 'm-y-0'
+  | 'm-y-1'
+  | 'm-y-2'
+  | 'm-y-3'
+  | 'm-y-4'
+  | 'm-y-5'
+  | 'm-y-6'
+  | 'm-y-7'
+  | 'max-lg:block'
+  | 'max-lg:col'
+  | 'max-lg:col-1'
+  | 'max-lg:col-10'
+  | 'max-lg:col-11'
+  | 'max-lg:col-12'
+  | 'max-lg:col-2'
+  | 'max-lg:col-3'
+  | 'max-lg:col-4'
+  | 'max-lg:col-5'
+  | 'max-lg:col-6'
+  | 'max-lg:col-7'
+  | 'max-lg:col-8'
+  | 'max-lg:col-9'
+  | 'max-lg:col-auto'
+  | 'max-lg:contents'
+  | 'max-lg:flex'
+  | 'max-lg:flex-col'
+  | 'max-lg:flex-row'
+  | 'max-lg:flex-wrap'
+  | 'max-lg:grid'
+  | 'max-lg:grow'
+  | 'max-lg:hidden'
+  | 'max-lg:inline'
+  | 'max-lg:inline-block'
+  | 'max-lg:inline-flex'
+  | 'max-lg:inline-grid'
+  | 'max-lg:invisible'
+  | 'max-lg:items-center'
+  | 'max-lg:items-end'
+  | 'max-lg:items-start'
+  | 'max-lg:justify-around'
+  | 'max-lg:justify-between'
+  | 'max-lg:justify-center'
+  | 'max-lg:m-0'
+  | 'max-lg:m-1'
+  | 'max-lg:m-2'
+  | 'max-lg:m-3'
+  | 'max-lg:m-4'
+  | 'max-lg:m-5'
+  | 'max-lg:m-6'
+  | 'max-lg:m-7'
+  | 'max-lg:m-b-0'
+  | 'max-lg:m-b-1'
+  | 'max-lg:m-b-2'
+  | 'max-lg:m-b-3'
+  | 'max-lg:m-b-4'
+  | 'max-lg:m-b-5'
+  | 'max-lg:m-b-6'
+  | 'max-lg:m-b-7'
+  | 'max-lg:m-l-0'
+  | 'max-lg:m-l-1'
+  | 'max-lg:m-l-2'
+  | 'max-lg:m-l-3'
+  | 'max-lg:m-l-4'
+  | 'max-lg:m-l-5'
+  | 'max-lg:m-l-6'
+  | 'max-lg:m-l-7'
+  | 'max-lg:m-r-0'
+  | 'max-lg:m-r-1'
+  | 'max-lg:m-r-2'
+  | 'max-lg:m-r-3'
+  | 'max-lg:m-r-4'
+  | 'max-lg:m-r-5'
+  | 'max-lg:m-r-6'
+  | 'max-lg:m-r-7'
+  | 'max-lg:m-t-0'
+  | 'max-lg:m-t-1'
+  | 'max-lg:m-t-2'
+  | 'max-lg:m-t-3'
+  | 'max-lg:m-t-4'
+  | 'max-lg:m-t-5'
+  | 'max-lg:m-t-6'
+  | 'max-lg:m-t-7'
+  | 'max-lg:m-x-0'
+  | 'max-lg:m-x-1'
+  | 'max-lg:m-x-2'
+  | 'max-lg:m-x-3'
+  | 'max-lg:m-x-4'
+  | 'max-lg:m-x-5'
+  | 'max-lg:m-x-6'
+  | 'max-lg:m-x-7'
+  | 'max-lg:m-y-0'
+  | 'max-lg:m-y-1'
+  | 'max-lg:m-y-2'
+  | 'max-lg:m-y-3'
+  | 'max-lg:m-y-4'
+  | 'max-lg:m-y-5'
+  | 'max-lg:m-y-6'
+  | 'max-lg:m-y-7'
+  | 'max-lg:offset-0'
+  | 'max-lg:offset-1'
+  | 'max-lg:offset-10'
+  | 'max-lg:offset-11'
+  | 'max-lg:offset-2'
+  | 'max-lg:offset-3'
+  | 'max-lg:offset-4'
+  | 'max-lg:offset-5'
+  | 'max-lg:offset-6'
+  | 'max-lg:offset-7'
+  | 'max-lg:offset-8'
+  | 'max-lg:offset-9'
+  | 'max-lg:order-0'
+  | 'max-lg:order-1'
+  | 'max-lg:order-10'
+  | 'max-lg:order-11'
+  | 'max-lg:order-12'
+  | 'max-lg:order-2'
+  | 'max-lg:order-3'
+  | 'max-lg:order-4'
+  | 'max-lg:order-5'
+  | 'max-lg:order-6'
+  | 'max-lg:order-7'
+  | 'max-lg:order-8'
+  | 'max-lg:order-9'
+  | 'max-lg:order-first'
+  | 'max-lg:order-last'
+  | 'max-lg:p-0'
+  | 'max-lg:p-1'
+  | 'max-lg:p-2'
+  | 'max-lg:p-3'
+  | 'max-lg:p-4'
+  | 'max-lg:p-5'
+  | 'max-lg:p-6'
+  | 'max-lg:p-7'
+  | 'max-lg:p-b-0'
+  | 'max-lg:p-b-1'
+  | 'max-lg:p-b-2'
+  | 'max-lg:p-b-3'
+  | 'max-lg:p-b-4'
+  | 'max-lg:p-b-5'
+  | 'max-lg:p-b-6'
+  | 'max-lg:p-b-7'
+  | 'max-lg:p-l-0'
+  | 'max-lg:p-l-1'
+  | 'max-lg:p-l-2'
+  | 'max-lg:p-l-3'
+  | 'max-lg:p-l-4'
+  | 'max-lg:p-l-5'
+  | 'max-lg:p-l-6'
+  | 'max-lg:p-l-7'
+  | 'max-lg:p-r-0'
+  | 'max-lg:p-r-1'
+  | 'max-lg:p-r-2'
+  | 'max-lg:p-r-3'
+  | 'max-lg:p-r-4'
+  | 'max-lg:p-r-5'
+  | 'max-lg:p-r-6'
+  | 'max-lg:p-r-7'
+  | 'max-lg:p-t-0'
+  | 'max-lg:p-t-1'
+  | 'max-lg:p-t-2'
+  | 'max-lg:p-t-3'
+  | 'max-lg:p-t-4'
+  | 'max-lg:p-t-5'
+  | 'max-lg:p-t-6'
+  | 'max-lg:p-t-7'
+  | 'max-lg:p-x-0'
+  | 'max-lg:p-x-1'
+  | 'max-lg:p-x-2'
+  | 'max-lg:p-x-3'
+  | 'max-lg:p-x-4'
+  | 'max-lg:p-x-5'
+  | 'max-lg:p-x-6'
+  | 'max-lg:p-x-7'
+  | 'max-lg:p-y-0'
+  | 'max-lg:p-y-1'
+  | 'max-lg:p-y-2'
+  | 'max-lg:p-y-3'
+  | 'max-lg:p-y-4'
+  | 'max-lg:p-y-5'
+  | 'max-lg:p-y-6'
+  | 'max-lg:p-y-7'
+  | 'max-lg:shrink'
+  | 'max-lg:sr-only'
+  | 'max-lg:visible'
+  | 'max-md:block'
+  | 'max-md:col'
+  | 'max-md:col-1'
+  | 'max-md:col-10'
+  | 'max-md:col-11'
+  | 'max-md:col-12'
+  | 'max-md:col-2'
+  | 'max-md:col-3'
+  | 'max-md:col-4'
+  | 'max-md:col-5'
+  | 'max-md:col-6'
+  | 'max-md:col-7'
+  | 'max-md:col-8'
+  | 'max-md:col-9'
+  | 'max-md:col-auto'
+  | 'max-md:contents'
+  | 'max-md:flex'
+  | 'max-md:flex-col'
+  | 'max-md:flex-row'
+  | 'max-md:flex-wrap'
+  | 'max-md:grid'
+  | 'max-md:grow'
+  | 'max-md:hidden'
+  | 'max-md:inline'
+  | 'max-md:inline-block'
+  | 'max-md:inline-flex'
+  | 'max-md:inline-grid'
+  | 'max-md:invisible'
+  | 'max-md:items-center'
+  | 'max-md:items-end'
+  | 'max-md:items-start'
+  | 'max-md:justify-around'
+  | 'max-md:justify-between'
+  | 'max-md:justify-center'
+  | 'max-md:m-0'
+  | 'max-md:m-1'
+  | 'max-md:m-2'
+  | 'max-md:m-3'
+  | 'max-md:m-4'
+  | 'max-md:m-5'
+  | 'max-md:m-6'
+  | 'max-md:m-7'
+  | 'max-md:m-b-0'
+  | 'max-md:m-b-1'
+  | 'max-md:m-b-2'
+  | 'max-md:m-b-3'
+  | 'max-md:m-b-4'
+  | 'max-md:m-b-5'
+  | 'max-md:m-b-6'
+  | 'max-md:m-b-7'
+  | 'max-md:m-l-0'
+  | 'max-md:m-l-1'
+  | 'max-md:m-l-2'
+  | 'max-md:m-l-3'
+  | 'max-md:m-l-4'
+  | 'max-md:m-l-5'
+  | 'max-md:m-l-6'
+  | 'max-md:m-l-7'
+  | 'max-md:m-r-0'
+  | 'max-md:m-r-1'
+  | 'max-md:m-r-2'
+  | 'max-md:m-r-3'
+  | 'max-md:m-r-4'
+  | 'max-md:m-r-5'
+  | 'max-md:m-r-6'
+  | 'max-md:m-r-7'
+  | 'max-md:m-t-0'
+  | 'max-md:m-t-1'
+  | 'max-md:m-t-2'
+  | 'max-md:m-t-3'
+  | 'max-md:m-t-4'
+  | 'max-md:m-t-5'
+  | 'max-md:m-t-6'
+  | 'max-md:m-t-7'
+  | 'max-md:m-x-0'
+  | 'max-md:m-x-1'
+  | 'max-md:m-x-2'
+  | 'max-md:m-x-3'
+  | 'max-md:m-x-4'
+  | 'max-md:m-x-5'
+  | 'max-md:m-x-6'
+  | 'max-md:m-x-7'
+  | 'max-md:m-y-0'
+  | 'max-md:m-y-1'
+  | 'max-md:m-y-2'
+  | 'max-md:m-y-3'
+  | 'max-md:m-y-4'
+  | 'max-md:m-y-5'
+  | 'max-md:m-y-6'
+  | 'max-md:m-y-7'
+  | 'max-md:offset-0'
+  | 'max-md:offset-1'
+  | 'max-md:offset-10'
+  | 'max-md:offset-11'
+  | 'max-md:offset-2'
+  | 'max-md:offset-3'
+  | 'max-md:offset-4'
+  | 'max-md:offset-5'
+  | 'max-md:offset-6'
+  | 'max-md:offset-7'
+  | 'max-md:offset-8'
+  | 'max-md:offset-9'
+  | 'max-md:order-0'
+  | 'max-md:order-1'
+  | 'max-md:order-10'
+  | 'max-md:order-11'
+  | 'max-md:order-12'
+  | 'max-md:order-2'
+  | 'max-md:order-3'
+  | 'max-md:order-4'
+  | 'max-md:order-5'
+  | 'max-md:order-6'
+  | 'max-md:order-7'
+  | 'max-md:order-8'
+  | 'max-md:order-9'
+  | 'max-md:order-first'
+  | 'max-md:order-last'
+  | 'max-md:p-0'
+  | 'max-md:p-1'
+  | 'max-md:p-2'
+  | 'max-md:p-3'
+  | 'max-md:p-4'
+  | 'max-md:p-5'
+  | 'max-md:p-6'
+  | 'max-md:p-7'
+  | 'max-md:p-b-0'
+  | 'max-md:p-b-1'
+  | 'max-md:p-b-2'
+  | 'max-md:p-b-3'
+  | 'max-md:p-b-4'
+  | 'max-md:p-b-5'
+  | 'max-md:p-b-6'
+  | 'max-md:p-b-7'
+  | 'max-md:p-l-0'
+  | 'max-md:p-l-1'
+  | 'max-md:p-l-2'
+  | 'max-md:p-l-3'
+  | 'max-md:p-l-4'
+  | 'max-md:p-l-5'
+  | 'max-md:p-l-6'
+  | 'max-md:p-l-7'
+  | 'max-md:p-r-0'
+  | 'max-md:p-r-1'
+  | 'max-md:p-r-2'
+  | 'max-md:p-r-3'
+  | 'max-md:p-r-4'
+  | 'max-md:p-r-5'
+  | 'max-md:p-r-6'
+  | 'max-md:p-r-7'
+  | 'max-md:p-t-0'
+  | 'max-md:p-t-1'
+  | 'max-md:p-t-2'
+  | 'max-md:p-t-3'
+  | 'max-md:p-t-4'
+  | 'max-md:p-t-5'
+  | 'max-md:p-t-6'
+  | 'max-md:p-t-7'
+  | 'max-md:p-x-0'
+  | 'max-md:p-x-1'
+  | 'max-md:p-x-2'
+  | 'max-md:p-x-3'
+  | 'max-md:p-x-4'
+  | 'max-md:p-x-5'
+  | 'max-md:p-x-6'
+  | 'max-md:p-x-7'
+  | 'max-md:p-y-0'
+  | 'max-md:p-y-1'
+  | 'max-md:p-y-2'
+  | 'max-md:p-y-3'
+  | 'max-md:p-y-4'
+  | 'max-md:p-y-5'
+  | 'max-md:p-y-6'
+  | 'max-md:p-y-7'
+  | 'max-md:shrink'
+  | 'max-md:sr-only'
+  | 'max-md:visible'
+  | 'max-sm:block'
+  | 'max-sm:col'
+  | 'max-sm:col-1'
+  | 'max-sm:col-10'
+  | 'max-sm:col-11'
+  | 'max-sm:col-12'
+  | 'max-sm:col-2'
+  | 'max-sm:col-3'
+  | 'max-sm:col-4'
+  | 'max-sm:col-5'
+  | 'max-sm:col-6'
+  | 'max-sm:col-7'
+  | 'max-sm:col-8'
+  | 'max-sm:col-9'
+  | 'max-sm:col-auto'
+  | 'max-sm:contents'
+  | 'max-sm:flex'
+  | 'max-sm:flex-col'
+  | 'max-sm:flex-row'
+  | 'max-sm:flex-wrap'
+  | 'max-sm:grid'
+  | 'max-sm:grow'
+  | 'max-sm:hidden'
+  | 'max-sm:inline'
+  | 'max-sm:inline-block'
+  | 'max-sm:inline-flex'
+  | 'max-sm:inline-grid'
+  | 'max-sm:invisible'
+  | 'max-sm:items-center'
+  | 'max-sm:items-end'
+  | 'max-sm:items-start'
+  | 'max-sm:justify-around'
+  | 'max-sm:justify-between'
+  | 'max-sm:justify-center'
+  | 'max-sm:m-0'
+  | 'max-sm:m-1'
+  | 'max-sm:m-2'
+  | 'max-sm:m-3'
+  | 'max-sm:m-4'
+  | 'max-sm:m-5'
+  | 'max-sm:m-6'
+  | 'max-sm:m-7'
+  | 'max-sm:m-b-0'
+  | 'max-sm:m-b-1'
+  | 'max-sm:m-b-2'
+  | 'max-sm:m-b-3'
+  | 'max-sm:m-b-4'
+  | 'max-sm:m-b-5'
+  | 'max-sm:m-b-6'
+  | 'max-sm:m-b-7'
+  | 'max-sm:m-l-0'
+  | 'max-sm:m-l-1'
+  | 'max-sm:m-l-2'
+  | 'max-sm:m-l-3'
+  | 'max-sm:m-l-4'
+  | 'max-sm:m-l-5'
+  | 'max-sm:m-l-6'
+  | 'max-sm:m-l-7'
+  | 'max-sm:m-r-0'
+  | 'max-sm:m-r-1'
+  | 'max-sm:m-r-2'
+  | 'max-sm:m-r-3'
+  | 'max-sm:m-r-4'
+  | 'max-sm:m-r-5'
+  | 'max-sm:m-r-6'
+  | 'max-sm:m-r-7'
+  | 'max-sm:m-t-0'
+  | 'max-sm:m-t-1'
+  | 'max-sm:m-t-2'
+  | 'max-sm:m-t-3'
+  | 'max-sm:m-t-4'
+  | 'max-sm:m-t-5'
+  | 'max-sm:m-t-6'
+  | 'max-sm:m-t-7'
+  | 'max-sm:m-x-0'
+  | 'max-sm:m-x-1'
+  | 'max-sm:m-x-2'
+  | 'max-sm:m-x-3'
+  | 'max-sm:m-x-4'
+  | 'max-sm:m-x-5'
+  | 'max-sm:m-x-6'
+  | 'max-sm:m-x-7'
+  | 'max-sm:m-y-0'
+  | 'max-sm:m-y-1'
+  | 'max-sm:m-y-2'
+  | 'max-sm:m-y-3'
+  | 'max-sm:m-y-4'
+  | 'max-sm:m-y-5'
+  | 'max-sm:m-y-6'
+  | 'max-sm:m-y-7'
+  | 'max-sm:offset-0'
+  | 'max-sm:offset-1'
+  | 'max-sm:offset-10'
+  | 'max-sm:offset-11'
+  | 'max-sm:offset-2'
+  | 'max-sm:offset-3'
+  | 'max-sm:offset-4'
+  | 'max-sm:offset-5'
+  | 'max-sm:offset-6'
+  | 'max-sm:offset-7'
+  | 'max-sm:offset-8'
+  | 'max-sm:offset-9'
+  | 'max-sm:order-0'
+  | 'max-sm:order-1'
+  | 'max-sm:order-10'
+  | 'max-sm:order-11'
+  | 'max-sm:order-12'
+  | 'max-sm:order-2'
+  | 'max-sm:order-3'
+  | 'max-sm:order-4'
+  | 'max-sm:order-5'
+  | 'max-sm:order-6'
+  | 'max-sm:order-7'
+  | 'max-sm:order-8'
+  | 'max-sm:order-9'
+  | 'max-sm:order-first'
+  | 'max-sm:order-last'
+  | 'max-sm:p-0'
+  | 'max-sm:p-1'
+  | 'max-sm:p-2'
+  | 'max-sm:p-3'
+  | 'max-sm:p-4'
+  | 'max-sm:p-5'
+  | 'max-sm:p-6'
+  | 'max-sm:p-7'
+  | 'max-sm:p-b-0'
+  | 'max-sm:p-b-1'
+  | 'max-sm:p-b-2'
+  | 'max-sm:p-b-3'
+  | 'max-sm:p-b-4'
+  | 'max-sm:p-b-5'
+  | 'max-sm:p-b-6'
+  | 'max-sm:p-b-7'
+  | 'max-sm:p-l-0'
+  | 'max-sm:p-l-1'
+  | 'max-sm:p-l-2'
+  | 'max-sm:p-l-3'
+  | 'max-sm:p-l-4'
+  | 'max-sm:p-l-5'
+  | 'max-sm:p-l-6'
+  | 'max-sm:p-l-7'
+  | 'max-sm:p-r-0'
+  | 'max-sm:p-r-1'
+  | 'max-sm:p-r-2'
+  | 'max-sm:p-r-3'
+  | 'max-sm:p-r-4'
+  | 'max-sm:p-r-5'
+  | 'max-sm:p-r-6'
+  | 'max-sm:p-r-7'
+  | 'max-sm:p-t-0'
+  | 'max-sm:p-t-1'
+  | 'max-sm:p-t-2'
+  | 'max-sm:p-t-3'
+  | 'max-sm:p-t-4'
+  | 'max-sm:p-t-5'
+  | 'max-sm:p-t-6'
+  | 'max-sm:p-t-7'
+  | 'max-sm:p-x-0'
+  | 'max-sm:p-x-1'
+  | 'max-sm:p-x-2'
+  | 'max-sm:p-x-3'
+  | 'max-sm:p-x-4'
+  | 'max-sm:p-x-5'
+  | 'max-sm:p-x-6'
+  | 'max-sm:p-x-7'
+  | 'max-sm:p-y-0'
+  | 'max-sm:p-y-1'
+  | 'max-sm:p-y-2'
+  | 'max-sm:p-y-3'
+  | 'max-sm:p-y-4'
+  | 'max-sm:p-y-5'
+  | 'max-sm:p-y-6'
+  | 'max-sm:p-y-7'
+  | 'max-sm:shrink'
+  | 'max-sm:sr-only'
+  | 'max-sm:visible'
+  | 'max-w-container'
+  | 'max-w-full'
+  | 'max-w-lg'
+  | 'max-w-md'
+  | 'max-w-none'
+  | 'max-w-prose'
+  | 'max-w-sm'
+  | 'max-w-xl'
+  | 'max-xl:block'
+  | 'max-xl:col'
+  | 'max-xl:col-1'
+  | 'max-xl:col-10'
+  | 'max-xl:col-11'
+  | 'max-xl:col-12'
+  | 'max-xl:col-2'
+  | 'max-xl:col-3'
+  | 'max-xl:col-4'
+  | 'max-xl:col-5'
+  | 'max-xl:col-6'
+  | 'max-xl:col-7'
+  | 'max-xl:col-8'
+  | 'max-xl:col-9'
+  | 'max-xl:col-auto'
+  | 'max-xl:contents'
+  | 'max-xl:flex'
+  | 'max-xl:flex-col'
+  | 'max-xl:flex-row'
+  | 'max-xl:flex-wrap'
+  | 'max-xl:grid'
+  | 'max-xl:grow'
+  | 'max-xl:hidden'
+  | 'max-xl:inline'
+  | 'max-xl:inline-block'
+  | 'max-xl:inline-flex'
+  | 'max-xl:inline-grid'
+  | 'max-xl:invisible'
+  | 'max-xl:items-center'
+  | 'max-xl:items-end'
+  | 'max-xl:items-start'
+  | 'max-xl:justify-around'
+  | 'max-xl:justify-between'
+  | 'max-xl:justify-center'
+  | 'max-xl:m-0'
+  | 'max-xl:m-1'
+  | 'max-xl:m-2'
+  | 'max-xl:m-3'
+  | 'max-xl:m-4'
+  | 'max-xl:m-5'
+  | 'max-xl:m-6'
+  | 'max-xl:m-7'
+  | 'max-xl:m-b-0'
+  | 'max-xl:m-b-1'
+  | 'max-xl:m-b-2'
+  | 'max-xl:m-b-3'
+  | 'max-xl:m-b-4'
+  | 'max-xl:m-b-5'
+  | 'max-xl:m-b-6'
+  | 'max-xl:m-b-7'
+  | 'max-xl:m-l-0'
+  | 'max-xl:m-l-1'
+  | 'max-xl:m-l-2'
+  | 'max-xl:m-l-3'
+  | 'max-xl:m-l-4'
+  | 'max-xl:m-l-5'
+  | 'max-xl:m-l-6'
+  | 'max-xl:m-l-7'
+  | 'max-xl:m-r-0'
+  | 'max-xl:m-r-1'
+  | 'max-xl:m-r-2'
+  | 'max-xl:m-r-3'
+  | 'max-xl:m-r-4'
+  | 'max-xl:m-r-5'
+  | 'max-xl:m-r-6'
+  | 'max-xl:m-r-7'
+  | 'max-xl:m-t-0'
+  | 'max-xl:m-t-1'
+  | 'max-xl:m-t-2'
+  | 'max-xl:m-t-3'
+  | 'max-xl:m-t-4'
+  | 'max-xl:m-t-5'
+  | 'max-xl:m-t-6'
+  | 'max-xl:m-t-7'
+  | 'max-xl:m-x-0'
+  | 'max-xl:m-x-1'
+  | 'max-xl:m-x-2'
+  | 'max-xl:m-x-3'
+  | 'max-xl:m-x-4'
+  | 'max-xl:m-x-5'
+  | 'max-xl:m-x-6'
+  | 'max-xl:m-x-7'
+  | 'max-xl:m-y-0'
+  | 'max-xl:m-y-1'
+  | 'max-xl:m-y-2'
+  | 'max-xl:m-y-3'
+  | 'max-xl:m-y-4'
+  | 'max-xl:m-y-5'
+  | 'max-xl:m-y-6'
+  | 'max-xl:m-y-7'
+  | 'max-xl:offset-0'
+  | 'max-xl:offset-1'
+  | 'max-xl:offset-10'
+  | 'max-xl:offset-11'
+  | 'max-xl:offset-2'
+  | 'max-xl:offset-3'
+  | 'max-xl:offset-4'
+  | 'max-xl:offset-5'
+  | 'max-xl:offset-6'
+  | 'max-xl:offset-7'
+  | 'max-xl:offset-8'
+  | 'max-xl:offset-9'
+  | 'max-xl:order-0'
+  | 'max-xl:order-1'
+  | 'max-xl:order-10'
+  | 'max-xl:order-11'
+  | 'max-xl:order-12'
+  | 'max-xl:order-2'
+  | 'max-xl:order-3'
+  | 'max-xl:order-4'
+  | 'max-xl:order-5'
+  | 'max-xl:order-6'
+  | 'max-xl:order-7'
+  | 'max-xl:order-8'
+  | 'max-xl:order-9'
+  | 'max-xl:order-first'
+  | 'max-xl:order-last'
+  | 'max-xl:p-0'
+  | 'max-xl:p-1'
+  | 'max-xl:p-2'
+  | 'max-xl:p-3'
+  | 'max-xl:p-4'
+  | 'max-xl:p-5'
+  | 'max-xl:p-6'
+  | 'max-xl:p-7'
+  | 'max-xl:p-b-0'
+  | 'max-xl:p-b-1'
+  | 'max-xl:p-b-2'
+  | 'max-xl:p-b-3'
+  | 'max-xl:p-b-4'
+  | 'max-xl:p-b-5'
+  | 'max-xl:p-b-6'
+  | 'max-xl:p-b-7'
+  | 'max-xl:p-l-0'
+  | 'max-xl:p-l-1'
+  | 'max-xl:p-l-2'
+  | 'max-xl:p-l-3'
+  | 'max-xl:p-l-4'
+  | 'max-xl:p-l-5'
+  | 'max-xl:p-l-6'
+  | 'max-xl:p-l-7'
+  | 'max-xl:p-r-0'
+  | 'max-xl:p-r-1'
+  | 'max-xl:p-r-2'
+  | 'max-xl:p-r-3'
+  | 'max-xl:p-r-4'
+  | 'max-xl:p-r-5'
+  | 'max-xl:p-r-6'
+  | 'max-xl:p-r-7'
+  | 'max-xl:p-t-0'
+  | 'max-xl:p-t-1'
+  | 'max-xl:p-t-2'
+  | 'max-xl:p-t-3'
+  | 'max-xl:p-t-4'
+  | 'max-xl:p-t-5'
+  | 'max-xl:p-t-6'
+  | 'max-xl:p-t-7'
+  | 'max-xl:p-x-0'
+  | 'max-xl:p-x-1'
+  | 'max-xl:p-x-2'
+  | 'max-xl:p-x-3'
+  | 'max-xl:p-x-4'
+  | 'max-xl:p-x-5'
+  | 'max-xl:p-x-6'
+  | 'max-xl:p-x-7'
+  | 'max-xl:p-y-0'
+  | 'max-xl:p-y-1'
+  | 'max-xl:p-y-2'
+  | 'max-xl:p-y-3'
+  | 'max-xl:p-y-4'
+  | 'max-xl:p-y-5'
+  | 'max-xl:p-y-6'
+  | 'max-xl:p-y-7'
+  | 'max-xl:shrink'
+  | 'max-xl:sr-only'
+  | 'max-xl:visible'
+  | 'md:absolute'
+  | 'md:block'
+  | 'md:bottom-0'
+  | 'md:bottom-1'
+  | 'md:bottom-2'
+  | 'md:bottom-3'
+  | 'md:bottom-4'
+  | 'md:bottom-5'
+  | 'md:bottom-6'
+  | 'md:bottom-7'
+  | 'md:col'
+  | 'md:col-1'
+  | 'md:col-10'
+  | 'md:col-11'
+  | 'md:col-12'
+  | 'md:col-2'
+  | 'md:col-3'
+  | 'md:col-4'
+  | 'md:col-5'
+  | 'md:col-6'
+  | 'md:col-7'
+  | 'md:col-8'
+  | 'md:col-9'
+  | 'md:col-auto'
+  | 'md:contents'
+  | 'md:fixed'
+  | 'md:flex'
+  | 'md:flex-col'
+  | 'md:flex-row'
+  | 'md:flex-wrap'
+  | 'md:font-bold'
+  | 'md:font-extrabold'
+  | 'md:font-light'
+  | 'md:font-medium'
+  | 'md:font-normal'
+  | 'md:font-semibold'
+  | 'md:gap-0'
+  | 'md:gap-1'
+  | 'md:gap-2'
+  | 'md:gap-3'
+  | 'md:gap-4'
+  | 'md:gap-5'
+  | 'md:gap-6'
+  | 'md:gap-7'
+  | 'md:gap-x-0'
+  | 'md:gap-x-1'
+  | 'md:gap-x-2'
+  | 'md:gap-x-3'
+  | 'md:gap-x-4'
+  | 'md:gap-x-5'
+  | 'md:gap-x-6'
+  | 'md:gap-x-7'
+  | 'md:gap-y-0'
+  | 'md:gap-y-1'
+  | 'md:gap-y-2'
+  | 'md:gap-y-3'
+  | 'md:gap-y-4'
+  | 'md:gap-y-5'
+  | 'md:gap-y-6'
+  | 'md:gap-y-7'
+  | 'md:grid'
+  | 'md:grow'
+  | 'md:h-0'
+  | 'md:h-1'
+  | 'md:h-2'
+  | 'md:h-3'
+  | 'md:h-4'
+  | 'md:h-5'
+  | 'md:h-6'
+  | 'md:h-7'
+  | 'md:h-auto'
+  | 'md:h-full'
+  | 'md:h-screen'
+  | 'md:hidden'
+  | 'md:inline'
+  | 'md:inline-block'
+  | 'md:inline-flex'
+  | 'md:inline-grid'
+  | 'md:inset-0'
+  | 'md:inset-auto'
+  | 'md:inset-x-0'
+  | 'md:inset-y-0'
+  | 'md:invisible'
+  | 'md:items-center'
+  | 'md:items-end'
+  | 'md:items-start'
+  | 'md:justify-around'
+  | 'md:justify-between'
+  | 'md:justify-center'
+  | 'md:left-0'
+  | 'md:left-1'
+  | 'md:left-2'
+  | 'md:left-3'
+  | 'md:left-4'
+  | 'md:left-5'
+  | 'md:left-6'
+  | 'md:left-7'
+  | 'md:m-0'
+  | 'md:m-1'
+  | 'md:m-2'
+  | 'md:m-3'
+  | 'md:m-4'
+  | 'md:m-5'
+  | 'md:m-6'
+  | 'md:m-7'
+  | 'md:m-b-0'
+  | 'md:m-b-1'
+  | 'md:m-b-2'
+  | 'md:m-b-3'
+  | 'md:m-b-4'
+  | 'md:m-b-5'
+  | 'md:m-b-6'
+  | 'md:m-b-7'
+  | 'md:m-l-0'
+  | 'md:m-l-1'
+  | 'md:m-l-2'
+  | 'md:m-l-3'
+  | 'md:m-l-4'
+  | 'md:m-l-5'
+  | 'md:m-l-6'
+  | 'md:m-l-7'
+  | 'md:m-r-0'
+  | 'md:m-r-1'
+  | 'md:m-r-2'
+  | 'md:m-r-3'
+  | 'md:m-r-4'
+  | 'md:m-r-5'
+  | 'md:m-r-6'
+  | 'md:m-r-7'
+  | 'md:m-t-0'
+  | 'md:m-t-1'
+  | 'md:m-t-2'
+  | 'md:m-t-3'
+  | 'md:m-t-4'
+  | 'md:m-t-5'
+  | 'md:m-t-6'
+  | 'md:m-t-7'
+  | 'md:m-x-0'
+  | 'md:m-x-1'
+  | 'md:m-x-2'
+  | 'md:m-x-3'
+  | 'md:m-x-4'
+  | 'md:m-x-5'
+  | 'md:m-x-6'
+  | 'md:m-x-7'
+  | 'md:m-y-0'
+  | 'md:m-y-1'
+  | 'md:m-y-2'
+  | 'md:m-y-3'
+  | 'md:m-y-4'
+  | 'md:m-y-5'
+  | 'md:m-y-6'
+  | 'md:m-y-7'
+  | 'md:max-w-container'
+  | 'md:max-w-full'
+  | 'md:max-w-lg'
+  | 'md:max-w-md'
+  | 'md:max-w-none'
+  | 'md:max-w-prose'
+  | 'md:max-w-sm'
+  | 'md:max-w-xl'
+  | 'md:min-h-screen'
+  | 'md:offset-0'
+  | 'md:offset-1'
+  | 'md:offset-10'
+  | 'md:offset-11'
+  | 'md:offset-2'
+  | 'md:offset-3'
+  | 'md:offset-4'
+  | 'md:offset-5'
+  | 'md:offset-6'
+  | 'md:offset-7'
+  | 'md:offset-8'
+  | 'md:offset-9'
+  | 'md:order-0'
+  | 'md:order-1'
+  | 'md:order-10'
+  | 'md:order-11'
+  | 'md:order-12'
+  | 'md:order-2'
+  | 'md:order-3'
+  | 'md:order-4'
+  | 'md:order-5'
+  | 'md:order-6'
+  | 'md:order-7'
+  | 'md:order-8'
+  | 'md:order-9'
+  | 'md:order-first'
+  | 'md:order-last'
+  | 'md:p-0'
+  | 'md:p-1'
+  | 'md:p-2'
+  | 'md:p-3'
+  | 'md:p-4'
+  | 'md:p-5'
+  | 'md:p-6'
+  | 'md:p-7'
+  | 'md:p-b-0'
+  | 'md:p-b-1'
+  | 'md:p-b-2'
+  | 'md:p-b-3'
+  | 'md:p-b-4'
+  | 'md:p-b-5'
+  | 'md:p-b-6'
+  | 'md:p-b-7'
+  | 'md:p-l-0'
+  | 'md:p-l-1'
+  | 'md:p-l-2'
+  | 'md:p-l-3'
+  | 'md:p-l-4'
+  | 'md:p-l-5'
+  | 'md:p-l-6'
+  | 'md:p-l-7'
+  | 'md:p-r-0'
+  | 'md:p-r-1'
+  | 'md:p-r-2'
+  | 'md:p-r-3'
+  | 'md:p-r-4'
+  | 'md:p-r-5'
+  | 'md:p-r-6'
+  | 'md:p-r-7'
+  | 'md:p-t-0'
+  | 'md:p-t-1'
+  | 'md:p-t-2'
+  | 'md:p-t-3'
+  | 'md:p-t-4'
+  | 'md:p-t-5'
+  | 'md:p-t-6'
+  | 'md:p-t-7'
+  | 'md:p-x-0'
+  | 'md:p-x-1'
+  | 'md:p-x-2'
+  | 'md:p-x-3'
+  | 'md:p-x-4'
+  | 'md:p-x-5'
+  | 'md:p-x-6'
+  | 'md:p-x-7'
+  | 'md:p-y-0'
+  | 'md:p-y-1'
+  | 'md:p-y-2'
+  | 'md:p-y-3'
+  | 'md:p-y-4'
+  | 'md:p-y-5'
+  | 'md:p-y-6'
+  | 'md:p-y-7'
+  | 'md:relative'
+  | 'md:right-0'
+  | 'md:right-1'
+  | 'md:right-2'
+  | 'md:right-3'
+  | 'md:right-4'
+  | 'md:right-5'
+  | 'md:right-6'
+  | 'md:right-7'
+  | 'md:shrink'
+  | 'md:sr-only'
+  | 'md:static'
+  | 'md:sticky'
+  | 'md:text-2xl'
+  | 'md:text-3xl'
+  | 'md:text-4xl'
+  | 'md:text-5xl'
+  | 'md:text-base'
+  | 'md:text-center'
+  | 'md:text-justify'
+  | 'md:text-left'
+  | 'md:text-lg'
+  | 'md:text-right'
+  | 'md:text-sm'
+  | 'md:text-xl'
+  | 'md:text-xs'
+  | 'md:top-0'
+  | 'md:top-1'
+  | 'md:top-2'
+  | 'md:top-3'
+  | 'md:top-4'
+  | 'md:top-5'
+  | 'md:top-6'
+  | 'md:top-7'
+  | 'md:visible'
+  | 'md:w-0'
+  | 'md:w-1'
+  | 'md:w-1/2'
+  | 'md:w-1/3'
+  | 'md:w-1/4'
+  | 'md:w-2'
+  | 'md:w-2/3'
+  | 'md:w-3'
+  | 'md:w-3/4'
+  | 'md:w-4'
+  | 'md:w-5'
+  | 'md:w-6'
+  | 'md:w-7'
+  | 'md:w-auto'
+  | 'md:w-fit'
+  | 'md:w-full'
+  | 'md:w-screen'
+  | 'min-h-screen'
+  | 'modal'
+  | 'modal-backdrop'
+  | 'modal-close'
+  | 'modal-dialog'
+  | 'modal-footer'
+  | 'modal-header'
+  | 'modal-lg'
+  | 'modal-md'
+  | 'modal-open'
+  | 'modal-sm'
+  | 'modal-title'
+  | 'navbar'
+  | 'navbar-brand'
+  | 'navbar-expand-lg'
+  | 'navbar-expand-md'
+  | 'navbar-expand-sm'
+  | 'navbar-expand-xl'
+  | 'navbar-link'
+  | 'navbar-menu'
+  | 'navbar-toggle'
+  | 'navbar-toggle-bar'
+  | 'offset-0'
+  | 'offset-1'
+  | 'offset-10'
+  | 'offset-11'
+  | 'offset-2'
+  | 'offset-3'
+  | 'offset-4'
+  | 'offset-5'
+  | 'offset-6'
+  | 'offset-7'
+  | 'offset-8'
+  | 'offset-9'
+  | 'opacity-0'
+  | 'opacity-10'
+  | 'opacity-100'
+  | 'opacity-25'
+  | 'opacity-50'
+  | 'opacity-75'
+  | 'opacity-90'
+  | 'order-0'
+  | 'order-1'
+  | 'order-10'
+  | 'order-11'
+  | 'order-12'
+  | 'order-2'
+  | 'order-3'
+  | 'order-4'
+  | 'order-5'
+  | 'order-6'
+  | 'order-7'
+  | 'order-8'
+  | 'order-9'
+  | 'order-first'
+  | 'order-last'
+  | 'p-0'
+  | 'p-1'
+  | 'p-2'
+  | 'p-3'
+  | 'p-4'
+  | 'p-5'
+  | 'p-6'
+  | 'p-7'
+  | 'p-b-0'
+  | 'p-b-1'
+  | 'p-b-2'
+  | 'p-b-3'
+  | 'p-b-4'
+  | 'p-b-5'
+  | 'p-b-6'
+  | 'p-b-7'
+  | 'p-l-0'
+  | 'p-l-1'
+  | 'p-l-2'
+  | 'p-l-3'
+  | 'p-l-4'
+  | 'p-l-5'
+  | 'p-l-6'
+  | 'p-l-7'
+  | 'p-r-0'
+  | 'p-r-1'
+  | 'p-r-2'
+  | 'p-r-3'
+  | 'p-r-4'
+  | 'p-r-5'
+  | 'p-r-6'
+  | 'p-r-7'
+  | 'p-t-0'
+  | 'p-t-1'
+  | 'p-t-2'
+  | 'p-t-3'
+  | 'p-t-4'
+  | 'p-t-5'
+  | 'p-t-6'
+  | 'p-t-7'
+  | 'p-x-0'
+  | 'p-x-1'
+  | 'p-x-2'
+  | 'p-x-3'
+  | 'p-x-4'
+  | 'p-x-5'
+  | 'p-x-6'
+  | 'p-x-7'
+  | 'p-y-0'
+  | 'p-y-1'
+  | 'p-y-2'
+  | 'p-y-3'
+  | 'p-y-4'
+  | 'p-y-5'
+  | 'p-y-6'
+  | 'p-y-7'
+  | 'primary-border'
+  | 'relative'
+  | 'right-0'
+  | 'right-1'
+  | 'right-2'
+  | 'right-3'
+  | 'right-4'
+  | 'right-5'
+  | 'right-6'
+  | 'right-7'
+  | 'rounded'
+  | 'rounded-full'
+  | 'rounded-lg'
+  | 'rounded-none'
+  | 'rounded-sm'
+  | 'rounded-xl'
+  | 'row'
+  | 'shadow'
+  | 'shadow-lg'
+  | 'shadow-md'
+  | 'shadow-none'
+  | 'shadow-sm'
+  | 'shadow-xl'
+  | 'shrink'
+  | 'sm:absolute'
+  | 'sm:block'
+  | 'sm:bottom-0'
+  | 'sm:bottom-1'
+  | 'sm:bottom-2'
+  | 'sm:bottom-3'
+  | 'sm:bottom-4'
+  | 'sm:bottom-5'
+  | 'sm:bottom-6'
+  | 'sm:bottom-7'
+  | 'sm:col'
+  | 'sm:col-1'
+  | 'sm:col-10'
+  | 'sm:col-11'
+  | 'sm:col-12'
+  | 'sm:col-2'
+  | 'sm:col-3'
+  | 'sm:col-4'
+  | 'sm:col-5'
+  | 'sm:col-6'
+  | 'sm:col-7'
+  | 'sm:col-8'
+  | 'sm:col-9'
+  | 'sm:col-auto'
+  | 'sm:contents'
+  | 'sm:fixed'
+  | 'sm:flex'
+  | 'sm:flex-col'
+  | 'sm:flex-row'
+  | 'sm:flex-wrap'
+  | 'sm:font-bold'
+  | 'sm:font-extrabold'
+  | 'sm:font-light'
+  | 'sm:font-medium'
+  | 'sm:font-normal'
+  | 'sm:font-semibold'
+  | 'sm:gap-0'
+  | 'sm:gap-1'
+  | 'sm:gap-2'
+  | 'sm:gap-3'
+  | 'sm:gap-4'
+  | 'sm:gap-5'
+  | 'sm:gap-6'
+  | 'sm:gap-7'
+  | 'sm:gap-x-0'
+  | 'sm:gap-x-1'
+  | 'sm:gap-x-2'
+  | 'sm:gap-x-3'
+  | 'sm:gap-x-4'
+  | 'sm:gap-x-5'
+  | 'sm:gap-x-6'
+  | 'sm:gap-x-7'
+  | 'sm:gap-y-0'
+  | 'sm:gap-y-1'
+  | 'sm:gap-y-2'
+  | 'sm:gap-y-3'
+  | 'sm:gap-y-4'
+  | 'sm:gap-y-5'
+  | 'sm:gap-y-6'
+  | 'sm:gap-y-7'
+  | 'sm:grid'
+  | 'sm:grow'
+  | 'sm:h-0'
+  | 'sm:h-1'
+  | 'sm:h-2'
+  | 'sm:h-3'
+  | 'sm:h-4'
+  | 'sm:h-5'
+  | 'sm:h-6'
+  | 'sm:h-7'
+  | 'sm:h-auto'
+  | 'sm:h-full'
+  | 'sm:h-screen'
+  | 'sm:hidden'
+  | 'sm:inline'
+  | 'sm:inline-block'
+  | 'sm:inline-flex'
+  | 'sm:inline-grid'
+  | 'sm:inset-0'
+  | 'sm:inset-auto'
+  | 'sm:inset-x-0'
+  | 'sm:inset-y-0'
+  | 'sm:invisible'
+  | 'sm:items-center'
+  | 'sm:items-end'
+  | 'sm:items-start'
+  | 'sm:justify-around'
+  | 'sm:justify-between'
+  | 'sm:justify-center'
+  | 'sm:left-0'
+  | 'sm:left-1'
+  | 'sm:left-2'
+  | 'sm:left-3'
+  | 'sm:left-4'
+  | 'sm:left-5'
+  | 'sm:left-6'
+  | 'sm:left-7'
+  | 'sm:m-0'
+  | 'sm:m-1'
+  | 'sm:m-2'
+  | 'sm:m-3'
+  | 'sm:m-4'
+  | 'sm:m-5'
+  | 'sm:m-6'
+  | 'sm:m-7'
+  | 'sm:m-b-0'
+  | 'sm:m-b-1'
+  | 'sm:m-b-2'
+  | 'sm:m-b-3'
+  | 'sm:m-b-4'
+  | 'sm:m-b-5'
+  | 'sm:m-b-6'
+  | 'sm:m-b-7'
+  | 'sm:m-l-0'
+  | 'sm:m-l-1'
+  | 'sm:m-l-2'
+  | 'sm:m-l-3'
+  | 'sm:m-l-4'
+  | 'sm:m-l-5'
+  | 'sm:m-l-6'
+  | 'sm:m-l-7'
+  | 'sm:m-r-0'
+  | 'sm:m-r-1'
+  | 'sm:m-r-2'
+  | 'sm:m-r-3'
+  | 'sm:m-r-4'
+  | 'sm:m-r-5'
+  | 'sm:m-r-6'
+  | 'sm:m-r-7'
+  | 'sm:m-t-0'
+  | 'sm:m-t-1'
+  | 'sm:m-t-2'
+  | 'sm:m-t-3'
+  | 'sm:m-t-4'
+  | 'sm:m-t-5'
+  | 'sm:m-t-6'
+  | 'sm:m-t-7'
+  | 'sm:m-x-0'
+  | 'sm:m-x-1'
+  | 'sm:m-x-2'
+  | 'sm:m-x-3'
+  | 'sm:m-x-4'
+  | 'sm:m-x-5'
+  | 'sm:m-x-6'
+  | 'sm:m-x-7'
+  | 'sm:m-y-0'
+  | 'sm:m-y-1'
+  | 'sm:m-y-2'
+  | 'sm:m-y-3'
+  | 'sm:m-y-4'
+  | 'sm:m-y-5'
+  | 'sm:m-y-6'
+  | 'sm:m-y-7'
+  | 'sm:max-w-container'
+  | 'sm:max-w-full'
+  | 'sm:max-w-lg'
+  | 'sm:max-w-md'
+  | 'sm:max-w-none'
+  | 'sm:max-w-prose'
+  | 'sm:max-w-sm'
+  | 'sm:max-w-xl'
+  | 'sm:min-h-screen'
+  | 'sm:offset-0'
+  | 'sm:offset-1'
+  | 'sm:offset-10'
+  | 'sm:offset-11'
+  | 'sm:offset-2'
+  | 'sm:offset-3'
+  | 'sm:offset-4'
+  | 'sm:offset-5'
+  | 'sm:offset-6'
+  | 'sm:offset-7'
+  | 'sm:offset-8'
+  | 'sm:offset-9'
+  | 'sm:order-0'
+  | 'sm:order-1'
+  | 'sm:order-10'
+  | 'sm:order-11'
+  | 'sm:order-12'
+  | 'sm:order-2'
+  | 'sm:order-3'
+  | 'sm:order-4'
+  | 'sm:order-5'
+  | 'sm:order-6'
+  | 'sm:order-7'
+  | 'sm:order-8'
+  | 'sm:order-9'
+  | 'sm:order-first'
+  | 'sm:order-last'
+  | 'sm:p-0'
+  | 'sm:p-1'
+  | 'sm:p-2'
+  | 'sm:p-3'
+  | 'sm:p-4'
+  | 'sm:p-5'
+  | 'sm:p-6'
+  | 'sm:p-7'
+  | 'sm:p-b-0'
+  | 'sm:p-b-1'
+  | 'sm:p-b-2'
+  | 'sm:p-b-3'
+  | 'sm:p-b-4'
+  | 'sm:p-b-5'
+  | 'sm:p-b-6'
+  | 'sm:p-b-7'
+  | 'sm:p-l-0'
+  | 'sm:p-l-1'
+  | 'sm:p-l-2'
+  | 'sm:p-l-3'
+  | 'sm:p-l-4'
+  | 'sm:p-l-5'
+  | 'sm:p-l-6'
+  | 'sm:p-l-7'
+  | 'sm:p-r-0'
+  | 'sm:p-r-1'
+  | 'sm:p-r-2'
+  | 'sm:p-r-3'
+  | 'sm:p-r-4'
+  | 'sm:p-r-5'
+  | 'sm:p-r-6'
+  | 'sm:p-r-7'
+  | 'sm:p-t-0'
+  | 'sm:p-t-1'
+  | 'sm:p-t-2'
+  | 'sm:p-t-3'
+  | 'sm:p-t-4'
+  | 'sm:p-t-5'
+  | 'sm:p-t-6'
+  | 'sm:p-t-7'
+  | 'sm:p-x-0'
+  | 'sm:p-x-1'
+  | 'sm:p-x-2'
+  | 'sm:p-x-3'
+  | 'sm:p-x-4'
+  | 'sm:p-x-5'
+  | 'sm:p-x-6'
+  | 'sm:p-x-7'
+  | 'sm:p-y-0'
+  | 'sm:p-y-1'
+  | 'sm:p-y-2'
+  | 'sm:p-y-3'
+  | 'sm:p-y-4'
+  | 'sm:p-y-5'
+  | 'sm:p-y-6'
+  | 'sm:p-y-7'
+  | 'sm:relative'
+  | 'sm:right-0'
+  | 'sm:right-1'
+  | 'sm:right-2'
+  | 'sm:right-3'
+  | 'sm:right-4'
+  | 'sm:right-5'
+  | 'sm:right-6'
+  | 'sm:right-7'
+  | 'sm:shrink'
+  | 'sm:sr-only'
+  | 'sm:static'
+  | 'sm:sticky'
+  | 'sm:text-2xl'
+  | 'sm:text-3xl'
+  | 'sm:text-4xl'
+  | 'sm:text-5xl'
+  | 'sm:text-base'
+  | 'sm:text-center'
+  | 'sm:text-justify'
+  | 'sm:text-left'
+  | 'sm:text-lg'
+  | 'sm:text-right'
+  | 'sm:text-sm'
+  | 'sm:text-xl'
+  | 'sm:text-xs'
+  | 'sm:top-0'
+  | 'sm:top-1'
+  | 'sm:top-2'
+  | 'sm:top-3'
+  | 'sm:top-4'
+  | 'sm:top-5'
+  | 'sm:top-6'
+  | 'sm:top-7'
+  | 'sm:visible'
+  | 'sm:w-0'
+  | 'sm:w-1'
+  | 'sm:w-1/2'
+  | 'sm:w-1/3'
+  | 'sm:w-1/4'
+  | 'sm:w-2'
+  | 'sm:w-2/3'
+  | 'sm:w-3'
+  | 'sm:w-3/4'
+  | 'sm:w-4'
+  | 'sm:w-5'
+  | 'sm:w-6'
+  | 'sm:w-7'
+  | 'sm:w-auto'
+  | 'sm:w-fit'
+  | 'sm:w-full'
+  | 'sm:w-screen'
+  | 'sr-only'
+  | 'static'
+  | 'sticky'
+  | 'success-border'
+  | 'tabs'
+  | 'tabs-ghost'
+  | 'tabs-lg'
+  | 'tabs-list'
+  | 'tabs-md'
+  | 'tabs-panel'
+  | 'tabs-sm'
+  | 'tabs-solid'
+  | 'tabs-tab'
+  | 'text-2xl'
+  | 'text-3xl'
+  | 'text-4xl'
+  | 'text-5xl'
+  | 'text-base'
+  | 'text-black'
+  | 'text-center'
+  | 'text-danger'
+  | 'text-danger-100'
+  | 'text-danger-200'
+  | 'text-danger-300'
+  | 'text-danger-400'
+  | 'text-danger-50'
+  | 'text-danger-500'
+  | 'text-danger-600'
+  | 'text-danger-700'
+  | 'text-danger-800'
+  | 'text-danger-900'
+  | 'text-danger-950'
+  | 'text-danger-dark'
+  | 'text-danger-light'
+  | 'text-justify'
+  | 'text-left'
+  | 'text-lg'
+  | 'text-primary'
+  | 'text-primary-100'
+  | 'text-primary-200'
+  | 'text-primary-300'
+  | 'text-primary-400'
+  | 'text-primary-50'
+  | 'text-primary-500'
+  | 'text-primary-600'
+  | 'text-primary-700'
+  | 'text-primary-800'
+  | 'text-primary-900'
+  | 'text-primary-950'
+  | 'text-primary-dark'
+  | 'text-primary-light'
+  | 'text-right'
+  | 'text-sm'
+  | 'text-success'
+  | 'text-success-100'
+  | 'text-success-200'
+  | 'text-success-300'
+  | 'text-success-400'
+  | 'text-success-50'
+  | 'text-success-500'
+  | 'text-success-600'
+  | 'text-success-700'
+  | 'text-success-800'
+  | 'text-success-900'
+  | 'text-success-950'
+  | 'text-success-dark'
+  | 'text-success-light'
+  | 'text-warning'
+  | 'text-warning-100'
+  | 'text-warning-200'
+  | 'text-warning-300'
+  | 'text-warning-400'
+  | 'text-warning-50'
+  | 'text-warning-500'
+  | 'text-warning-600'
+  | 'text-warning-700'
+  | 'text-warning-800'
+  | 'text-warning-900'
+  | 'text-warning-950'
+  | 'text-warning-dark'
+  | 'text-warning-light'
+  | 'text-white'
+  | 'text-xl'
+  | 'text-xs'
+  | 'top-0'
+  | 'top-1'
+  | 'top-2'
+  | 'top-3'
+  | 'top-4'
+  | 'top-5'
+  | 'top-6'
+  | 'top-7'
+  | 'transition'
+  | 'visible'
+  | 'w-0'
+  | 'w-1'
+  | 'w-1/2'
+  | 'w-1/3'
+  | 'w-1/4'
+  | 'w-2'
+  | 'w-2/3'
+  | 'w-3'
+  | 'w-3/4'
+  | 'w-4'
+  | 'w-5'
+  | 'w-6'
+  | 'w-7'
+  | 'w-auto'
+  | 'w-fit'
+  | 'w-full'
+  | 'w-screen'
+  | 'warning-border'
+  | 'xl:absolute'
+  | 'xl:block'
+  | 'xl:bottom-0'
+  | 'xl:bottom-1'
+  | 'xl:bottom-2'
+  | 'xl:bottom-3'
+  | 'xl:bottom-4'
+  | 'xl:bottom-5'
+  | 'xl:bottom-6'
+  | 'xl:bottom-7'
+  | 'xl:col'
+  | 'xl:col-1'
+  | 'xl:col-10'
+  | 'xl:col-11'
+  | 'xl:col-12'
+  | 'xl:col-2'
+  | 'xl:col-3'
+  | 'xl:col-4'
+  | 'xl:col-5'
+  | 'xl:col-6'
+  | 'xl:col-7'
+  | 'xl:col-8'
+  | 'xl:col-9'
+  | 'xl:col-auto'
+  | 'xl:contents'
+  | 'xl:fixed'
+  | 'xl:flex'
+  | 'xl:flex-col'
+  | 'xl:flex-row'
+  | 'xl:flex-wrap'
+  | 'xl:font-bold'
+  | 'xl:font-extrabold'
+  | 'xl:font-light'
+  | 'xl:font-medium'
+  | 'xl:font-normal'
+  | 'xl:font-semibold'
+  | 'xl:gap-0'
+  | 'xl:gap-1'
+  | 'xl:gap-2'
+  | 'xl:gap-3'
+  | 'xl:gap-4'
+  | 'xl:gap-5'
+  | 'xl:gap-6'
+  | 'xl:gap-7'
+  | 'xl:gap-x-0'
+  | 'xl:gap-x-1'
+  | 'xl:gap-x-2'
+  | 'xl:gap-x-3'
+  | 'xl:gap-x-4'
+  | 'xl:gap-x-5'
+  | 'xl:gap-x-6'
+  | 'xl:gap-x-7'
+  | 'xl:gap-y-0'
+  | 'xl:gap-y-1'
+  | 'xl:gap-y-2'
+  | 'xl:gap-y-3'
+  | 'xl:gap-y-4'
+  | 'xl:gap-y-5'
+  | 'xl:gap-y-6'
+  | 'xl:gap-y-7'
+  | 'xl:grid'
+  | 'xl:grow'
+  | 'xl:h-0'
+  | 'xl:h-1'
+  | 'xl:h-2'
+  | 'xl:h-3'
+  | 'xl:h-4'
+  | 'xl:h-5'
+  | 'xl:h-6'
+  | 'xl:h-7'
+  | 'xl:h-auto'
+  | 'xl:h-full'
+  | 'xl:h-screen'
+  | 'xl:hidden'
+  | 'xl:inline'
+  | 'xl:inline-block'
+  | 'xl:inline-flex'
+  | 'xl:inline-grid'
+  | 'xl:inset-0'
+  | 'xl:inset-auto'
+  | 'xl:inset-x-0'
+  | 'xl:inset-y-0'
+  | 'xl:invisible'
+  | 'xl:items-center'
+  | 'xl:items-end'
+  | 'xl:items-start'
+  | 'xl:justify-around'
+  | 'xl:justify-between'
+  | 'xl:justify-center'
+  | 'xl:left-0'
+  | 'xl:left-1'
+  | 'xl:left-2'
+  | 'xl:left-3'
+  | 'xl:left-4'
+  | 'xl:left-5'
+  | 'xl:left-6'
+  | 'xl:left-7'
+  | 'xl:m-0'
+  | 'xl:m-1'
+  | 'xl:m-2'
+  | 'xl:m-3'
+  | 'xl:m-4'
+  | 'xl:m-5'
+  | 'xl:m-6'
+  | 'xl:m-7'
+  | 'xl:m-b-0'
+  | 'xl:m-b-1'
+  | 'xl:m-b-2'
+  | 'xl:m-b-3'
+  | 'xl:m-b-4'
+  | 'xl:m-b-5'
+  | 'xl:m-b-6'
+  | 'xl:m-b-7'
+  | 'xl:m-l-0'
+  | 'xl:m-l-1'
+  | 'xl:m-l-2'
+  | 'xl:m-l-3'
+  | 'xl:m-l-4'
+  | 'xl:m-l-5'
+  | 'xl:m-l-6'
+  | 'xl:m-l-7'
+  | 'xl:m-r-0'
+  | 'xl:m-r-1'
+  | 'xl:m-r-2'
+  | 'xl:m-r-3'
+  | 'xl:m-r-4'
+  | 'xl:m-r-5'
+  | 'xl:m-r-6'
+  | 'xl:m-r-7'
+  | 'xl:m-t-0'
+  | 'xl:m-t-1'
+  | 'xl:m-t-2'
+  | 'xl:m-t-3'
+  | 'xl:m-t-4'
+  | 'xl:m-t-5'
+  | 'xl:m-t-6'
+  | 'xl:m-t-7'
+  | 'xl:m-x-0'
+  | 'xl:m-x-1'
+  | 'xl:m-x-2'
+  | 'xl:m-x-3'
+  | 'xl:m-x-4'
+  | 'xl:m-x-5'
+  | 'xl:m-x-6'
+  | 'xl:m-x-7'
+  | 'xl:m-y-0'
+  | 'xl:m-y-1'
+  | 'xl:m-y-2'
+  | 'xl:m-y-3'
+  | 'xl:m-y-4'
+  | 'xl:m-y-5'
+  | 'xl:m-y-6'
+  | 'xl:m-y-7'
+  | 'xl:max-w-container'
+  | 'xl:max-w-full'
+  | 'xl:max-w-lg'
+  | 'xl:max-w-md'
+  | 'xl:max-w-none'
+  | 'xl:max-w-prose'
+  | 'xl:max-w-sm'
+  | 'xl:max-w-xl'
+  | 'xl:min-h-screen'
+  | 'xl:offset-0'
+  | 'xl:offset-1'
+  | 'xl:offset-10'
+  | 'xl:offset-11'
+  | 'xl:offset-2'
+  | 'xl:offset-3'
+  | 'xl:offset-4'
+  | 'xl:offset-5'
+  | 'xl:offset-6'
+  | 'xl:offset-7'
+  | 'xl:offset-8'
+  | 'xl:offset-9'
+  | 'xl:order-0'
+  | 'xl:order-1'
+  | 'xl:order-10'
+  | 'xl:order-11'
+  | 'xl:order-12'
+  | 'xl:order-2'
+  | 'xl:order-3'
+  | 'xl:order-4'
+  | 'xl:order-5'
+  | 'xl:order-6'
+  | 'xl:order-7'
+  | 'xl:order-8'
+  | 'xl:order-9'
+  | 'xl:order-first'
+  | 'xl:order-last'
+  | 'xl:p-0'
+  | 'xl:p-1'
+  | 'xl:p-2'
+  | 'xl:p-3'
+  | 'xl:p-4'
+  | 'xl:p-5'
+  | 'xl:p-6'
+  | 'xl:p-7'
+  | 'xl:p-b-0'
+  | 'xl:p-b-1'
+  | 'xl:p-b-2'
+  | 'xl:p-b-3'
+  | 'xl:p-b-4'
+  | 'xl:p-b-5'
+  | 'xl:p-b-6'
+  | 'xl:p-b-7'
+  | 'xl:p-l-0'
+  | 'xl:p-l-1'
+  | 'xl:p-l-2'
+  | 'xl:p-l-3'
+  | 'xl:p-l-4'
+  | 'xl:p-l-5'
+  | 'xl:p-l-6'
+  | 'xl:p-l-7'
+  | 'xl:p-r-0'
+  | 'xl:p-r-1'
+  | 'xl:p-r-2'
+  | 'xl:p-r-3'
+  | 'xl:p-r-4'
+  | 'xl:p-r-5'
+  | 'xl:p-r-6'
+  | 'xl:p-r-7'
+  | 'xl:p-t-0'
+  | 'xl:p-t-1'
+  | 'xl:p-t-2'
+  | 'xl:p-t-3'
+  | 'xl:p-t-4'
+  | 'xl:p-t-5'
+  | 'xl:p-t-6'
+  | 'xl:p-t-7'
+  | 'xl:p-x-0'
+  | 'xl:p-x-1'
+  | 'xl:p-x-2'
+  | 'xl:p-x-3'
+  | 'xl:p-x-4'
+  | 'xl:p-x-5'
+  | 'xl:p-x-6'
+  | 'xl:p-x-7'
+  | 'xl:p-y-0'
+  | 'xl:p-y-1'
+  | 'xl:p-y-2'
+  | 'xl:p-y-3'
+  | 'xl:p-y-4'
+  | 'xl:p-y-5'
+  | 'xl:p-y-6'
+  | 'xl:p-y-7'
+  | 'xl:relative'
+  | 'xl:right-0'
+  | 'xl:right-1'
+  | 'xl:right-2'
+  | 'xl:right-3'
+  | 'xl:right-4'
+  | 'xl:right-5'
+  | 'xl:right-6'
+  | 'xl:right-7'
+  | 'xl:shrink'
+  | 'xl:sr-only'
+  | 'xl:static'
+  | 'xl:sticky'
+  | 'xl:text-2xl'
+  | 'xl:text-3xl'
+  | 'xl:text-4xl'
+  | 'xl:text-5xl'
+  | 'xl:text-base'
+  | 'xl:text-center'
+  | 'xl:text-justify'
+  | 'xl:text-left'
+  | 'xl:text-lg'
+  | 'xl:text-right'
+  | 'xl:text-sm'
+  | 'xl:text-xl'
+  | 'xl:text-xs'
+  | 'xl:top-0'
+  | 'xl:top-1'
+  | 'xl:top-2'
+  | 'xl:top-3'
+  | 'xl:top-4'
+  | 'xl:top-5'
+  | 'xl:top-6'
+  | 'xl:top-7'
+  | 'xl:visible'
+  | 'xl:w-0'
+  | 'xl:w-1'
+  | 'xl:w-1/2'
+  | 'xl:w-1/3'
+  | 'xl:w-1/4'
+  | 'xl:w-2'
+  | 'xl:w-2/3'
+  | 'xl:w-3'
+  | 'xl:w-3/4'
+  | 'xl:w-4'
+  | 'xl:w-5'
+  | 'xl:w-6'
+  | 'xl:w-7'
+  | 'xl:w-auto'
+  | 'xl:w-fit'
+  | 'xl:w-full'
+  | 'xl:w-screen'
+  | 'z-0'
+  | 'z-10'
+  | 'z-20'
+  | 'z-30'
+  | 'z-40'
+  | 'z-50'
+  | 'z-auto';
+
+export type PlugoClassList = PlugoClass | `${PlugoClass} ${string}`;
@@ -0,0 +1,174 @@
+/* Generated by Plugo from plugo.config.js, do not edit. */
+export const tokens = {
+  "colors": {
+    "primary": {
+      "base": "#6e52f7",
+      "light": "#897fff",
+      "dark": "#5b3fd3",
+      "scale": {
+        "50": "#f0f0ff",
+        "100": "#e0e1ff",
+        "200": "#c4c5ff",
+        "300": "#a7a5ff",
+        "400": "#897fff",
+        "500": "#6e52f7",
+        "600": "#5b3fd3",
+        "700": "#482cb1",
+        "800": "#37198f",
+        "900": "#26036f",
+        "950": "#1b0055"
+      }
+    },
+    "success": {
+      "base": "#78ffcb",
+      "light": "#9dffd6",
+      "dark": "#54d0a2",
+      "scale": {
+        "50": "#e8fff4",
+        "100": "#dffff0",
+        "200": "#cdffe8",
+        "300": "#b8ffe0",
+        "400": "#9dffd6",
+        "500": "#78ffcb",
+        "600": "#54d0a2",
+        "700": "#30a27b",
+        "800": "#017756",
+        "900": "#004c36",
+        "950": "#003222"
+      }
+    },
+    "warning": {
+      "base": "#ffdb63",
+      "light": "#ffe38a",
+      "dark": "#d0b042",
+      "scale": {
+        "50": "#fff8e3",
+        "100": "#fff6d7",
+        "200": "#fff0c1",
+        "300": "#ffeaa8",
+        "400": "#ffe38a",
+        "500": "#ffdb63",
+        "600": "#d0b042",
+        "700": "#a4871f",
+        "800": "#786100",
+        "900": "#4d3d00",
+        "950": "#322700"
+      }
+    },
+    "danger": {
+      "base": "#ff5e78",
+      "light": "#ff8c98",
+      "dark": "#d6465f",
+      "scale": {
+        "50": "#fff0f1",
+        "100": "#ffe3e5",
+        "200": "#ffcbce",
+        "300": "#ffaeb4",
+        "400": "#ff8c98",
+        "500": "#ff5e78",
+        "600": "#d6465f",
+        "700": "#ae2e47",
+        "800": "#871430",
+        "900": "#60001c",
+        "950": "#440012"
+      }
+    }
+  },
+  "darkColors": {
+    "primary": {
+      "base": "#5640c2",
+      "light": "#836bf8",
+      "dark": "#4f3bb2"
+    },
+    "success": {
+      "base": "#5ec89f",
+      "light": "#8bffd2",
+      "dark": "#56b892"
+    },
+    "warning": {
+      "base": "#c8ac4e",
+      "light": "#ffe079",
+      "dark": "#b89e48"
+    },
+    "danger": {
+      "base": "#c84a5e",
+      "light": "#ff758b",
+      "dark": "#b84456"
+    }
+  },
+  "surfaces": {
+    "light": {
+      "background": "#ffffff",
+      "text": "#0f172a",
+      "border": "#e5e7eb",
+      "card": "#ffffff",
+      "muted": "#475569"
+    },
+    "dark": {
+      "background": "#0f172a",
+      "text": "#e2e8f0",
+      "border": "#334155",
+      "card": "#1e293b",
+      "muted": "#94a3b8"
+    }
+  },
+  "typography": {
+    "main": "Arial, sans-serif",
+    "headlines": "Verdana, sans-serif",
+    "lineHeight": 1.25,
+    "sizes": {
+      "xs": "clamp(0.64rem, 0.7126rem - 0.0907vw, 0.6944rem)",
+      "sm": "clamp(0.8rem, 0.8444rem - 0.0556vw, 0.8333rem)",
+      "base": "1rem",
+      "lg": "clamp(1.2rem, 1.1833rem + 0.0833vw, 1.25rem)",
+      "xl": "clamp(1.44rem, 1.3992rem + 0.2042vw, 1.5625rem)",
+      "2xl": "clamp(1.728rem, 1.653rem + 0.3752vw, 1.9531rem)",
+      "3xl": "clamp(2.0736rem, 1.951rem + 0.613vw, 2.4414rem)",
+      "4xl": "clamp(2.4883rem, 2.3005rem + 0.9391vw, 3.0518rem)",
+      "5xl": "clamp(2.986rem, 2.7097rem + 1.3812vw, 3.8147rem)"
+    }
+  },
+  "spacing": {
+    "baseUnit": "16px",
+    "steps": {
+      "0": "0px",
+      "1": "4px",
+      "2": "8px",
+      "3": "12px",
+      "4": "16px",
+      "5": "24px",
+      "6": "32px",
+      "7": "48px"
+    }
+  },
+  "layout": {
+    "mode": "flex",
+    "container": "1200px",
+    "containers": {
+      "sm": "640px",
+      "md": "768px",
+      "lg": "1024px",
+      "xl": "1200px"
+    },
+    "cols": 12,
+    "gutters": {
+      "base": "16px",
+      "lg": "24px"
+    },
+    "breakpoints": {
+      "sm": "640px",
+      "md": "768px",
+      "lg": "1024px",
+      "xl": "1280px"
+    }
+  },
+  "transition": {
+    "duration": "300ms",
+    "type": "ease"
+  },
+  "themes": [
+    "highContrast"
+  ]
+};
+
+export default tokens;
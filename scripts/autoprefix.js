@@ -0,0 +1,163 @@
+import { BROWSERS, BROWSER_ALIASES, PREFIX_RULES } from './browser-data.js';
+import { parseCss, stringifyCss } from './css-parser.js';
+
+export const DEFAULT_TARGETS = '> 0.5%, last 2 versions, Firefox ESR, not dead';
+
+function compareVersions(left, right) {
+  return parseFloat(left) - parseFloat(right);
+}
+
+function usageOf(browser, version) {
+  return BROWSERS[browser].usage[version] ?? 0.01;
+}
+
+function resolveBrowser(name) {
+  const browser = BROWSER_ALIASES[name.toLowerCase()];
+  if (!browser) {
+    throw new Error(`Unknown browser "${name}" in targets`);
+  }
+  return browser;
+}
+
+function allVersions() {
+  return Object.entries(BROWSERS).flatMap(([browser, { versions }]) => (
+    versions.map((version) => ({ browser, version }))
+  ));
+}
+
+function selectQuery(query) {
+  const normalized = query.trim().toLowerCase().replace(/\s+/g, ' ');
+  let match;
+
+  if (normalized === 'defaults') {
+    return resolveTargetList(DEFAULT_TARGETS);
+  }
+  if ((match = normalized.match(/^> ?(\d*\.?\d+)%$/))) {
+    const threshold = parseFloat(match[1]);
+    return allVersions().filter(({ browser, version }) => usageOf(browser, version) > threshold);
+  }
+  if ((match = normalized.match(/^last (\d+) versions?$/))) {
+    const count = Number(match[1]);
+    return Object.entries(BROWSERS).flatMap(([browser, { versions }]) => (
+      versions.slice(-count).map((version) => ({ browser, version }))
+    ));
+  }
+  if ((match = normalized.match(/^last (\d+) ([\w_]+) versions?$/))) {
+    const browser = resolveBrowser(match[2]);
+    return BROWSERS[browser].versions.slice(-Number(match[1])).map((version) => ({ browser, version }));
+  }
+  if (normalized === 'firefox esr') {
+    return BROWSERS.firefox.esr.map((version) => ({ browser: 'firefox', version }));
+  }
+  if ((match = normalized.match(/^([\w_]+) ?(>=|>|<=|<) ?(\d*\.?\d+)$/))) {
+    const browser = resolveBrowser(match[1]);
+    const [, , operator, bound] = match;
+    const compare = {
+      '>=': (version) => compareVersions(version, bound) >= 0,
+      '>': (version) => compareVersions(version, bound) > 0,
+      '<=': (version) => compareVersions(version, bound) <= 0,
+      '<': (version) => compareVersions(version, bound) < 0
+    }[operator];
+    return BROWSERS[browser].versions.filter(compare).map((version) => ({ browser, version }));
+  }
+  if ((match = normalized.match(/^([\w_]+) (\d*\.?\d+)$/))) {
+    const browser = resolveBrowser(match[1]);
+    return [{ browser, version: match[2] }];
+  }
+  throw new Error(`Unsupported targets query "${query.trim()}"`);
+}
+
+function resolveTargetList(query) {
+  const selected = new Map();
+  query.split(',').map((part) => part.trim()).filter(Boolean).forEach((part) => {
+    if (/^not dead$/i.test(part)) {
+      Array.from(selected.values())
+        .filter(({ browser }) => BROWSERS[browser].dead)
+        .forEach(({ browser, version }) => selected.delete(`${browser} ${version}`));
+      return;
+    }
+    const negated = /^not /i.test(part);
+    const entries = selectQuery(negated ? part.slice(4) : part);
+    entries.forEach((entry) => {
+      const key = `${entry.browser} ${entry.version}`;
+      if (negated) {
+        selected.delete(key);
+      } else {
+        selected.set(key, entry);
+      }
+    });
+  });
+  return Array.from(selected.values());
+}
+
+export function resolveTargets(targets = DEFAULT_TARGETS) {
+  if (typeof targets === 'string') {
+    return resolveTargetList(targets);
+  }
+  return Object.entries(targets).flatMap(([name, minimum]) => {
+    const browser = resolveBrowser(name);
+    const versions = BROWSERS[browser].versions.filter((version) => compareVersions(version, minimum) >= 0);
+    if (!versions.length) {
+      versions.push(String(minimum));
+    }
+    return versions.map((version) => ({ browser, version }));
+  });
+}
+
+export function requiredPrefixes(targets) {
+  const selected = resolveTargets(targets);
+  return PREFIX_RULES.filter(({ until }) => selected.some(({ browser, version }) => (
+    until[browser] !== undefined && compareVersions(version, until[browser]) < 0
+  )));
+}
+
+function prefixDeclarations(declarations, rules) {
+  const existing = new Set(declarations.map((decl) => `${decl.prop}:${decl.value}`));
+  return declarations.flatMap((decl) => {
+    if (decl.type !== 'decl' || decl.prop.startsWith('-')) {
+      return [decl];
+    }
+    const additions = rules
+      .filter((rule) => rule.prop === decl.prop && (rule.value === undefined || rule.value === decl.value))
+      .map((rule) => ({
+        ...decl,
+        prop: rule.prefixed.prop || decl.prop,
+        value: rule.prefixed.value || decl.value
+      }))
+      .filter((prefixed) => !existing.has(`${prefixed.prop}:${prefixed.value}`));
+    return [...additions, decl];
+  });
+}
+
+function prefixNodes(nodes, rules) {
+  return nodes.map((node) => {
+    if (node.type === 'rule') {
+      return { ...node, declarations: prefixDeclarations(node.declarations, rules) };
+    }
+    if (node.type === 'atrule' && node.nodes) {
+      return { ...node, nodes: prefixNodes(node.nodes, rules) };
+    }
+    return node;
+  });
+}
+
+export function createAutoprefixer(targets) {
+  const rules = requiredPrefixes(targets);
+  return (css) => {
+    if (!rules.length) {
+      return css;
+    }
+    const stylesheet = parseCss(css);
+    return stringifyCss({ ...stylesheet, nodes: prefixNodes(stylesheet.nodes, rules) });
+  };
+}
+
+export function createPrefixFilter(targets) {
+  const required = new Set(requiredPrefixes(targets));
+  return (decl) => {
+    const rule = PREFIX_RULES.find(({ prop, prefixed }) => (
+      prefixed.prop ? decl.prop === prefixed.prop : decl.prop === prop && decl.value === prefixed.value
+    ));
+    return !rule || required.has(rule);
+  };
+}
@@ -0,0 +1,101 @@
+function range(from, to) {
+  return Array.from({ length: to - from + 1 }, (_, index) => String(from + index));
+}
+
+const SAFARI_VERSIONS = [
+  '3.1', '3.2', '4', '5', '5.1', '6', '6.1', '7', '7.1', '8', '9', '9.1', '10', '10.1', '11', '11.1',
+  '12', '12.1', '13', '13.1', '14', '14.1', '15', '15.1', '15.2', '15.4', '15.5', '15.6',
+  '16.0', '16.1', '16.2', '16.3', '16.4', '16.5', '16.6', '17.0', '17.1', '17.2', '17.3', '17.4',
+  '17.5', '17.6', '18.0', '18.1'
+];
+
+/*
+  Offline snapshot of browser releases and their approximate global usage share (in %).
+  Versions missing from `usage` are treated as 0.01%.
+*/
+export const BROWSERS = {
+  chrome: {
+    versions: range(4, 131),
+    usage: { 131: 12.1, 130: 9.5, 129: 1.2, 128: 0.9, 127: 0.5, 126: 0.5, 125: 0.4, 124: 0.3, 109: 0.6, 103: 0.3 }
+  },
+  and_chr: {
+    versions: ['131'],
+    usage: { 131: 40.5 }
+  },
+  edge: {
+    versions: [...range(12, 18), ...range(79, 131)],
+    usage: { 131: 3.8, 130: 0.9, 129: 0.2 }
+  },
+  firefox: {
+    versions: range(2, 132),
+    usage: { 132: 2.1, 131: 0.7, 128: 0.3, 115: 0.2 },
+    esr: ['115', '128']
+  },
+  safari: {
+    versions: SAFARI_VERSIONS,
+    usage: { 18.1: 0.6, '18.0': 0.4, 17.6: 0.7, 17.5: 0.2, 16.6: 0.2, 15.6: 0.1 }
+  },
+  ios_saf: {
+    versions: SAFARI_VERSIONS.slice(1),
+    usage: { 18.1: 6.0, '18.0': 2.2, 17.6: 3.1, 17.5: 0.6, 16.6: 0.9, 15.6: 0.3 }
+  },
+  samsung: {
+    versions: ['4', '5', '6.2', '7.2', '8.2', '9.2', '10.1', '11.1', ...range(12, 26).map((version) => `${version}.0`)],
+    usage: { '26.0': 2.2, '25.0': 0.3 }
+  },
+  opera: {
+    versions: [...range(9, 12), ...range(15, 114)],
+    usage: { 114: 0.9, 113: 0.2 }
+  },
+  ie: {
+    versions: range(6, 11),
+    usage: { 11: 0.3 },
+    dead: true
+  }
+};
+
+export const BROWSER_ALIASES = {
+  chrome: 'chrome',
+  chromeandroid: 'and_chr',
+  and_chr: 'and_chr',
+  edge: 'edge',
+  firefox: 'firefox',
+  ff: 'firefox',
+  safari: 'safari',
+  ios: 'ios_saf',
+  ios_saf: 'ios_saf',
+  samsung: 'samsung',
+  opera: 'opera',
+  ie: 'ie',
+  explorer: 'ie'
+};
+
+/*
+  Prefixes still needed for declarations Plugo emits. `until` lists, per browser, the first
+  version that understands the standard declaration (Infinity when it is still prefixed-only).
+  Entries sharing a property are emitted in order, before the standard declaration.
+*/
+export const PREFIX_RULES = [
+  { prop: 'display', value: 'flex', prefixed: { value: '-webkit-box' }, until: { chrome: 21, safari: 6.1, ios_saf: 7, firefox: 22 } },
+  { prop: 'display', value: 'flex', prefixed: { value: '-ms-flexbox' }, until: { ie: 11 } },
+  { prop: 'display', value: 'flex', prefixed: { value: '-webkit-flex' }, until: { chrome: 29, safari: 9, ios_saf: 9, opera: 16, samsung: 4 } },
+  { prop: 'display', value: 'inline-flex', prefixed: { value: '-webkit-inline-box' }, until: { chrome: 21, safari: 6.1, ios_saf: 7, firefox: 22 } },
+  { prop: 'display', value: 'inline-flex', prefixed: { value: '-ms-inline-flexbox' }, until: { ie: 11 } },
+  { prop: 'display', value: 'inline-flex', prefixed: { value: '-webkit-inline-flex' }, until: { chrome: 29, safari: 9, ios_saf: 9, opera: 16, samsung: 4 } },
+  { prop: 'position', value: 'sticky', prefixed: { value: '-webkit-sticky' }, until: { safari: 13, ios_saf: 13 } },
+  { prop: 'user-select', prefixed: { prop: '-webkit-user-select' }, until: { chrome: 54, opera: 41, samsung: 6.2, safari: Infinity, ios_saf: Infinity } },
+  { prop: 'user-select', prefixed: { prop: '-moz-user-select' }, until: { firefox: 69 } },
+  { prop: 'user-select', prefixed: { prop: '-ms-user-select' }, until: { ie: Infinity, edge: 79 } },
+  { prop: 'appearance', prefixed: { prop: '-webkit-appearance' }, until: { chrome: 84, edge: 84, opera: 70, samsung: 14, safari: 15.4, ios_saf: 15.4 } },
+  { prop: 'appearance', prefixed: { prop: '-moz-appearance' }, until: { firefox: 80 } },
+  { prop: 'backdrop-filter', prefixed: { prop: '-webkit-backdrop-filter' }, until: { safari: 18, ios_saf: 18, edge: 79 } },
+  { prop: 'mask-image', prefixed: { prop: '-webkit-mask-image' }, until: { chrome: 120, edge: 120, opera: 106, samsung: 25, safari: 15.4, ios_saf: 15.4 } },
+  { prop: 'clip-path', prefixed: { prop: '-webkit-clip-path' }, until: { chrome: 55, opera: 42, samsung: 6.2, safari: 13.1, ios_saf: 13.4 } },
+  { prop: 'hyphens', prefixed: { prop: '-webkit-hyphens' }, until: { safari: 17, ios_saf: 17 } },
+  { prop: 'text-size-adjust', prefixed: { prop: '-webkit-text-size-adjust' }, until: { ios_saf: Infinity, samsung: Infinity } },
+  { prop: 'object-fit', prefixed: { prop: '-o-object-fit' }, until: { opera: 15 } },
+  { prop: 'transition', prefixed: { prop: '-webkit-transition' }, until: { chrome: 26, safari: 6.1, ios_saf: 7, opera: 15 } },
+  { prop: 'transform', prefixed: { prop: '-webkit-transform' }, until: { chrome: 36, safari: 9, ios_saf: 9, opera: 23, samsung: 4 } },
+  { prop: 'transform', prefixed: { prop: '-ms-transform' }, until: { ie: 10 } },
+  { prop: 'box-shadow', prefixed: { prop: '-webkit-box-shadow' }, until: { chrome: 10, safari: 5.1, ios_saf: 5 } }
+];
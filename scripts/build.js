@@ -1,118 +1,417 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath, pathToFileURL } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { pathToFileURL } from 'url';
+import { createAutoprefixer, createPrefixFilter } from './autoprefix.js';
+import { createComponentRegistry } from './components.js';
+import { SCALE_STEPS, formatHex, generateScale, mixColor, parseColor } from './color.js';
+import {
+  AA_RATIO,
+  DARK_TEXT,
+  PlugoContrastError,
+  contrastRatio,
+  createContrastAudit,
+  pickForeground,
+  relativeLuminance
+} from './contrast.js';
+import { diffCss, formatCssDiff } from './css-diff.js';
+import { parseCss, selectorClasses, walkRules } from './css-parser.js';
+import { formatCssIssues, validateCss } from './css-validate.js';
+import { minifyCss } from './minify.js';
+import { collectContentClasses, purgeCss } from './purge.js';
+import { LAYER_ORDER, createScoper, prefixClassName, wrapLayer } from './scope.js';
+import { createConcat, createSourceMap, originalPosition } from './sourcemap.js';
+import { toStyleGuide } from './styleguide.js';
+import { toClassModule, toClassTypes, toDesignTokens, toJsModule, toScss } from './tokens.js';
+import { createVariantEngine, resolveVariants } from './variants.js';
+import { PlugoConfigError, validateConfig } from './validate-config.js';
+
+export const SECTIONS = ['config', 'base', 'layout', 'components', 'utilities'];
+export const DEFAULT_CSS_DIR = 'microframework/css';
+export const DEFAULT_JS_DIR = 'microframework/js';
 
 const LIGHTEN_STRENGTH = 0.18;
 const DARKEN_STRENGTH = 0.18;
+const LIGHT_ALIAS_STEP = 400;
+const DARK_ALIAS_STEP = 600;
+const SPACING_SCALE = [0, 0.25, 0.5, 0.75, 1, 1.5, 2, 3];
+const ROOT_FONT_SIZE = 16;
+const HEADING_STEPS = { h1: '4xl', h2: '3xl', h3: '2xl', h4: 'xl', h5: 'lg', h6: 'base' };
+const FONT_FORMATS = { woff2: 'woff2', woff: 'woff', ttf: 'truetype', otf: 'opentype' };
+const TYPE_SCALE_STEPS = { xs: -2, sm: -1, base: 0, lg: 1, xl: 2, '2xl': 3, '3xl': 4, '4xl': 5, '5xl': 6 };
+const FONT_WEIGHTS = { light: 300, normal: 400, medium: 500, semibold: 600, bold: 700, extrabold: 800 };
+const SHADOWS = {
+  sm: '0 1px 2px rgba(15, 23, 42, 0.08)',
+  '': '0 2px 6px rgba(15, 23, 42, 0.1)',
+  md: '0 6px 16px rgba(15, 23, 42, 0.12)',
+  lg: '0 12px 28px rgba(15, 23, 42, 0.14)',
+  xl: '0 24px 48px rgba(15, 23, 42, 0.18)',
+  none: 'none'
+};
 
 function parseUnit(value) {
   const match = String(value).match(/([0-9.]+)([a-z%]+)/);
   return match ? { number: parseFloat(match[1]), unit: match[2] } : { number: 0, unit: 'px' };
 }
 
-function clampChannel(channel) {
-  return Math.min(255, Math.max(0, Math.round(channel)));
+function adjustColor(value, amount) {
+  return mixColor(value, amount >= 0 ? 255 : 0, Math.abs(amount));
+}
+
+const DARK_MODE_SELECTORS = {
+  class: '.dark',
+  attribute: '[data-theme="dark"]'
+};
+
+const SURFACE_DEFAULTS = {
+  background: '#ffffff',
+  text: DARK_TEXT,
+  border: '#e5e7eb',
+  card: '#ffffff',
+  muted: '#475569'
+};
+
+const DARK_SURFACE_DEFAULTS = {
+  background: DARK_TEXT,
+  text: '#e2e8f0',
+  border: '#334155',
+  card: '#1e293b',
+  muted: '#94a3b8'
+};
+
+function resolveDarkMode(darkMode) {
+  if (darkMode === true) return 'media';
+  return darkMode || null;
 }
 
-function adjustColor(hex, amount) {
-  const normalized = hex.replace('#', '');
-  const bigint = parseInt(normalized, 16);
-  const r = (bigint >> 16) & 255;
-  const g = (bigint >> 8) & 255;
-  const b = bigint & 255;
-  const factor = amount >= 0 ? amount : -amount;
-  const adjust = (channel) => {
-    if (amount >= 0) {
-      return clampChannel(channel + (255 - channel) * factor);
+function resolvePalette(colors, darkColors = {}) {
+  return Object.fromEntries(Object.entries(colors).map(([name, value]) => {
+    const scale = generateScale(value);
+    let darkTheme;
+    if (darkColors[name]) {
+      const darkScale = generateScale(darkColors[name]);
+      darkTheme = {
+        base: formatHex(parseColor(darkColors[name])),
+        light: darkScale[LIGHT_ALIAS_STEP].hex,
+        dark: darkScale[DARK_ALIAS_STEP].hex
+      };
+    } else {
+      const darker = adjustColor(value, -DARKEN_STRENGTH * 1.2);
+      darkTheme = {
+        base: darker,
+        light: adjustColor(value, LIGHTEN_STRENGTH * 0.8),
+        dark: adjustColor(darker, -0.08)
+      };
     }
-    return clampChannel(channel * (1 - factor));
+    return [name, {
+      base: formatHex(parseColor(value)),
+      scale,
+      light: scale[LIGHT_ALIAS_STEP].hex,
+      dark: scale[DARK_ALIAS_STEP].hex,
+      darkTheme
+    }];
+  }));
+}
+
+function resolveSurfaces(theme) {
+  return {
+    light: { ...SURFACE_DEFAULTS, ...theme.surfaces },
+    dark: { ...DARK_SURFACE_DEFAULTS, ...theme.darkSurfaces }
   };
+}
 
-  const newR = adjust(r);
-  const newG = adjust(g);
-  const newB = adjust(b);
-  return `#${((1 << 24) + (newR << 16) + (newG << 8) + newB).toString(16).slice(1)}`;
-}
-
-function generateColorPalette(colors, darkMode) {
-  let base = ':root {\n';
-  let utilities = '';
-
-  Object.entries(colors).forEach(([name, value]) => {
-    const light = adjustColor(value, LIGHTEN_STRENGTH);
-    const dark = adjustColor(value, -DARKEN_STRENGTH);
-    base += `  --color-${name}: ${value};\n`;
-    base += `  --color-${name}-light: ${light};\n`;
-    base += `  --color-${name}-dark: ${dark};\n`;
-
-    utilities += `.text-${name} { color: var(--color-${name}); }\n`;
-    utilities += `.text-${name}-light { color: var(--color-${name}-light); }\n`;
-    utilities += `.text-${name}-dark { color: var(--color-${name}-dark); }\n`;
-    utilities += `.bg-${name} { background-color: var(--color-${name}); color: #0f172a; }\n`;
-    utilities += `.bg-${name}-light { background-color: var(--color-${name}-light); color: #0f172a; }\n`;
-    utilities += `.bg-${name}-dark { background-color: var(--color-${name}-dark); color: #f8fafc; }\n`;
-    utilities += `.border-${name} { border-color: var(--color-${name}); }\n`;
+function accessibleShade(name, entry, background) {
+  const steps = relativeLuminance(background) > 0.18
+    ? SCALE_STEPS.filter((step) => step >= 500)
+    : SCALE_STEPS.filter((step) => step <= 500).reverse();
+  const step = steps.find((candidate) => contrastRatio(entry.scale[candidate].hex, background) >= AA_RATIO)
+    || steps[steps.length - 1];
+  return {
+    value: step === 500 ? `var(--color-${name})` : `var(--color-${name}-${step})`,
+    hex: entry.scale[step].hex
+  };
+}
+
+function generateModeVariables(palette, surfaces, audit, { indent, label, dark = false, path = 'theme' }) {
+  let css = '';
+  Object.entries(surfaces).forEach(([key, value]) => {
+    css += `${indent}--surface-${key}: ${value};\n`;
   });
+  Object.entries(palette).forEach(([name, entry]) => {
+    const colors = dark ? entry.darkTheme : entry;
+    const source = dark ? `${path}.darkColors.${name}` : `${path}.colors.${name}`;
+    const suffix = label ? ` (${label})` : '';
+    if (dark) {
+      css += `${indent}--color-${name}: ${colors.base};\n`;
+      css += `${indent}--color-${name}-light: ${colors.light};\n`;
+      css += `${indent}--color-${name}-dark: ${colors.dark};\n`;
+    }
+    ['base', 'light', 'dark'].forEach((variant) => {
+      const background = colors[variant];
+      const token = variant === 'base' ? name : `${name}-${variant}`;
+      const foreground = audit.check(`.bg-${token}${suffix}`, pickForeground(background), background, { source });
+      css += `${indent}--on-${token}: ${foreground};\n`;
+    });
+    const onSurface = accessibleShade(name, entry, surfaces.card);
+    audit.check(`--color-${name}-on-surface${suffix}`, onSurface.hex, surfaces.card, { source, detail: name === 'primary' });
+    css += `${indent}--color-${name}-on-surface: ${onSurface.value};\n`;
+  });
+  return css;
+}
 
-  base += '}\n\n';
+function paletteVariables(typography, palette, indent) {
+  let css = `${indent}--font-main: ${typography.main};\n${indent}--font-headlines: ${typography.headlines};\n`;
+  Object.entries(palette).forEach(([name, entry]) => {
+    css += `${indent}--color-${name}: ${entry.base};\n`;
+    SCALE_STEPS.forEach((step) => {
+      css += `${indent}--color-${name}-${step}: ${entry.scale[step].hex};\n`;
+    });
+    css += `${indent}--color-${name}-light: var(--color-${name}-${LIGHT_ALIAS_STEP});\n`;
+    css += `${indent}--color-${name}-dark: var(--color-${name}-${DARK_ALIAS_STEP});\n`;
+  });
+  return css;
+}
 
-  let darkRoot = '';
-  if (darkMode) {
-    darkRoot += '@media (prefers-color-scheme: dark) {\n  :root {\n';
-    Object.entries(colors).forEach(([name, value]) => {
-      const darker = adjustColor(value, -DARKEN_STRENGTH * 1.2);
-      const lifted = adjustColor(value, LIGHTEN_STRENGTH * 0.8);
-      darkRoot += `    --color-${name}: ${darker};\n`;
-      darkRoot += `    --color-${name}-light: ${lifted};\n`;
-      darkRoot += `    --color-${name}-dark: ${adjustColor(darker, -0.08)};\n`;
+function generateColorPalette(theme, palette, surfaces, darkMode, audit) {
+  let base = `:root {\n${paletteVariables(theme.typography, palette, '  ')}`;
+  const utilities = [];
+
+  Object.entries(palette).forEach(([name, entry]) => {
+    const source = `theme.colors.${name}`;
+    utilities.push(
+      { name: `text-${name}`, declarations: `color: var(--color-${name});` },
+      { name: `text-${name}-light`, declarations: `color: var(--color-${name}-light);` },
+      { name: `text-${name}-dark`, declarations: `color: var(--color-${name}-dark);` },
+      { name: `bg-${name}`, declarations: `background-color: var(--color-${name}); color: var(--on-${name});` },
+      { name: `bg-${name}-light`, declarations: `background-color: var(--color-${name}-light); color: var(--on-${name}-light);` },
+      { name: `bg-${name}-dark`, declarations: `background-color: var(--color-${name}-dark); color: var(--on-${name}-dark);` },
+      { name: `border-${name}`, declarations: `border-color: var(--color-${name});` }
+    );
+    SCALE_STEPS.forEach((step) => {
+      const { hex } = entry.scale[step];
+      const foreground = audit.check(`.bg-${name}-${step}`, pickForeground(hex), hex, { source, detail: false });
+      utilities.push(
+        { name: `text-${name}-${step}`, declarations: `color: var(--color-${name}-${step});` },
+        { name: `bg-${name}-${step}`, declarations: `background-color: var(--color-${name}-${step}); color: ${foreground};` },
+        { name: `border-${name}-${step}`, declarations: `border-color: var(--color-${name}-${step});` }
+      );
     });
-    darkRoot += '  }\n  body { background-color: #0f172a; color: #e2e8f0; }\n}\n\n';
-  }
+  });
+  utilities.push(
+    { name: 'text-white', declarations: 'color: #ffffff;' },
+    { name: 'text-black', declarations: 'color: #000000;' },
+    { name: 'bg-white', declarations: `background-color: #ffffff; color: ${DARK_TEXT};` },
+    { name: 'bg-black', declarations: 'background-color: #000000; color: #ffffff;' },
+    { name: 'bg-transparent', declarations: 'background-color: transparent;' },
+    { name: 'bg-surface', declarations: 'background-color: var(--surface-card); color: var(--surface-text);' }
+  );
+
+  base += generateModeVariables(palette, surfaces.light, audit, { indent: '  ' });
+  base += '}\n\n';
+
+  const strategy = resolveDarkMode(darkMode);
+  const darkRoot = strategy
+    ? generateDarkVariables(strategy, darkModeSelector(strategy, ':root'), palette, surfaces.dark, audit, { label: 'dark' })
+    : '';
 
   return { variables: base + darkRoot, colorUtilities: utilities };
 }
 
+function darkModeSelector(strategy, selector) {
+  if (strategy === 'media') return selector;
+  const dark = DARK_MODE_SELECTORS[strategy];
+  if (selector === ':root') return dark;
+  const selectors = [`${dark} ${selector}`, `${selector} ${dark}`];
+  return (strategy === 'class' ? [`${dark}${selector}`, ...selectors] : selectors).join(', ');
+}
+
+function generateDarkVariables(strategy, selector, palette, surfaces, audit, options) {
+  if (strategy === 'media') {
+    return `@media (prefers-color-scheme: dark) {\n  ${selector} {\n    color-scheme: dark;\n`
+      + generateModeVariables(palette, surfaces, audit, { ...options, indent: '    ', dark: true })
+      + '  }\n}\n\n';
+  }
+  return `${selector} {\n  color-scheme: dark;\n`
+    + generateModeVariables(palette, surfaces, audit, { ...options, indent: '  ', dark: true })
+    + '}\n\n';
+}
+
+function mergeTheme(theme, overrides = {}) {
+  const recolored = Object.keys(overrides.colors || {});
+  const darkColors = Object.fromEntries(Object.entries(theme.darkColors || {}).filter(([name]) => !recolored.includes(name)));
+  return {
+    ...theme,
+    colors: { ...theme.colors, ...overrides.colors },
+    darkColors: { ...darkColors, ...overrides.darkColors },
+    surfaces: { ...theme.surfaces, ...overrides.surfaces },
+    darkSurfaces: { ...theme.darkSurfaces, ...overrides.darkSurfaces },
+    typography: { ...theme.typography, ...overrides.typography }
+  };
+}
+
+function generateThemeVariables(name, theme, darkMode, audit, selector) {
+  const palette = resolvePalette(theme.colors, theme.darkColors);
+  const { light, dark } = resolveSurfaces(theme);
+  const path = `themes.${name}`;
+  const strategy = resolveDarkMode(darkMode);
+  return `${selector} {\n${paletteVariables(theme.typography, palette, '  ')}`
+    + `${generateModeVariables(palette, light, audit, { indent: '  ', label: name, path })}}\n`
+    + (strategy ? `\n${generateDarkVariables(strategy, darkModeSelector(strategy, selector), palette, dark, audit, { label: `${name}, dark`, path })}` : '');
+}
+
+function resolveTheme(theme, darkMode, palette, surfaces) {
+  const baseUnit = theme.spacing?.baseUnit || '16px';
+  return {
+    colors: Object.fromEntries(Object.entries(palette).map(([name, entry]) => [name, {
+      base: entry.base,
+      light: entry.light,
+      dark: entry.dark,
+      scale: Object.fromEntries(SCALE_STEPS.map((step) => [step, entry.scale[step].hex]))
+    }])),
+    darkColors: resolveDarkMode(darkMode)
+      ? Object.fromEntries(Object.entries(palette).map(([name, entry]) => [name, entry.darkTheme]))
+      : null,
+    surfaces,
+    typography: {
+      main: theme.typography.main,
+      headlines: theme.typography.headlines,
+      lineHeight: parseFloat(theme.spacing?.ratioLineHeight || 1.4),
+      sizes: typeScale(theme.typography)
+    },
+    spacing: {
+      baseUnit,
+      steps: Object.fromEntries(SPACING_SCALE.map((step, index) => [index, spacingValue(baseUnit, step)]))
+    },
+    layout: {
+      mode: theme.layout.mode || 'flex',
+      container: theme.layout.container || null,
+      containers: containerWidths(theme.layout),
+      cols: theme.layout.cols,
+      gutters: resolveGutters(theme),
+      breakpoints: { ...theme.layout.breakpoints }
+    },
+    transition: { ...theme.transition }
+  };
+}
+
 function generateResetCss() {
   return `* { box-sizing: border-box; }\nbody, h1, h2, h3, h4, h5, h6, p, figure { margin: 0; }\nimg, picture { max-width: 100%; display: block; }\nul, ol { margin: 0; padding: 0; list-style: none; }\n\n`;
 }
 
+function generateFontFaces(fontFaces = []) {
+  return fontFaces.map((face) => {
+    const sources = toPair(face.src).filter((src, index, list) => list.indexOf(src) === index).map((src) => {
+      const format = FONT_FORMATS[src.split('.').pop().toLowerCase()];
+      return `url('${src}')${format ? ` format('${format}')` : ''}`;
+    });
+    return `@font-face {\n  font-family: '${face.family}';\n  src: ${sources.join(', ')};\n`
+      + `  font-weight: ${face.weight || 400};\n  font-style: ${face.style || 'normal'};\n  font-display: ${face.display || 'swap'};\n}\n\n`;
+  }).join('');
+}
+
 function generateTypography(theme) {
   const { typography, spacing } = theme;
-  const lineHeightPercent = parseFloat(spacing?.ratioLineHeight || 1.4) * 100;
-  return `body {\n  font-family: ${typography.main};\n  line-height: ${lineHeightPercent}%;\n  color: #0f172a;\n}\n\n` +
-    `h1, h2, h3, h4, h5, h6 {\n  font-family: ${typography.headlines};\n  line-height: 120%;\n  margin-bottom: 0.5em;\n}\n`;
+  const ratio = parseFloat(spacing?.ratioLineHeight || 1.4);
+  const sizes = typeScale(typography);
+  const headings = Object.entries(HEADING_STEPS)
+    .map(([heading, step]) => `${heading} { font-size: ${sizes[step]}; }\n`)
+    .join('');
+  return generateFontFaces(typography.fontFaces)
+    + `body {\n  font-family: var(--font-main, ${typography.main});\n  font-size: ${sizes.base};\n  line-height: ${ratio * 100}%;\n  background-color: var(--surface-background);\n  color: var(--surface-text);\n}\n\n`
+    + `h1, h2, h3, h4, h5, h6 {\n  font-family: var(--font-headlines, ${typography.headlines});\n  line-height: 120%;\n  margin-top: ${parseFloat((ratio * 1.5).toFixed(3))}em;\n  margin-bottom: ${parseFloat((ratio * 0.5).toFixed(3))}em;\n}\n\n`
+    + `${headings}\n`
+    + `p, blockquote, pre, table, figure {\n  margin-bottom: ${ratio}em;\n}\n\n`
+    + 'h1:first-child, h2:first-child, h3:first-child, h4:first-child, h5:first-child, h6:first-child { margin-top: 0; }\n'
+    + 'p:last-child, blockquote:last-child, pre:last-child, table:last-child, figure:last-child { margin-bottom: 0; }\n';
 }
 
-function generateContainer(theme) {
-  const { spacing } = theme;
-  const { number: baseNumber, unit: baseUnit } = parseUnit(spacing?.baseUnit || '16px');
-  return `.container {\n  width: 100%;\n  margin: 0 auto;\n  padding: 0 ${baseNumber}${baseUnit};\n}\n\n`;
+function resolveGutters(theme) {
+  const { gutters } = theme.layout;
+  const base = theme.spacing?.baseUnit || '16px';
+  if (typeof gutters === 'string') {
+    return { base: gutters };
+  }
+  return { base, ...gutters };
+}
+
+function containerWidths(layout) {
+  const { container } = layout;
+  const widths = {};
+  if (!container) return widths;
+  const cap = parseUnit(container);
+  for (const [prefix, size] of Object.entries(layout.breakpoints)) {
+    const { number, unit } = parseUnit(size);
+    if (unit !== cap.unit) {
+      widths[prefix] = `min(${size}, ${container})`;
+    } else if (number < cap.number) {
+      widths[prefix] = size;
+    } else {
+      widths[prefix] = container;
+      break;
+    }
+  }
+  return widths;
 }
 
-function generateGrid(theme) {
-  const { layout, spacing } = theme;
+function generateContainer(theme, variants) {
+  const { spacing, layout } = theme;
   const { number: baseNumber, unit: baseUnit } = parseUnit(spacing?.baseUnit || '16px');
-  let css = `.row {\n  display: flex;\n flex-direction: row;\n  gap: ${baseNumber}${baseUnit};\n}\n\n`;
+  const queries = Object.values(variants).some((list) => list.includes('container'));
+  const widths = Object.entries(containerWidths(layout)).map(([prefix, width]) => (
+    `@media (min-width: ${layout.breakpoints[prefix]}) {\n  .container { max-width: ${width}; }\n}\n\n`
+  ));
+  return `.container {\n  width: 100%;\n  margin: 0 auto;\n  padding: 0 ${baseNumber}${baseUnit};\n}\n\n${widths.join('')}`
+    + (queries ? '.\\@container { container-type: inline-size; }\n\n' : '');
+}
 
-  for (let i = 1; i <= layout.cols; i += 1) {
-    const percentage = ((i / layout.cols) * 100).toFixed(4);
-    css += `.col-${i} { flex: 0 0 ${percentage}%; max-width: ${percentage}%; }\n`;
-  }
-  css += '\n';
+function fraction(span, cols) {
+  return parseFloat((span / cols).toFixed(6));
+}
 
-  Object.entries(layout.breakpoints).forEach(([prefix, size]) => {
-    css += `@media (min-width: ${size}) {\n`;
-    for (let i = 1; i <= layout.cols; i += 1) {
-      const percentage = ((i / layout.cols) * 100).toFixed(4);
-      css += `  .${prefix}\\:col-${i} { flex: 0 0 ${percentage}%; max-width: ${percentage}%; }\n`;
-    }
-    css += '}\n\n';
-  });
+function flexColumns(cols) {
+  const spans = Array.from({ length: cols }, (_, index) => index + 1);
+  return [
+    { name: 'col', declarations: 'flex: 1 1 0%; min-width: 0;' },
+    { name: 'col-auto', declarations: 'flex: 0 0 auto; width: auto; max-width: 100%;' },
+    ...spans.map((span) => {
+      const percentage = parseFloat(((span / cols) * 100).toFixed(4));
+      const width = span === cols ? '100%' : `calc(${percentage}% - var(--gutter) * ${fraction(cols - span, cols)})`;
+      return { name: `col-${span}`, declarations: `flex: 0 0 ${width}; max-width: ${width};` };
+    }),
+    ...[0, ...spans.slice(0, -1)].map((span) => {
+      const offset = span ? `calc(${parseFloat(((span / cols) * 100).toFixed(4))}% + var(--gutter) * ${fraction(span, cols)})` : '0';
+      return { name: `offset-${span}`, declarations: `margin-left: ${offset};` };
+    })
+  ];
+}
 
-  return css;
+function gridColumns(cols) {
+  const spans = Array.from({ length: cols }, (_, index) => index + 1);
+  return [
+    { name: 'col-auto', declarations: 'grid-column: auto;' },
+    ...spans.map((span) => ({ name: `col-${span}`, declarations: `grid-column: span ${span} / span ${span};` })),
+    ...spans.map((span) => ({ name: `col-span-${span}`, declarations: `grid-column: span ${span} / span ${span};` })),
+    { name: 'col-span-full', declarations: 'grid-column: 1 / -1;' },
+    ...[...spans, cols + 1].map((line) => ({ name: `col-start-${line}`, declarations: `grid-column-start: ${line};` })),
+    ...spans.slice(0, 6).map((span) => ({ name: `row-span-${span}`, declarations: `grid-row: span ${span} / span ${span};` }))
+  ];
+}
+
+function generateGrid(theme, engine, variants) {
+  const { layout } = theme;
+  const gutters = resolveGutters(theme);
+  const row = layout.mode === 'grid'
+    ? `.row {\n  --gutter: ${gutters.base};\n  display: grid;\n  grid-template-columns: repeat(${layout.cols}, minmax(0, 1fr));\n  gap: var(--gutter);\n}\n\n`
+    : `.row {\n  --gutter: ${gutters.base};\n  display: flex;\n  flex-direction: row;\n  flex-wrap: wrap;\n  gap: var(--gutter);\n}\n\n`;
+  const responsiveGutters = Object.entries(layout.breakpoints)
+    .filter(([prefix]) => gutters[prefix])
+    .map(([prefix, size]) => `@media (min-width: ${size}) {\n  .row { --gutter: ${gutters[prefix]}; }\n}\n\n`);
+  const order = [
+    { name: 'order-first', declarations: 'order: -1;' },
+    { name: 'order-last', declarations: `order: ${layout.cols + 1};` },
+    ...Array.from({ length: layout.cols + 1 }, (_, index) => ({ name: `order-${index}`, declarations: `order: ${index};` }))
+  ];
+  const columns = layout.mode === 'grid' ? gridColumns(layout.cols) : flexColumns(layout.cols);
+  return `${row}${responsiveGutters.join('')}${engine.render([...columns, ...order], variants)}`;
 }
 
 function spacingValue(baseUnit, multiplier) {
@@ -122,10 +421,13 @@ function spacingValue(baseUnit, multiplier) {
   return `${trimmed}${unit}`;
 }
 
+function toUtilities(definitions) {
+  return Object.entries(definitions).map(([name, declarations]) => ({ name, declarations }));
+}
+
 function generateSpacingUtilities(theme) {
-  const { spacing, layout } = theme;
+  const { spacing } = theme;
   const baseUnit = spacing?.baseUnit || '16px';
-  const scale = [0, 0.25, 0.5, 0.75, 1, 1.5, 2, 3];
   const properties = [
     { key: 'm', label: 'margin' },
     { key: 'p', label: 'padding' }
@@ -140,28 +442,16 @@ function generateSpacingUtilities(theme) {
     { suffix: 'y', props: ['-top', '-bottom'] }
   ];
 
-  let css = '';
-  properties.forEach((property) => {
-    directions.forEach((direction) => {
-      scale.forEach((step, index) => {
-        const value = spacingValue(baseUnit, step);
-        const className = `${property.key}${direction.suffix ? `-${direction.suffix}` : ''}-${index}`;
-        const rules = direction.props
-          .map((suffix) => `${property.label}${suffix}: ${value};`)
-          .join(' ');
-        css += `.${className} { ${rules} }\n`;
-
-        Object.entries(layout.breakpoints).forEach(([prefix, size]) => {
-          css += `@media (min-width: ${size}) { .${prefix}\\:${className} { ${rules} } }\n`;
-        });
-      });
-    });
-  });
-  css += '\n';
-  return css;
+  return properties.flatMap((property) => directions.flatMap((direction) => SPACING_SCALE.map((step, index) => {
+    const value = spacingValue(baseUnit, step);
+    return {
+      name: `${property.key}${direction.suffix ? `-${direction.suffix}` : ''}-${index}`,
+      declarations: direction.props.map((suffix) => `${property.label}${suffix}: ${value};`).join(' ')
+    };
+  })));
 }
 
-function generateFlexUtilities(layout) {
+function generateFlexUtilities() {
   const definitions = {
     flex: 'display: flex;',
     'inline-flex': 'display: inline-flex;',
@@ -177,221 +467,432 @@ function generateFlexUtilities(layout) {
     grow: 'flex: 1 1 0%;',
     shrink: 'flex: 0 1 auto;'
   };
-
-  let css = '';
-  Object.entries(definitions).forEach(([className, rules]) => {
-    css += `.${className} { ${rules} }\n`;
-  });
-  css += '\n';
-
-  Object.entries(layout.breakpoints).forEach(([prefix, size]) => {
-    css += `@media (max-width: ${size}) {\n`;
-    Object.entries(definitions).forEach(([className, rules]) => {
-      css += `  .${prefix}\\:${className} { ${rules} }\n`;
-    });
-    css += '}\n';
-  });
-
-  return css;
+  return toUtilities(definitions);
 }
 
 function generateImageUtilities() {
-  return `.img-responsive { display: block; width: 100%; height: auto; }\n.img-cover { width: 100%; height: 100%; object-fit: cover; }\n.img-contain { width: 100%; height: 100%; object-fit: contain; }\n\n`;
+  return [
+    { name: 'img-responsive', declarations: 'display: block; width: 100%; height: auto;' },
+    { name: 'img-cover', declarations: 'width: 100%; height: 100%; object-fit: cover;' },
+    { name: 'img-contain', declarations: 'width: 100%; height: 100%; object-fit: contain;' }
+  ];
 }
 
-function generateTransitionUtility(theme) {
-  const { duration, type } = theme.transition;
-  return `.transition { transition: all ${duration} ${type}; }\n`;
+function toPair(value) {
+  return Array.isArray(value) ? value : [value, value];
 }
 
-function generateComponents(config, theme) {
-  const { components } = config;
-  const { spacing, transition } = theme;
-  const basePadding = spacingValue(spacing.baseUnit, 0.75);
-  const baseMargin = spacingValue(spacing.baseUnit, 0.5);
+function toPixels({ number, unit }) {
+  return unit === 'px' ? number : number * ROOT_FONT_SIZE;
+}
 
-  const parts = {};
+function typeScale(typography) {
+  const scale = typography.scale || {};
+  const [minBase, maxBase] = toPair(scale.base || '1rem').map(parseUnit);
+  const [minRatio, maxRatio] = toPair(scale.ratio || 1.25).map(Number);
+  const minViewport = toPixels(parseUnit(scale.minViewport || '320px'));
+  const maxViewport = toPixels(parseUnit(scale.maxViewport || '1280px'));
+  const { unit } = maxBase;
+  const format = (pixels) => {
+    const value = unit === 'px' ? pixels : pixels / ROOT_FONT_SIZE;
+    return `${parseFloat(value.toFixed(4))}${unit}`;
+  };
 
-  if (components.includes('button')) {
-    parts.button = `.btn {\n  display: inline-flex;\n  align-items: center;\n  justify-content: center;\n  gap: ${spacingValue(spacing.baseUnit, 0.5)};\n  padding: ${basePadding} ${spacingValue(spacing.baseUnit, 1.25)};\n  border-radius: 9999px;\n  border: 1px solid var(--color-primary);\n  background: var(--color-primary);\n  color: white;\n  font-weight: 600;\n  cursor: pointer;\n  text-decoration: none;\n  transition: background-color ${transition.duration} ${transition.type}, transform ${transition.duration} ${transition.type};\n}\n.btn:hover { transform: translateY(-1px); background: var(--color-primary-dark); }\n.btn:active { transform: translateY(0); }\n.btn-secondary { background: white; color: var(--color-primary); border-color: var(--color-primary); }\n.btn-secondary:hover { background: var(--color-primary-light); color: #0f172a; }\n\n`;
-  }
+  return Object.fromEntries(Object.entries(TYPE_SCALE_STEPS).map(([name, step]) => {
+    const min = toPixels(minBase) * minRatio ** step;
+    const max = toPixels(maxBase) * maxRatio ** step;
+    if (Math.abs(max - min) < 0.01) {
+      return [name, format(max)];
+    }
+    const slope = (max - min) / (maxViewport - minViewport);
+    const intercept = min - slope * minViewport;
+    const preferred = `${format(intercept)} ${slope < 0 ? '-' : '+'} ${parseFloat(Math.abs(slope * 100).toFixed(4))}vw`;
+    return [name, `clamp(${format(Math.min(min, max))}, ${preferred}, ${format(Math.max(min, max))})`];
+  }));
+}
 
-  if (components.includes('card')) {
-    parts.card = `.card {\n  background: white;\n  border: 1px solid #e5e7eb;\n  border-radius: 12px;\n  padding: ${spacingValue(spacing.baseUnit, 1.5)};\n  box-shadow: 0 10px 30px rgba(15, 23, 42, 0.08);\n  transition: box-shadow ${transition.duration} ${transition.type}, transform ${transition.duration} ${transition.type};\n}\n.card:hover { box-shadow: 0 15px 40px rgba(15, 23, 42, 0.12); transform: translateY(-2px); }\n\n`;
-  }
+function generateGapUtilities(theme) {
+  const baseUnit = theme.spacing?.baseUnit || '16px';
+  const properties = { gap: 'gap', 'gap-x': 'column-gap', 'gap-y': 'row-gap' };
+  return Object.entries(properties).flatMap(([key, property]) => SPACING_SCALE.map((step, index) => ({
+    name: `${key}-${index}`,
+    declarations: `${property}: ${spacingValue(baseUnit, step)};`
+  })));
+}
 
-  if (components.includes('alert')) {
-    let alertCss = `.alert {\n  padding: ${basePadding};\n  border-radius: 12px;\n  border: 1px solid transparent;\n  display: flex;\n  align-items: center;\n  gap: ${spacingValue(spacing.baseUnit, 0.5)};\n  font-weight: 600;\n}\n`;
-    ['primary', 'success', 'warning', 'danger'].forEach((tone) => {
-      alertCss += `.alert-${tone} { background: var(--color-${tone}-light); border-color: var(--color-${tone}); color: #0f172a; }\n`;
-    });
-    parts.alert = `${alertCss}\n`;
-  }
+function generateSizingUtilities(theme) {
+  const baseUnit = theme.spacing?.baseUnit || '16px';
+  const fractions = ['1/2', '1/3', '2/3', '1/4', '3/4'];
+  const scale = SPACING_SCALE.flatMap((step, index) => [
+    { name: `w-${index}`, declarations: `width: ${spacingValue(baseUnit, step)};` },
+    { name: `h-${index}`, declarations: `height: ${spacingValue(baseUnit, step)};` }
+  ]);
+  const widths = fractions.map((fraction) => {
+    const [numerator, denominator] = fraction.split('/').map(Number);
+    return { name: `w-${fraction}`, declarations: `width: ${parseFloat(((numerator / denominator) * 100).toFixed(4))}%;` };
+  });
+  const maxWidths = Object.entries({ ...theme.layout.breakpoints, ...(theme.layout.container && { container: theme.layout.container }) })
+    .map(([name, size]) => ({ name: `max-w-${name}`, declarations: `max-width: ${size};` }));
+  return [
+    ...scale,
+    ...widths,
+    ...toUtilities({
+      'w-auto': 'width: auto;',
+      'w-full': 'width: 100%;',
+      'w-screen': 'width: 100vw;',
+      'w-fit': 'width: fit-content;',
+      'h-auto': 'height: auto;',
+      'h-full': 'height: 100%;',
+      'h-screen': 'height: 100vh;',
+      'min-h-screen': 'min-height: 100vh;'
+    }),
+    ...maxWidths,
+    ...toUtilities({
+      'max-w-prose': 'max-width: 65ch;',
+      'max-w-full': 'max-width: 100%;',
+      'max-w-none': 'max-width: none;'
+    })
+  ];
+}
 
-  return parts;
+function generateDisplayUtilities() {
+  return toUtilities({
+    block: 'display: block;',
+    'inline-block': 'display: inline-block;',
+    inline: 'display: inline;',
+    grid: 'display: grid;',
+    'inline-grid': 'display: inline-grid;',
+    contents: 'display: contents;',
+    hidden: 'display: none;',
+    visible: 'visibility: visible;',
+    invisible: 'visibility: hidden;',
+    'sr-only': 'position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border: 0;'
+  });
 }
 
-function generateUtilityCss(config) {
-  const { utilities, theme } = config;
-  const parts = {};
+function generatePositionUtilities(theme) {
+  const baseUnit = theme.spacing?.baseUnit || '16px';
+  const positions = ['static', 'relative', 'absolute', 'fixed', 'sticky'];
+  const sides = ['top', 'right', 'bottom', 'left'];
+  return [
+    ...positions.map((position) => ({ name: position, declarations: `position: ${position};` })),
+    ...toUtilities({
+      'inset-0': 'inset: 0;',
+      'inset-x-0': 'left: 0; right: 0;',
+      'inset-y-0': 'top: 0; bottom: 0;',
+      'inset-auto': 'inset: auto;'
+    }),
+    ...sides.flatMap((side) => SPACING_SCALE.map((step, index) => ({
+      name: `${side}-${index}`,
+      declarations: `${side}: ${spacingValue(baseUnit, step)};`
+    })))
+  ];
+}
 
-  if (utilities.includes('spacing')) {
-    parts.spacing = generateSpacingUtilities(theme);
-  }
-  if (utilities.includes('flex')) {
-    parts.flex = generateFlexUtilities(theme.layout);
-  }
-  if (utilities.includes('color')) {
-    parts.color = Object.keys(theme.colors)
-      .map((name) => `.${name}-border { border-color: var(--color-${name}); }\n`)
-      .join('');
-  }
-  if (utilities.includes('image')) {
-    parts.image = generateImageUtilities();
-  }
-  parts.transition = generateTransitionUtility(theme);
-  return parts;
+function generateZIndexUtilities() {
+  return [
+    ...[0, 10, 20, 30, 40, 50].map((level) => ({ name: `z-${level}`, declarations: `z-index: ${level};` })),
+    { name: 'z-auto', declarations: 'z-index: auto;' }
+  ];
 }
 
-function applyAutoprefix(css) {
-  let prefixed = css;
-  const replacements = [
-    { pattern: /display:\s*flex;/g, value: 'display: -webkit-box;\n  display: -ms-flexbox;\n  display: flex;' },
-    { pattern: /display:\s*inline-flex;/g, value: 'display: -webkit-inline-box;\n  display: -ms-inline-flexbox;\n  display: inline-flex;' },
-    { pattern: /user-select:/g, value: '-webkit-user-select:' },
-    { pattern: /appearance:\s*none;/g, value: '-webkit-appearance: none;\n  appearance: none;' },
-    { pattern: /backdrop-filter:/g, value: '-webkit-backdrop-filter:' },
-    { pattern: /object-fit:/g, value: '-o-object-fit:' },
-    { pattern: /transition:/g, value: '-webkit-transition:' },
-    { pattern: /box-shadow:/g, value: '-webkit-box-shadow:' },
-    { pattern: /transform:/g, value: '-webkit-transform:' }
+function generateTypographyUtilities(theme) {
+  return [
+    ...Object.entries(typeScale(theme.typography)).map(([name, size]) => ({ name: `text-${name}`, declarations: `font-size: ${size};` })),
+    ...Object.entries(FONT_WEIGHTS).map(([name, weight]) => ({ name: `font-${name}`, declarations: `font-weight: ${weight};` })),
+    ...['left', 'center', 'right', 'justify'].map((align) => ({ name: `text-${align}`, declarations: `text-align: ${align};` }))
   ];
+}
 
-  replacements.forEach(({ pattern, value }) => {
-    prefixed = prefixed.replace(pattern, (match) => `${value}\n  ${match}`);
-  });
+function generateBorderUtilities(theme) {
+  const baseUnit = theme.spacing?.baseUnit || '16px';
+  const radii = { none: '0', sm: spacingValue(baseUnit, 0.25), '': spacingValue(baseUnit, 0.5), lg: spacingValue(baseUnit, 0.75), xl: spacingValue(baseUnit, 1), full: '9999px' };
+  const sides = { t: 'top', r: 'right', b: 'bottom', l: 'left' };
+  return [
+    ...Object.entries(radii).map(([name, radius]) => ({ name: name ? `rounded-${name}` : 'rounded', declarations: `border-radius: ${radius};` })),
+    { name: 'border', declarations: 'border: 1px solid var(--surface-border);' },
+    ...[0, 2, 4].map((width) => ({ name: `border-${width}`, declarations: `border-width: ${width}px;` })),
+    ...Object.entries(sides).map(([key, side]) => ({ name: `border-${key}`, declarations: `border-${side}: 1px solid var(--surface-border);` }))
+  ];
+}
 
-  return prefixed;
+function generateShadowUtilities() {
+  return Object.entries(SHADOWS).map(([name, shadow]) => ({ name: name ? `shadow-${name}` : 'shadow', declarations: `box-shadow: ${shadow};` }));
 }
 
-function minifyCSS(css) {
-  return css
-    .replace(/\/\*[^*]*\*+([^/*][^*]*\*+)*\//g, '')
-    .replace(/\s*([{}:;,])\s*/g, '$1')
-    .replace(/;}/g, '}')
-    .replace(/\s+/g, ' ')
-    .trim();
+function generateOpacityUtilities() {
+  return [0, 10, 25, 50, 75, 90, 100].map((level) => ({ name: `opacity-${level}`, declarations: `opacity: ${level / 100};` }));
 }
 
-function countClasses(css) {
-  const matches = css.match(/\.[a-zA-Z0-9_-]+/g) || [];
-  return new Set(matches).size;
+function generateTransitionUtility(theme) {
+  const { duration, type } = theme.transition;
+  return `.transition { transition: all ${duration} ${type}; }\n`;
 }
 
-async function loadConfig() {
-  const configPath = path.resolve(__dirname, '../plugo.config.js');
-  const module = await import(pathToFileURL(configPath));
-  return module.default || module.config || {};
+function generateComponents(config, resolved) {
+  const registry = createComponentRegistry(config.registerComponents);
+  const { duration, type } = resolved.transition;
+  const ui = {
+    colors: Object.keys(resolved.colors),
+    space: (multiplier) => spacingValue(resolved.spacing.baseUnit, multiplier),
+    transition: (...properties) => properties.map((property) => `${property} ${duration} ${type}`).join(', ')
+  };
+  return {
+    css: Object.fromEntries(config.components.map((name) => [name, registry.render(name, resolved, ui)])),
+    scripts: Object.fromEntries(config.components
+      .filter((name) => registry.script(name))
+      .map((name) => [`${name}.js`, registry.script(name)])),
+    examples: config.components.map((name) => ({ name, example: registry.example(name, resolved) }))
+  };
 }
 
-async function ensureDir(dirPath) {
-  await fs.mkdir(dirPath, { recursive: true });
+function generateUtilityCss(theme, engine, variants) {
+  const families = {
+    spacing: () => generateSpacingUtilities(theme),
+    flex: () => generateFlexUtilities(),
+    color: () => Object.keys(theme.colors).map((name) => ({ name: `${name}-border`, declarations: `border-color: var(--color-${name});` })),
+    image: () => generateImageUtilities(),
+    gap: () => generateGapUtilities(theme),
+    sizing: () => generateSizingUtilities(theme),
+    display: () => generateDisplayUtilities(),
+    position: () => generatePositionUtilities(theme),
+    zIndex: () => generateZIndexUtilities(),
+    typography: () => generateTypographyUtilities(theme),
+    border: () => generateBorderUtilities(theme),
+    shadow: () => generateShadowUtilities(),
+    opacity: () => generateOpacityUtilities()
+  };
+  const parts = {};
+
+  Object.entries(families).forEach(([name, generate]) => {
+    if (variants[name]) {
+      parts[name] = engine.render(generate(), variants[name]);
+    }
+  });
+  parts.transition = generateTransitionUtility(theme);
+  return parts;
 }
 
-async function writePrefixed(filePath, css) {
-  const prefixed = applyAutoprefix(css);
-  await fs.writeFile(filePath, prefixed, 'utf8');
-  return prefixed;
+function collectClasses(css) {
+  const classes = new Set();
+  walkRules(parseCss(css).nodes, (rule) => {
+    selectorClasses(rule.selector).forEach((className) => classes.add(className));
+  });
+  return classes;
 }
 
-async function build() {
-  const config = await loadConfig();
-  const { theme } = config;
+function countClasses(css) {
+  return collectClasses(css).size;
+}
 
-  const baseDir = path.resolve(__dirname, '../microframework/css');
-  const baseFolder = path.join(baseDir, 'base');
-  const componentsFolder = path.join(baseDir, 'components');
-  const layoutFolder = path.join(baseDir, 'layout');
-  const utilitiesFolder = path.join(baseDir, 'utilities');
+function describeBundle(css, minified) {
+  return {
+    classes: countClasses(css),
+    readableSize: `${Buffer.byteLength(css)} bytes`,
+    minifiedSize: minified === undefined ? '-' : `${Buffer.byteLength(minified)} bytes`
+  };
+}
 
-  await Promise.all([
-    ensureDir(baseFolder),
-    ensureDir(componentsFolder),
-    ensureDir(layoutFolder),
-    ensureDir(utilitiesFolder)
-  ]);
+export async function loadConfig(configPath, { bustCache = false } = {}) {
+  const configUrl = pathToFileURL(path.resolve(configPath));
+  if (bustCache) {
+    configUrl.searchParams.set('t', String(Date.now()));
+  }
+  const module = await import(configUrl.href);
+  return module.default || module.config || {};
+}
 
-  const { variables, colorUtilities } = generateColorPalette(theme.colors, config.darkMode);
+export async function buildPlugo(config, options = {}) {
+  const { cwd = process.cwd(), outDir = cwd, cssDir = DEFAULT_CSS_DIR, minify = true, only = null } = options;
+  const issues = validateConfig(config);
+  if (issues.length) {
+    throw new PlugoConfigError(issues);
+  }
+  const unknownSections = (only || []).filter((section) => !SECTIONS.includes(section));
+  if (unknownSections.length) {
+    throw new Error(`Unknown section(s) ${unknownSections.join(', ')}, expected ${SECTIONS.join(', ')}`);
+  }
+  const sections = new Set(only && only.length ? only : SECTIONS);
+  const { default: defaults, ...themes } = config.themes || {};
+  const theme = mergeTheme(config.theme, defaults);
+  const output = config.output || {};
+
+  const audit = createContrastAudit({ apca: config.apca });
+  const palette = resolvePalette(theme.colors, theme.darkColors);
+  const surfaces = resolveSurfaces(theme);
+  const { variables, colorUtilities } = generateColorPalette(theme, palette, surfaces, config.darkMode, audit);
+  const standaloneThemes = output.themes === 'standalone';
+  const themeVariables = Object.fromEntries(Object.entries(themes).map(([name, overrides]) => [
+    name,
+    generateThemeVariables(name, mergeTheme(theme, overrides), config.darkMode, audit, standaloneThemes ? ':root' : `[data-theme="${name}"]`)
+  ]));
   const resetCss = generateResetCss();
   const typographyCss = generateTypography(theme);
-  const containerCss = generateContainer(theme);
-  const gridCss = generateGrid(theme);
-  const components = generateComponents(config, theme);
-  const utilities = generateUtilityCss(config);
-
-  await writePrefixed(path.join(baseDir, 'config.css'), variables + colorUtilities);
-  await writePrefixed(path.join(baseFolder, '_reset.css'), resetCss);
-  await writePrefixed(path.join(baseFolder, '_typography.css'), typographyCss);
-  await writePrefixed(path.join(baseFolder, 'all.css'), `${resetCss}\n${typographyCss}`);
-
-  await writePrefixed(path.join(layoutFolder, '_container.css'), containerCss);
-  await writePrefixed(path.join(layoutFolder, '_grid.css'), gridCss);
-  await writePrefixed(path.join(layoutFolder, 'all.css'), `${containerCss}\n${gridCss}`);
-
-  let componentsBundle = '';
-  if (components.button) {
-    componentsBundle += components.button;
-    await writePrefixed(path.join(componentsFolder, '_button.css'), components.button);
-  }
-  if (components.card) {
-    componentsBundle += components.card;
-    await writePrefixed(path.join(componentsFolder, '_card.css'), components.card);
+  const variants = resolveVariants(config.utilities, theme.layout);
+  const darkMode = resolveDarkMode(config.darkMode);
+  const engine = createVariantEngine({
+    breakpoints: theme.layout.breakpoints,
+    darkSelector: darkMode === 'media' ? 'media' : DARK_MODE_SELECTORS[darkMode] || null
+  });
+  const containerCss = generateContainer(theme, variants);
+  const gridCss = generateGrid(theme, engine, variants.grid);
+  const resolved = { ...resolveTheme(theme, config.darkMode, palette, surfaces), themes: Object.keys(themes) };
+  const { css: components, scripts: componentScripts, examples } = generateComponents(config, resolved);
+
+  if (config.strictContrast && audit.failures().length) {
+    throw new PlugoContrastError(audit.failures());
   }
-  if (components.alert) {
-    componentsBundle += components.alert;
-    await writePrefixed(path.join(componentsFolder, '_alert.css'), components.alert);
+  const utilities = generateUtilityCss(theme, engine, variants);
+
+  const autoprefix = createAutoprefixer(config.targets);
+  const scopeCss = createScoper({ prefix: output.prefix, scope: output.scope, darkSelector: DARK_MODE_SELECTORS[darkMode] });
+  const keepDeclaration = createPrefixFilter(config.targets);
+  const finish = (css, layer) => wrapLayer(scopeCss(autoprefix(css)), output.layers ? layer : null);
+  const finishAll = (group, layer) => Object.fromEntries(Object.entries(group).map(([name, css]) => [name, finish(css, layer)]));
+  const variablesCss = finish(variables, 'base');
+  const colorUtilitiesCss = finish(engine.render(colorUtilities, variants.color || []), 'utilities');
+  const partials = {};
+  const app = createConcat();
+  const addSource = (file, css) => {
+    partials[file] = css;
+    app.add(css, file);
+  };
+  app.add('/*\n  Plugo CSS Framework\n  Generated automatically from plugo.config.js\n*/\n\n');
+  if (output.layers) {
+    app.add(LAYER_ORDER);
   }
-  await writePrefixed(path.join(componentsFolder, 'all.css'), componentsBundle);
 
-  let utilitiesBundle = '';
-  if (utilities.spacing) {
-    utilitiesBundle += utilities.spacing;
-    await writePrefixed(path.join(utilitiesFolder, '_spacing.css'), utilities.spacing);
+  if (sections.has('config')) {
+    addSource('config.css', variablesCss);
+    partials['config.css'] += colorUtilitiesCss;
+    Object.entries(themeVariables).forEach(([name, css]) => {
+      if (standaloneThemes) {
+        partials[`themes/${name}.css`] = finish(css, 'base');
+      } else {
+        addSource(`themes/_${name}.css`, finish(css, 'base'));
+      }
+    });
   }
-  if (utilities.flex) {
-    utilitiesBundle += utilities.flex;
-    await writePrefixed(path.join(utilitiesFolder, '_flex.css'), utilities.flex);
+  if (sections.has('base')) {
+    addSource('base/_reset.css', finish(resetCss, 'reset'));
+    addSource('base/_typography.css', finish(typographyCss, 'base'));
+    partials['base/all.css'] = `${partials['base/_reset.css']}\n${partials['base/_typography.css']}`;
   }
-  if (utilities.color) {
-    utilitiesBundle += utilities.color;
-    await writePrefixed(path.join(utilitiesFolder, '_color.css'), utilities.color);
+  if (sections.has('layout')) {
+    addSource('layout/_container.css', finish(containerCss, 'layout'));
+    addSource('layout/_grid.css', finish(gridCss, 'layout'));
+    partials['layout/all.css'] = `${partials['layout/_container.css']}\n${partials['layout/_grid.css']}`;
   }
-  if (utilities.image) {
-    utilitiesBundle += utilities.image;
-    await writePrefixed(path.join(utilitiesFolder, '_image.css'), utilities.image);
+  if (sections.has('components')) {
+    const finished = finishAll(components, 'components');
+    Object.entries(finished).forEach(([name, css]) => addSource(`components/_${name}.css`, css));
+    partials['components/all.css'] = Object.values(finished).join('');
+  }
+  app.add('\n/* Utilities */\n');
+  if (sections.has('config')) {
+    app.add(colorUtilitiesCss, 'config.css', variablesCss.split('\n').length - 1);
+  }
+  if (sections.has('utilities')) {
+    const finished = finishAll(utilities, 'utilities');
+    Object.entries(finished).forEach(([name, css]) => addSource(`utilities/_${name}.css`, css));
+    partials['utilities/all.css'] = Object.values(finished).join('');
+  }
+
+  const bundle = app.css;
+  partials['app.css'] = `${bundle}/*# sourceMappingURL=app.css.map */\n`;
+  partials['app.css.map'] = createSourceMap({ file: 'app.css', segments: app.segments });
+  const bundles = { 'plugo.css': bundle };
+  if (minify) {
+    const minified = minifyCss(bundle, { keepDeclaration });
+    const segments = minified.segments
+      .map(({ generatedColumn, line, column }) => {
+        const original = originalPosition(app.segments, line, column);
+        return original && { generatedLine: 0, generatedColumn, ...original };
+      })
+      .filter(Boolean);
+    bundles['plugo.min.css'] = `${minified.css}\n/*# sourceMappingURL=plugo.min.css.map */`;
+    bundles['plugo.min.css.map'] = createSourceMap({ file: 'plugo.min.css', sourceRoot: `${cssDir}/`, segments });
+  }
+
+  const classes = Array.from(collectClasses(bundle)).sort();
+  bundles['plugo.tokens.json'] = toDesignTokens(resolved);
+  bundles['plugo.tokens.js'] = toJsModule(resolved);
+  bundles['plugo.tokens.scss'] = toScss(resolved);
+  bundles['plugo.d.ts'] = toClassTypes(classes);
+  const classModule = toClassModule(classes, output.prefix);
+  if (output.styleguide !== false) {
+    bundles['plugo.styleguide.html'] = toStyleGuide({
+      resolved,
+      css: bundle,
+      classes: new Set(classes),
+      components: sections.has('components') ? examples : [],
+      scripts: sections.has('components') ? Object.keys(componentScripts) : [],
+      prefix: output.prefix,
+      cssHref: `${cssDir}/app.css`,
+      jsDir: DEFAULT_JS_DIR
+    });
   }
-  utilitiesBundle += utilities.transition;
-  await writePrefixed(path.join(utilitiesFolder, '_transition.css'), utilities.transition);
-  await writePrefixed(path.join(utilitiesFolder, 'all.css'), utilitiesBundle);
 
-  const appCss = `/*\n  Plugo CSS Framework\n  Generated automatically from plugo.config.js\n*/\n\n${variables}${resetCss}${typographyCss}${containerCss}${gridCss}${componentsBundle}\n/* Utilities */\n${utilitiesBundle}`;
-  const prefixedApp = await writePrefixed(path.join(baseDir, 'app.css'), appCss);
+  const report = { full: describeBundle(bundle, bundles['plugo.min.css']) };
+  let contentFiles = [];
 
-  const minified = minifyCSS(prefixedApp);
-  await fs.writeFile(path.resolve(__dirname, '../plugo.css'), prefixedApp, 'utf8');
-  await fs.writeFile(path.resolve(__dirname, '../plugo.min.css'), minified, 'utf8');
+  if (Array.isArray(config.content) && config.content.length) {
+    const ignore = Object.keys(bundles).map((file) => path.relative(cwd, path.resolve(outDir, file)).split(path.sep).join('/'));
+    const { files, used } = await collectContentClasses(config.content, cwd, { ignore });
+    if (output.prefix) {
+      Array.from(used).forEach((candidate) => used.add(prefixClassName(candidate, output.prefix)));
+    }
+    const purged = purgeCss(bundle, used);
+    bundles['plugo.purged.css'] = purged;
+    if (minify) {
+      bundles['plugo.purged.min.css'] = minifyCss(purged, { keepDeclaration }).css;
+    }
+    report.purged = describeBundle(purged, bundles['plugo.purged.min.css']);
+    contentFiles = files;
+  }
 
-  const report = {
-    classes: countClasses(prefixedApp),
-    readableSize: `${Buffer.byteLength(prefixedApp)} bytes`,
-    minifiedSize: `${Buffer.byteLength(minified)} bytes`
+  return {
+    partials,
+    scripts: { 'classes.js': classModule, ...(sections.has('components') ? componentScripts : {}) },
+    bundles,
+    classes,
+    tokens: resolved,
+    report,
+    contentFiles,
+    contrast: audit.report()
   };
+}
+
+export function outputPaths(result, { outDir, cssDir = DEFAULT_CSS_DIR, jsDir = DEFAULT_JS_DIR }) {
+  return [
+    ...Object.keys(result.partials).map((file) => path.join(outDir, cssDir, file)),
+    ...Object.keys(result.scripts).map((file) => path.join(outDir, jsDir, file)),
+    ...Object.keys(result.bundles).map((file) => path.join(outDir, file))
+  ];
+}
+
+async function writeIfChanged(filePath, content, changed, dryRun) {
+  const previous = await fs.readFile(filePath, 'utf8').catch(() => null);
+  if (previous !== content) {
+    if (!dryRun) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, content, 'utf8');
+    }
+    changed.push(filePath);
+  }
+}
 
-  console.log('Plugo build complete');
-  console.table(report);
+export async function writePlugo(result, { outDir, cssDir = DEFAULT_CSS_DIR, jsDir = DEFAULT_JS_DIR, dryRun = false }) {
+  const changed = [];
+  const files = [
+    ...Object.entries(result.partials).map(([file, css]) => [path.join(outDir, cssDir, file), css]),
+    ...Object.entries(result.scripts).map(([file, source]) => [path.join(outDir, jsDir, file), source]),
+    ...Object.entries(result.bundles).map(([file, content]) => [path.join(outDir, file), content])
+  ];
+  for (const [filePath, content] of files) {
+    await writeIfChanged(filePath, content, changed, dryRun);
+  }
+  return changed;
 }
 
-build().catch((error) => {
-  console.error('Failed to build Plugo CSS', error);
-  process.exit(1);
-});
+export { PlugoConfigError, PlugoContrastError, diffCss, formatCssDiff, formatCssIssues, validateConfig, validateCss };
@@ -0,0 +1,235 @@
+import { watch as watchFiles } from 'fs';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import {
+  DEFAULT_CSS_DIR,
+  PlugoConfigError,
+  PlugoContrastError,
+  SECTIONS,
+  buildPlugo,
+  diffCss,
+  formatCssDiff,
+  loadConfig,
+  outputPaths,
+  validateConfig,
+  writePlugo
+} from './build.js';
+import { createDevServer } from './dev-server.js';
+
+const WATCH_IGNORED = /(^|\/)(node_modules|\.git)(\/|$)/;
+const WATCHED_EXTENSIONS = /\.(html|css|js|json|svg|png|jpe?g|webp)$/;
+
+const USAGE = `Usage: plugo [options]
+
+Options:
+  --config <path>     Config file to build (default: ./plugo.config.js)
+  --out-dir <dir>     Root directory for the generated files (default: the config directory)
+  --only <sections>   Comma-separated sections to generate: config, base, layout, components, utilities
+  --no-minify         Skip the minified bundles
+  --dry-run           Report the files that would change without writing them
+  --check             Validate the config and exit
+  --diff <file>       Compare a previous plugo.css with this build and report changed selectors without writing
+  --watch             Rebuild on change and serve the project with live reload
+  --port <number>     Dev server port in watch mode (default: 3000)
+  -h, --help          Show this message`;
+
+const BOOLEAN_FLAGS = new Set(['no-minify', 'dry-run', 'check', 'watch', 'help']);
+const VALUE_FLAGS = new Set(['config', 'out-dir', 'only', 'port', 'diff']);
+
+export function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '-h') {
+      options.help = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument "${arg}"`);
+    }
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (!VALUE_FLAGS.has(name) && !BOOLEAN_FLAGS.has(name)) {
+      throw new Error(`Unknown option --${name}`);
+    }
+    if (BOOLEAN_FLAGS.has(name)) {
+      options[name] = true;
+      continue;
+    }
+    const value = inlineValue ?? argv[i + 1];
+    if (value === undefined || (inlineValue === undefined && value.startsWith('--'))) {
+      throw new Error(`Missing value for --${name}`);
+    }
+    if (inlineValue === undefined) i += 1;
+    options[name] = value;
+  }
+
+  if (options.only) {
+    const unknown = options.only.split(',').map((section) => section.trim()).filter((section) => !SECTIONS.includes(section));
+    if (unknown.length) {
+      throw new Error(`Unknown section(s) for --only: ${unknown.join(', ')}`);
+    }
+  }
+  return options;
+}
+
+function resolveOptions(flags, cwd) {
+  const configPath = path.resolve(cwd, flags.config || 'plugo.config.js');
+  const projectDir = path.dirname(configPath);
+  const outDir = flags['out-dir'] ? path.resolve(cwd, flags['out-dir']) : projectDir;
+  return {
+    configPath,
+    projectDir,
+    outDir,
+    buildOptions: {
+      cwd: projectDir,
+      outDir,
+      minify: !flags['no-minify'],
+      only: flags.only ? flags.only.split(',').map((section) => section.trim()).filter(Boolean) : null
+    }
+  };
+}
+
+function reportFailure(error) {
+  if (error instanceof PlugoConfigError || error instanceof PlugoContrastError) {
+    console.error(error.message);
+  } else {
+    console.error('Failed to build Plugo CSS', error);
+  }
+}
+
+function printResult(result) {
+  if (result.contentFiles.length) {
+    console.log(`Purged unused classes using ${result.contentFiles.length} content file(s)`);
+  }
+  console.log('Contrast report');
+  console.table(result.contrast.rows);
+  console.log(result.contrast.summary);
+  console.log('Plugo build complete');
+  console.table(result.report);
+}
+
+async function runBuild(options, { dryRun = false, bustCache = false } = {}) {
+  const config = await loadConfig(options.configPath, { bustCache });
+  const result = await buildPlugo(config, options.buildOptions);
+  const changed = await writePlugo(result, { outDir: options.outDir, cssDir: DEFAULT_CSS_DIR, dryRun });
+  printResult(result);
+  return { result, changed };
+}
+
+async function runWatch(options, port) {
+  const rootDir = options.projectDir;
+  const server = createDevServer({
+    rootDir,
+    port,
+    onSubmit: (payload) => console.log(`Mock form submission received at /__plugo/submit\n${JSON.stringify(payload, null, 2)}`)
+  });
+  const relative = (file) => path.relative(rootDir, file).split(path.sep).join('/');
+  const configFile = relative(options.configPath);
+  let outputs = new Set();
+  let queue = Promise.resolve();
+  let timer = null;
+  const pending = new Set();
+
+  async function rebuild() {
+    try {
+      const { result, changed } = await runBuild(options, { bustCache: true });
+      outputs = new Set(outputPaths(result, { outDir: options.outDir }).map(relative));
+      server.buildSucceeded();
+      const stylesheets = changed.filter((file) => file.endsWith('.css'));
+      if (stylesheets.length) {
+        server.updateCss(stylesheets);
+      }
+      return true;
+    } catch (error) {
+      reportFailure(error);
+      server.buildFailed(error);
+      return false;
+    }
+  }
+
+  async function handleChanges(files) {
+    if (files.includes(configFile)) {
+      await rebuild();
+      return;
+    }
+    const stylesheets = files.filter((file) => file.endsWith('.css'));
+    if (stylesheets.length === files.length) {
+      server.updateCss(stylesheets.map((file) => path.join(rootDir, file)));
+      return;
+    }
+    if (await rebuild()) {
+      server.reload();
+    }
+  }
+
+  await rebuild();
+  const url = await server.listen();
+  console.log(`Plugo dev server running at ${url} (watching for changes)`);
+
+  watchFiles(rootDir, { recursive: true }, (eventType, filename) => {
+    if (!filename) return;
+    const file = filename.split(path.sep).join('/');
+    if (!WATCHED_EXTENSIONS.test(file) || WATCH_IGNORED.test(file) || outputs.has(file)) return;
+    pending.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const files = Array.from(pending);
+      pending.clear();
+      queue = queue.then(() => handleChanges(files));
+    }, 100);
+  });
+}
+
+export async function runCli(argv, { cwd = process.cwd() } = {}) {
+  let flags;
+  try {
+    flags = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+  if (flags.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const options = resolveOptions(flags, cwd);
+
+  if (flags.watch) {
+    try {
+      await runWatch(options, flags.port ? Number(flags.port) : 3000);
+      return 0;
+    } catch (error) {
+      console.error('Failed to start Plugo watch mode', error);
+      return 1;
+    }
+  }
+
+  try {
+    if (flags.check) {
+      const issues = validateConfig(await loadConfig(options.configPath));
+      if (issues.length) {
+        throw new PlugoConfigError(issues);
+      }
+      console.log(`${path.basename(options.configPath)} is valid`);
+      return 0;
+    }
+
+    if (flags.diff) {
+      const previous = await readFile(path.resolve(cwd, flags.diff), 'utf8');
+      const result = await buildPlugo(await loadConfig(options.configPath), options.buildOptions);
+      console.log(formatCssDiff(diffCss(previous, result.bundles['plugo.css'])));
+      return 0;
+    }
+
+    const { changed } = await runBuild(options, { dryRun: flags['dry-run'] });
+    if (flags['dry-run']) {
+      console.log(changed.length ? 'Files that would be written:' : 'Dry run: every file is up to date');
+      changed.forEach((file) => console.log(`  ${path.relative(cwd, file)}`));
+    }
+    return 0;
+  } catch (error) {
+    reportFailure(error);
+    return 1;
+  }
+}
@@ -0,0 +1,217 @@
+export const SCALE_STEPS = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+
+const SCALE_POSITIONS = {
+  50: 0.94,
+  100: 0.84,
+  200: 0.66,
+  300: 0.46,
+  400: 0.24,
+  500: 0,
+  600: -0.18,
+  700: -0.36,
+  800: -0.54,
+  900: -0.72,
+  950: -0.84
+};
+
+const LIGHTEST = 0.985;
+const DARKEST = 0.16;
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function parseNumber(token, percentScale = 1) {
+  if (token === undefined) return NaN;
+  if (token === 'none') return 0;
+  if (/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?%$/i.test(token)) {
+    return (parseFloat(token) / 100) * percentScale;
+  }
+  if (/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(token)) {
+    return parseFloat(token);
+  }
+  return NaN;
+}
+
+function parseHue(token) {
+  const match = String(token).match(/^([+-]?(?:\d+\.?\d*|\.\d+))(deg|rad|grad|turn)?$/i);
+  if (!match) return token === 'none' ? 0 : NaN;
+  const value = parseFloat(match[1]);
+  const unit = (match[2] || 'deg').toLowerCase();
+  const degrees = {
+    deg: value,
+    rad: (value * 180) / Math.PI,
+    grad: value * 0.9,
+    turn: value * 360
+  }[unit];
+  return ((degrees % 360) + 360) % 360;
+}
+
+function parseHex(value) {
+  const hex = value.slice(1);
+  if (!/^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex)) return null;
+  const digits = hex.length <= 4 ? hex.split('').map((digit) => digit + digit) : hex.match(/../g);
+  const [r, g, b, a] = digits.map((pair) => parseInt(pair, 16));
+  return { r, g, b, alpha: a === undefined ? 1 : a / 255 };
+}
+
+function splitArguments(inner) {
+  const [main, alphaPart] = inner.split('/');
+  const parts = main.trim().split(/[\s,]+/).filter(Boolean);
+  if (alphaPart !== undefined) {
+    parts[3] = alphaPart.trim();
+  }
+  return parts;
+}
+
+function hslToRgb(h, s, l) {
+  const chroma = (1 - Math.abs(2 * l - 1)) * s;
+  const segment = h / 60;
+  const x = chroma * (1 - Math.abs((segment % 2) - 1));
+  const [r1, g1, b1] = [
+    [chroma, x, 0],
+    [x, chroma, 0],
+    [0, chroma, x],
+    [0, x, chroma],
+    [x, 0, chroma],
+    [chroma, 0, x]
+  ][Math.floor(segment) % 6];
+  const m = l - chroma / 2;
+  return { r: (r1 + m) * 255, g: (g1 + m) * 255, b: (b1 + m) * 255 };
+}
+
+function toLinear(channel) {
+  const c = channel / 255;
+  return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+}
+
+function fromLinear(channel) {
+  const c = channel <= 0.0031308 ? channel * 12.92 : 1.055 * channel ** (1 / 2.4) - 0.055;
+  return c * 255;
+}
+
+function oklchToLinearRgb({ l: lightness, c, h }) {
+  const radians = (h * Math.PI) / 180;
+  const a = c * Math.cos(radians);
+  const b = c * Math.sin(radians);
+  const l = (lightness + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (lightness - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (lightness - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+  ];
+}
+
+function inGamut(channels) {
+  return channels.every((channel) => channel >= -0.0001 && channel <= 1.0001);
+}
+
+export function toOklch({ r, g, b }) {
+  const [lr, lg, lb] = [r, g, b].map(toLinear);
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+  const lightness = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+  const a = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+  const bAxis = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+  const chroma = Math.sqrt(a * a + bAxis * bAxis);
+  const hue = chroma < 1e-4 ? 0 : (((Math.atan2(bAxis, a) * 180) / Math.PI) + 360) % 360;
+  return { l: lightness, c: chroma, h: hue };
+}
+
+export function fromOklch({ l, c, h }, alpha = 1) {
+  const lightness = clamp(l, 0, 1);
+  let chroma = Math.max(0, c);
+  let channels = oklchToLinearRgb({ l: lightness, c: chroma, h });
+  if (!inGamut(channels)) {
+    let low = 0;
+    let high = chroma;
+    while (high - low > 0.0005) {
+      chroma = (low + high) / 2;
+      if (inGamut(oklchToLinearRgb({ l: lightness, c: chroma, h }))) {
+        low = chroma;
+      } else {
+        high = chroma;
+      }
+    }
+    channels = oklchToLinearRgb({ l: lightness, c: low, h });
+  }
+  const [r, g, b] = channels.map((channel) => clamp(fromLinear(clamp(channel, 0, 1)), 0, 255));
+  return { r, g, b, alpha };
+}
+
+export function parseColor(value) {
+  if (typeof value !== 'string') return null;
+  const input = value.trim().toLowerCase();
+  if (input.startsWith('#')) {
+    return parseHex(input);
+  }
+
+  const match = input.match(/^(rgba?|hsla?|oklch)\(\s*([^()]*)\)$/);
+  if (!match) return null;
+  const [, fn, inner] = match;
+  const parts = splitArguments(inner);
+  if (parts.length < 3 || parts.length > 4) return null;
+  const alpha = parts[3] === undefined ? 1 : parseNumber(parts[3], 1);
+
+  let color;
+  if (fn.startsWith('rgb')) {
+    const [r, g, b] = parts.slice(0, 3).map((part) => parseNumber(part, 255));
+    color = { r, g, b };
+  } else if (fn.startsWith('hsl')) {
+    const h = parseHue(parts[0]);
+    const s = parseNumber(parts[1], 1);
+    const l = parseNumber(parts[2], 1);
+    if (!parts[1].endsWith('%') || !parts[2].endsWith('%')) return null;
+    color = hslToRgb(h, clamp(s, 0, 1), clamp(l, 0, 1));
+  } else {
+    const l = parseNumber(parts[0], 1);
+    const c = parseNumber(parts[1], 0.4);
+    const h = parseHue(parts[2]);
+    if ([l, c, h].some(Number.isNaN)) return null;
+    color = fromOklch({ l, c, h });
+  }
+
+  if ([color.r, color.g, color.b, alpha].some(Number.isNaN)) return null;
+  return {
+    r: clamp(color.r, 0, 255),
+    g: clamp(color.g, 0, 255),
+    b: clamp(color.b, 0, 255),
+    alpha: clamp(alpha, 0, 1)
+  };
+}
+
+export function formatHex({ r, g, b, alpha = 1 }) {
+  const channels = [r, g, b];
+  if (alpha < 1) channels.push(alpha * 255);
+  return `#${channels.map((channel) => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+export function mixColor(value, target, amount) {
+  const color = parseColor(value);
+  const mix = (channel) => channel + (target - channel) * amount;
+  return formatHex({ r: mix(color.r), g: mix(color.g), b: mix(color.b), alpha: color.alpha });
+}
+
+export function generateScale(value) {
+  const color = parseColor(value);
+  const base = toOklch(color);
+  return SCALE_STEPS.reduce((scale, step) => {
+    const position = SCALE_POSITIONS[step];
+    if (position === 0) {
+      scale[step] = { hex: formatHex(color), lightness: base.l };
+      return scale;
+    }
+    const target = position >= 0 ? LIGHTEST : DARKEST;
+    const t = Math.abs(position);
+    const oklch = {
+      l: base.l + (target - base.l) * t,
+      c: base.c * (1 - t * (position >= 0 ? 0.85 : 0.45)),
+      h: base.h
+    };
+    scale[step] = { hex: formatHex(fromOklch(oklch, color.alpha)), lightness: oklch.l };
+    return scale;
+  }, {});
+}
@@ -0,0 +1,416 @@
+import { readFileSync } from 'fs';
+
+export const VARIANTS = ['solid', 'outline', 'ghost'];
+export const SIZES = ['sm', 'md', 'lg'];
+export const STATES = ['hover', 'focus-visible', 'disabled'];
+
+export function defineComponent(definition) {
+  const component = typeof definition === 'function' ? { render: definition } : definition;
+  return { variants: [], sizes: [], states: [], rules: {}, example: null, ...component };
+}
+
+function colorRules(prefix, property, colors, tokens) {
+  return colors.map((name) => {
+    const declarations = Object.entries(tokens(name)).map(([key, value]) => `--${property}-${key}: ${value};`);
+    return `.${prefix}-${name} { ${declarations.join(' ')} }\n`;
+  }).join('');
+}
+
+function colorTokens(name) {
+  return {
+    color: `var(--color-${name})`,
+    hover: `var(--color-${name}-dark)`,
+    soft: `var(--color-${name}-light)`,
+    on: `var(--on-${name})`,
+    'on-hover': `var(--on-${name}-dark)`,
+    'on-soft': `var(--on-${name}-light)`,
+    text: `var(--color-${name}-on-surface)`
+  };
+}
+
+function softTokens(name) {
+  const { color, soft, on, 'on-soft': onSoft, text } = colorTokens(name);
+  return { color, soft, on, 'on-soft': onSoft, text };
+}
+
+const NEUTRAL_TOKENS = {
+  color: 'var(--surface-border)',
+  soft: 'var(--surface-card)',
+  on: 'var(--surface-text)',
+  'on-soft': 'var(--surface-text)',
+  text: 'var(--surface-text)'
+};
+
+function modifierRules(name, component, kind, ui) {
+  return component[kind].map((modifier) => {
+    const rule = component.rules[modifier];
+    if (rule === undefined) {
+      throw new Error(`Component "${name}" declares ${kind.slice(0, -1)} "${modifier}" but has no rule for it`);
+    }
+    return typeof rule === 'function' ? rule(ui) : rule;
+  }).join('');
+}
+
+function runtime(name) {
+  return readFileSync(new URL(`./runtime/${name}.js`, import.meta.url), 'utf8');
+}
+
+function customProperties(property, tokens) {
+  return Object.entries(tokens).map(([key, value]) => `  --${property}-${key}: ${value};\n`).join('');
+}
+
+const button = defineComponent({
+  variants: VARIANTS,
+  sizes: SIZES,
+  states: STATES,
+  rules: {
+    hover: '.btn:hover { transform: translateY(-1px); background: var(--btn-hover); border-color: var(--btn-hover); color: var(--btn-on-hover); }\n',
+    'focus-visible': '.btn:focus-visible { outline: 2px solid var(--btn-color); outline-offset: 2px; }\n',
+    disabled: '.btn:disabled, .btn[aria-disabled="true"] { opacity: 0.5; cursor: not-allowed; pointer-events: none; transform: none; }\n',
+    solid: '.btn-solid { background: var(--btn-color); border-color: var(--btn-color); color: var(--btn-on); }\n',
+    outline: '.btn-outline { background: transparent; color: var(--btn-text); }\n'
+      + '.btn-outline:hover { background: var(--btn-color); border-color: var(--btn-color); color: var(--btn-on); }\n',
+    ghost: '.btn-ghost { background: transparent; border-color: transparent; color: var(--btn-text); }\n'
+      + '.btn-ghost:hover { background: var(--btn-soft); border-color: transparent; color: var(--btn-on-soft); }\n',
+    sm: (ui) => `.btn-sm { padding: ${ui.space(0.5)} ${ui.space(0.75)}; font-size: 0.875rem; }\n`,
+    md: (ui) => `.btn-md { padding: ${ui.space(0.75)} ${ui.space(1.25)}; font-size: 1rem; }\n`,
+    lg: (ui) => `.btn-lg { padding: ${ui.space(1)} ${ui.space(1.75)}; font-size: 1.125rem; }\n`
+  },
+  example: '<button type="button" class="btn">Primary</button>\n'
+    + '<button type="button" class="btn btn-secondary">Secondary</button>\n'
+    + '<button type="button" class="btn btn-success btn-outline">Outline</button>\n'
+    + '<button type="button" class="btn btn-ghost btn-sm">Ghost</button>\n'
+    + '<button type="button" class="btn btn-lg" disabled>Disabled</button>',
+  render(theme, ui) {
+    return `.btn {\n${customProperties('btn', colorTokens('primary'))}`
+      + `  display: inline-flex;\n  align-items: center;\n  justify-content: center;\n  gap: ${ui.space(0.5)};\n`
+      + `  padding: ${ui.space(0.75)} ${ui.space(1.25)};\n  font-size: 1rem;\n  border-radius: 9999px;\n`
+      + '  border: 1px solid var(--btn-color);\n  background: var(--btn-color);\n  color: var(--btn-on);\n'
+      + '  font-weight: 600;\n  cursor: pointer;\n  text-decoration: none;\n'
+      + `  transition: ${ui.transition('background-color', 'border-color', 'color', 'transform')};\n}\n`
+      + ui.rules('states')
+      + '.btn:active { transform: translateY(0); }\n\n'
+      + colorRules('btn', 'btn', ui.colors, colorTokens)
+      + `\n${ui.rules('variants')}`
+      + '.btn-secondary { background: var(--surface-card); color: var(--btn-text); border-color: var(--btn-color); }\n'
+      + '.btn-secondary:hover { background: var(--btn-soft); border-color: var(--btn-color); color: var(--btn-on-soft); }\n\n'
+      + `${ui.rules('sizes')}\n`;
+  }
+});
+
+const card = defineComponent({
+  variants: VARIANTS,
+  sizes: SIZES,
+  states: STATES,
+  rules: {
+    hover: '.card:hover { box-shadow: 0 15px 40px rgba(15, 23, 42, 0.12); transform: translateY(-2px); }\n',
+    'focus-visible': '.card:focus-visible { outline: 2px solid var(--color-primary); outline-offset: 2px; }\n',
+    disabled: '.card[aria-disabled="true"] { opacity: 0.5; pointer-events: none; box-shadow: none; transform: none; }\n',
+    solid: '.card-solid { background: var(--surface-card); border-color: var(--surface-border); box-shadow: 0 10px 30px rgba(15, 23, 42, 0.08); }\n',
+    outline: '.card-outline { box-shadow: none; }\n'
+      + '.card-outline:hover { box-shadow: none; border-color: var(--color-primary); }\n',
+    ghost: '.card-ghost { background: transparent; border-color: transparent; box-shadow: none; }\n'
+      + '.card-ghost:hover { background: var(--surface-card); box-shadow: none; }\n',
+    sm: (ui) => `.card-sm { padding: ${ui.space(0.75)}; border-radius: 8px; }\n`,
+    md: (ui) => `.card-md { padding: ${ui.space(1.5)}; }\n`,
+    lg: (ui) => `.card-lg { padding: ${ui.space(2)}; border-radius: 16px; }\n`
+  },
+  example: '<article class="card">\n  <h3>Card title</h3>\n  <p>Cards group related content and actions.</p>\n</article>',
+  render(theme, ui) {
+    return '.card {\n  background: var(--surface-card);\n  border: 1px solid var(--surface-border);\n  color: var(--surface-text);\n'
+      + `  border-radius: 12px;\n  padding: ${ui.space(1.5)};\n  box-shadow: 0 10px 30px rgba(15, 23, 42, 0.08);\n`
+      + `  transition: ${ui.transition('box-shadow', 'transform')};\n}\n`
+      + `${ui.rules('states')}\n`
+      + `${ui.rules('variants')}\n`
+      + `${ui.rules('sizes')}\n`;
+  }
+});
+
+const alert = defineComponent({
+  variants: VARIANTS,
+  sizes: SIZES,
+  states: ['focus-visible'],
+  rules: {
+    'focus-visible': '.alert:focus-visible { outline: 2px solid var(--alert-color); outline-offset: 2px; }\n',
+    solid: '.alert-solid { background: var(--alert-color); color: var(--alert-on); }\n',
+    outline: '.alert-outline { background: transparent; color: var(--alert-text); }\n',
+    ghost: '.alert-ghost { background: transparent; border-color: transparent; color: var(--alert-text); }\n',
+    sm: (ui) => `.alert-sm { padding: ${ui.space(0.5)}; font-size: 0.875rem; }\n`,
+    md: (ui) => `.alert-md { padding: ${ui.space(0.75)}; font-size: 1rem; }\n`,
+    lg: (ui) => `.alert-lg { padding: ${ui.space(1.25)}; font-size: 1.125rem; }\n`
+  },
+  example: '<div class="alert alert-success" role="status">Changes saved.</div>\n'
+    + '<div class="alert alert-danger alert-solid" role="alert">Something went wrong.</div>',
+  render(theme, ui) {
+    return `.alert {\n${customProperties('alert', NEUTRAL_TOKENS)}`
+      + `  padding: ${ui.space(0.75)};\n  border-radius: 12px;\n  border: 1px solid var(--alert-color);\n`
+      + '  background: var(--alert-soft);\n  color: var(--alert-on-soft);\n'
+      + `  display: flex;\n  align-items: center;\n  gap: ${ui.space(0.5)};\n  font-weight: 600;\n}\n`
+      + `${ui.rules('states')}\n`
+      + colorRules('alert', 'alert', ui.colors, softTokens)
+      + `\n${ui.rules('variants')}\n`
+      + `${ui.rules('sizes')}\n`;
+  }
+});
+
+const badge = defineComponent({
+  variants: VARIANTS,
+  sizes: SIZES,
+  states: ['hover', 'focus-visible'],
+  rules: {
+    hover: 'a.badge:hover { background: var(--badge-color); color: var(--badge-on); }\n'
+      + '.badge-dismiss:hover { background: var(--badge-color); color: var(--badge-on); }\n',
+    'focus-visible': 'a.badge:focus-visible { outline: 2px solid var(--badge-color); outline-offset: 2px; }\n'
+      + '.badge-dismiss:focus-visible { outline: 2px solid currentColor; outline-offset: 1px; }\n',
+    solid: '.badge-solid { background: var(--badge-color); color: var(--badge-on); }\n',
+    outline: '.badge-outline { background: transparent; color: var(--badge-text); }\n',
+    ghost: '.badge-ghost { background: transparent; border-color: transparent; color: var(--badge-text); }\n',
+    sm: (ui) => `.badge-sm { padding: 0 ${ui.space(0.5)}; font-size: 0.75rem; }\n`,
+    md: (ui) => `.badge-md { padding: ${ui.space(0.125)} ${ui.space(0.625)}; font-size: 0.875rem; }\n`,
+    lg: (ui) => `.badge-lg { padding: ${ui.space(0.25)} ${ui.space(0.75)}; font-size: 1rem; }\n`
+  },
+  script: runtime('badge'),
+  example: '<span class="badge badge-primary">New</span>\n'
+    + '<span class="badge badge-success badge-solid">Stable</span>\n'
+    + '<span class="badge badge-warning">Filter <button type="button" class="badge-dismiss">×</button></span>',
+  render(theme, ui) {
+    return `.badge {\n${customProperties('badge', NEUTRAL_TOKENS)}`
+      + `  display: inline-flex;\n  align-items: center;\n  gap: ${ui.space(0.25)};\n  padding: ${ui.space(0.125)} ${ui.space(0.625)};\n`
+      + '  border: 1px solid var(--badge-color);\n  border-radius: 9999px;\n  background: var(--badge-soft);\n  color: var(--badge-on-soft);\n'
+      + '  font-size: 0.875rem;\n  font-weight: 600;\n  line-height: 1.5;\n  white-space: nowrap;\n}\n'
+      + 'a.badge { text-decoration: none; }\n'
+      + '.badge-dismiss {\n  display: inline-flex;\n  align-items: center;\n  justify-content: center;\n'
+      + '  width: 1.25em;\n  height: 1.25em;\n  margin-right: -0.25em;\n  padding: 0;\n  border: 0;\n  border-radius: 9999px;\n'
+      + '  background: transparent;\n  color: inherit;\n  font: inherit;\n  line-height: 1;\n  cursor: pointer;\n}\n'
+      + `${ui.rules('states')}\n`
+      + colorRules('badge', 'badge', ui.colors, softTokens)
+      + `\n${ui.rules('variants')}\n`
+      + `${ui.rules('sizes')}\n`;
+  }
+});
+
+const navbar = defineComponent({
+  variants: [],
+  sizes: [],
+  states: ['hover', 'focus-visible'],
+  rules: {
+    hover: '.navbar-toggle:hover { border-color: var(--surface-border); }\n'
+      + '.navbar-link:hover, .navbar-link[aria-current="page"] { background: var(--color-primary-light); color: var(--on-primary-light); }\n',
+    'focus-visible': '.navbar-toggle:focus-visible { outline: 2px solid var(--color-primary); outline-offset: 2px; }\n'
+      + '.navbar-link:focus-visible { outline: 2px solid var(--color-primary); outline-offset: 2px; }\n'
+  },
+  script: runtime('navbar'),
+  example: (theme) => `<nav class="navbar navbar-expand-${Object.keys(theme.layout.breakpoints).at(-1)}" data-navbar aria-label="Example">\n`
+    + '  <a class="navbar-brand" href="#">Brand</a>\n'
+    + '  <button type="button" class="navbar-toggle" aria-label="Menu">\n'
+    + '    <span class="navbar-toggle-bar"></span>\n    <span class="navbar-toggle-bar"></span>\n    <span class="navbar-toggle-bar"></span>\n'
+    + '  </button>\n'
+    + '  <ul class="navbar-menu">\n'
+    + '    <li><a class="navbar-link" href="#" aria-current="page">Home</a></li>\n'
+    + '    <li><a class="navbar-link" href="#">About</a></li>\n'
+    + '  </ul>\n</nav>',
+  render(theme, ui) {
+    const expanded = Object.entries(theme.layout.breakpoints).map(([prefix, size]) => (
+      `@media (min-width: ${size}) {\n`
+      + `  .navbar-expand-${prefix} .navbar-toggle { display: none; }\n`
+      + `  .navbar-expand-${prefix} .navbar-menu { display: flex; flex-basis: auto; flex-direction: row; align-items: center; padding: 0; border: 0; background: none; }\n`
+      + '}\n\n'
+    )).join('');
+    return `.navbar {\n  position: relative;\n  display: flex;\n  flex-wrap: wrap;\n  align-items: center;\n  justify-content: space-between;\n`
+      + `  gap: ${ui.space(1)};\n  padding: ${ui.space(0.75)} 0;\n}\n`
+      + '.navbar-brand { font-weight: 700; color: inherit; text-decoration: none; }\n'
+      + '.navbar-toggle {\n  display: inline-flex;\n  flex-direction: column;\n  justify-content: center;\n  gap: 4px;\n'
+      + `  padding: ${ui.space(0.5)};\n  border: 1px solid transparent;\n  border-radius: 8px;\n  background: none;\n  color: inherit;\n  cursor: pointer;\n}\n`
+      + `.navbar-toggle-bar { display: block; width: 24px; height: 2px; background: currentColor; transition: ${ui.transition('transform', 'opacity')}; }\n`
+      + '.navbar-toggle[aria-expanded="true"] .navbar-toggle-bar:nth-child(1) { transform: translateY(6px) rotate(45deg); }\n'
+      + '.navbar-toggle[aria-expanded="true"] .navbar-toggle-bar:nth-child(2) { opacity: 0; }\n'
+      + '.navbar-toggle[aria-expanded="true"] .navbar-toggle-bar:nth-child(3) { transform: translateY(-6px) rotate(-45deg); }\n'
+      + '.navbar-menu {\n  display: none;\n  flex-basis: 100%;\n  flex-direction: column;\n'
+      + `  gap: ${ui.space(0.5)};\n  padding: ${ui.space(0.75)};\n  border: 1px solid var(--surface-border);\n  border-radius: 12px;\n  background: var(--surface-card);\n}\n`
+      + '.navbar-menu.is-open { display: flex; }\n'
+      + `.navbar-link { padding: ${ui.space(0.5)} ${ui.space(0.75)}; border-radius: 8px; color: inherit; font-weight: 600; text-decoration: none; }\n`
+      + `${ui.rules('states')}\n`
+      + expanded;
+  }
+});
+
+const form = defineComponent({
+  variants: [],
+  sizes: SIZES,
+  states: STATES,
+  rules: {
+    hover: '.form-control:hover { border-color: var(--color-primary); }\n',
+    'focus-visible': '.form-control:focus-visible { outline: 2px solid transparent; border-color: var(--color-primary); box-shadow: 0 0 0 3px var(--color-primary-light); }\n',
+    disabled: '.form-control:disabled { opacity: 0.6; cursor: not-allowed; }\n',
+    sm: (ui) => `.form-control-sm { padding: ${ui.space(0.375)} ${ui.space(0.5)}; font-size: 0.875rem; border-radius: 8px; }\n`,
+    md: (ui) => `.form-control-md { padding: ${ui.space(0.625)} ${ui.space(0.75)}; font-size: 1rem; }\n`,
+    lg: (ui) => `.form-control-lg { padding: ${ui.space(0.875)} ${ui.space(1)}; font-size: 1.125rem; }\n`
+  },
+  script: runtime('form'),
+  example: '<form data-validate novalidate>\n'
+    + '  <div class="form-field">\n'
+    + '    <label class="form-label" for="example-email">Email</label>\n'
+    + '    <input class="form-control" id="example-email" type="email" required data-error-required="Email is required.">\n'
+    + '    <p class="form-help">We never share it.</p>\n'
+    + '  </div>\n'
+    + '  <label class="form-check"><input class="form-check-input" type="checkbox"> Remember me</label>\n'
+    + '  <button type="submit" class="btn">Submit</button>\n</form>',
+  render(theme, ui) {
+    const invalid = ui.colors.includes('danger') ? 'var(--color-danger)' : '#dc2626';
+    const invalidText = ui.colors.includes('danger') ? 'var(--color-danger-on-surface)' : '#b91c1c';
+    const chevron = 'url("data:image/svg+xml,%3Csvg xmlns=\'http://www.w3.org/2000/svg\' viewBox=\'0 0 12 8\'%3E%3Cpath d=\'M1 1l5 5 5-5\' fill=\'none\' stroke=\'%2364748b\' stroke-width=\'2\'/%3E%3C/svg%3E")';
+    return `.form-field { display: flex; flex-direction: column; gap: ${ui.space(0.25)}; }\n`
+      + '.form-label { font-weight: 600; }\n'
+      + '.form-help { margin: 0; font-size: 0.875rem; opacity: 0.8; }\n'
+      + `.form-error { margin: 0; font-size: 0.875rem; font-weight: 600; color: ${invalidText}; }\n`
+      + '.form-error[hidden] { display: none; }\n\n'
+      + '.form-control {\n  display: block;\n  width: 100%;\n'
+      + `  padding: ${ui.space(0.625)} ${ui.space(0.75)};\n  border: 1px solid var(--surface-border);\n  border-radius: 12px;\n`
+      + '  background: var(--surface-card);\n  color: var(--surface-text);\n  font: inherit;\n  line-height: 1.5;\n  appearance: none;\n'
+      + `  transition: ${ui.transition('border-color', 'box-shadow')};\n}\n`
+      + '.form-control::placeholder { color: inherit; opacity: 0.6; }\n'
+      + ui.rules('states')
+      + `.form-control[aria-invalid="true"] { border-color: ${invalid}; }\n`
+      + `.form-control[aria-invalid="true"]:focus-visible { box-shadow: 0 0 0 3px ${invalid}; }\n`
+      + `.form-select { padding-right: ${ui.space(2.25)}; background-image: ${chevron}; background-repeat: no-repeat; background-position: right ${ui.space(0.75)} center; background-size: 12px 8px; }\n`
+      + '.form-textarea { min-height: 6rem; resize: vertical; }\n\n'
+      + `${ui.rules('sizes')}\n`
+      + `.form-check { display: inline-flex; align-items: center; gap: ${ui.space(0.5)}; cursor: pointer; }\n`
+      + '.form-check-input {\n  display: inline-grid;\n  place-content: center;\n  flex-shrink: 0;\n  width: 1.125rem;\n  height: 1.125rem;\n  margin: 0;\n'
+      + '  border: 1px solid var(--surface-border);\n  border-radius: 4px;\n  background: var(--surface-card);\n  appearance: none;\n  cursor: pointer;\n}\n'
+      + '.form-check-input[type="radio"] { border-radius: 9999px; }\n'
+      + '.form-check-input::before {\n  content: "";\n  width: 0.625rem;\n  height: 0.625rem;\n  background: var(--on-primary);\n'
+      + '  clip-path: polygon(14% 44%, 0 65%, 50% 100%, 100% 16%, 80% 0%, 43% 62%);\n  transform: scale(0);\n'
+      + `  transition: ${ui.transition('transform')};\n}\n`
+      + '.form-check-input[type="radio"]::before { clip-path: circle(50%); }\n'
+      + '.form-check-input:checked { background: var(--color-primary); border-color: var(--color-primary); }\n'
+      + '.form-check-input:checked::before { transform: scale(1); }\n'
+      + '.form-check-input:hover { border-color: var(--color-primary); }\n'
+      + '.form-check-input:focus-visible { outline: 2px solid var(--color-primary); outline-offset: 2px; }\n'
+      + '.form-check-input:disabled { opacity: 0.6; cursor: not-allowed; }\n'
+      + `.form-check-input[aria-invalid="true"] { border-color: ${invalid}; }\n\n`;
+  }
+});
+
+const modal = defineComponent({
+  variants: [],
+  sizes: SIZES,
+  states: ['hover', 'focus-visible'],
+  rules: {
+    hover: '.modal-close:hover { background: var(--surface-background); }\n',
+    'focus-visible': '.modal-dialog:focus-visible { outline: 2px solid var(--color-primary); outline-offset: 2px; }\n'
+      + '.modal-close:focus-visible { outline: 2px solid var(--color-primary); outline-offset: 2px; }\n',
+    sm: '.modal-sm { max-width: 24rem; }\n',
+    md: '.modal-md { max-width: 32rem; }\n',
+    lg: '.modal-lg { max-width: 48rem; }\n'
+  },
+  script: runtime('modal'),
+  example: '<button type="button" class="btn" data-modal-open="example-modal">Open modal</button>\n'
+    + '<div class="modal" id="example-modal" hidden>\n'
+    + '  <div class="modal-backdrop" data-modal-close></div>\n'
+    + '  <div class="modal-dialog">\n'
+    + '    <div class="modal-header">\n'
+    + '      <h2 class="modal-title">Modal title</h2>\n'
+    + '      <button type="button" class="modal-close" data-modal-close aria-label="Close">×</button>\n'
+    + '    </div>\n'
+    + '    <p>Focus stays inside until the dialog closes.</p>\n'
+    + '    <div class="modal-footer"><button type="button" class="btn" data-modal-close>Done</button></div>\n'
+    + '  </div>\n</div>',
+  render(theme, ui) {
+    return `.modal {\n  position: fixed;\n  inset: 0;\n  z-index: 50;\n  display: flex;\n  align-items: center;\n  justify-content: center;\n  padding: ${ui.space(1)};\n}\n`
+      + '.modal[hidden] { display: none; }\n'
+      + '.modal-backdrop { position: absolute; inset: 0; background: rgba(15, 23, 42, 0.6); }\n'
+      + '.modal-dialog {\n  position: relative;\n  width: 100%;\n  max-width: 32rem;\n'
+      + `  max-height: calc(100vh - ${ui.space(2)});\n  overflow: auto;\n  padding: ${ui.space(1.5)};\n`
+      + '  border: 1px solid var(--surface-border);\n  border-radius: 16px;\n  background: var(--surface-card);\n  color: var(--surface-text);\n'
+      + '  box-shadow: 0 25px 60px rgba(15, 23, 42, 0.25);\n}\n'
+      + `.modal-header { display: flex; align-items: center; justify-content: space-between; gap: ${ui.space(1)}; margin-bottom: ${ui.space(1)}; }\n`
+      + '.modal-title { margin: 0; }\n'
+      + `.modal-footer { display: flex; flex-wrap: wrap; justify-content: flex-end; gap: ${ui.space(0.5)}; margin-top: ${ui.space(1.5)}; }\n`
+      + `.modal-close { padding: ${ui.space(0.25)} ${ui.space(0.5)}; border: 0; border-radius: 8px; background: none; color: inherit; font-size: 1.5rem; line-height: 1; cursor: pointer; }\n`
+      + ui.rules('states')
+      + '.modal-open { overflow: hidden; }\n\n'
+      + `${ui.rules('sizes')}\n`
+      + '@media (prefers-reduced-motion: no-preference) {\n'
+      + `  .modal:not([hidden]) .modal-dialog { animation: plugo-modal-in ${theme.transition.duration} ${theme.transition.type}; }\n}\n\n`
+      + '@keyframes plugo-modal-in {\n  from { opacity: 0; transform: translateY(8px); }\n}\n\n';
+  }
+});
+
+const tabs = defineComponent({
+  variants: ['solid', 'ghost'],
+  sizes: SIZES,
+  states: STATES,
+  rules: {
+    hover: '.tabs-tab:hover { color: var(--color-primary-on-surface); }\n',
+    'focus-visible': '.tabs-tab:focus-visible { outline: 2px solid var(--color-primary); outline-offset: -2px; border-radius: 4px; }\n'
+      + '.tabs-panel:focus-visible { outline: 2px solid var(--color-primary); outline-offset: 2px; }\n',
+    disabled: '.tabs-tab:disabled { opacity: 0.5; cursor: not-allowed; }\n',
+    solid: '.tabs-solid .tabs-list { border-bottom: 0; }\n'
+      + '.tabs-solid .tabs-tab { border-bottom: 0; border-radius: 9999px; }\n'
+      + '.tabs-solid .tabs-tab[aria-selected="true"] { background: var(--color-primary); color: var(--on-primary); }\n',
+    ghost: '.tabs-ghost .tabs-list { border-bottom: 0; }\n'
+      + '.tabs-ghost .tabs-tab[aria-selected="true"] { border-bottom-color: transparent; }\n',
+    sm: (ui) => `.tabs-sm .tabs-tab { padding: ${ui.space(0.25)} ${ui.space(0.75)}; font-size: 0.875rem; }\n`,
+    md: (ui) => `.tabs-md .tabs-tab { padding: ${ui.space(0.5)} ${ui.space(1)}; font-size: 1rem; }\n`,
+    lg: (ui) => `.tabs-lg .tabs-tab { padding: ${ui.space(0.75)} ${ui.space(1.25)}; font-size: 1.125rem; }\n`
+  },
+  script: runtime('tabs'),
+  example: '<div class="tabs">\n'
+    + '  <div class="tabs-list">\n'
+    + '    <button type="button" class="tabs-tab">Overview</button>\n'
+    + '    <button type="button" class="tabs-tab">Details</button>\n'
+    + '  </div>\n'
+    + '  <div class="tabs-panel">Overview panel</div>\n'
+    + '  <div class="tabs-panel">Details panel</div>\n</div>',
+  render(theme, ui) {
+    return `.tabs { display: flex; flex-direction: column; gap: ${ui.space(1)}; }\n`
+      + `.tabs-list { display: flex; gap: ${ui.space(0.25)}; overflow-x: auto; border-bottom: 1px solid var(--surface-border); }\n`
+      + '.tabs-tab {\n  margin-bottom: -1px;\n'
+      + `  padding: ${ui.space(0.5)} ${ui.space(1)};\n  border: 0;\n  border-bottom: 2px solid transparent;\n  background: none;\n`
+      + '  color: inherit;\n  font: inherit;\n  font-weight: 600;\n  white-space: nowrap;\n  cursor: pointer;\n'
+      + `  transition: ${ui.transition('color', 'border-color', 'background-color')};\n}\n`
+      + '.tabs-tab[aria-selected="true"] { border-bottom-color: var(--color-primary); color: var(--color-primary-on-surface); }\n'
+      + ui.rules('states')
+      + '.tabs-panel[hidden] { display: none; }\n\n'
+      + `${ui.rules('variants')}\n`
+      + `${ui.rules('sizes')}\n`;
+  }
+});
+
+export const BUILTIN_COMPONENTS = { button, card, alert, badge, navbar, form, modal, tabs };
+
+export function createComponentRegistry(registered = {}) {
+  const components = { ...BUILTIN_COMPONENTS };
+  Object.entries(registered).forEach(([name, definition]) => {
+    components[name] = defineComponent(definition);
+  });
+
+  return {
+    names() {
+      return Object.keys(components);
+    },
+    get(name) {
+      return components[name];
+    },
+    render(name, theme, ui) {
+      const component = components[name];
+      if (!component) {
+        throw new Error(`Unknown component "${name}"`);
+      }
+      const rules = (kind) => modifierRules(name, component, kind, ui);
+      const css = component.render(theme, { ...ui, rules });
+      if (typeof css !== 'string') {
+        throw new Error(`Component "${name}" must return a CSS string`);
+      }
+      return css;
+    },
+    script(name) {
+      return components[name]?.script || null;
+    },
+    example(name, theme) {
+      const example = components[name]?.example;
+      return typeof example === 'function' ? example(theme) : example || null;
+    }
+  };
+}
@@ -0,0 +1,116 @@
+import { formatHex, fromOklch, parseColor, toOklch } from './color.js';
+
+export const AA_RATIO = 4.5;
+export const AAA_RATIO = 7;
+export const DARK_TEXT = '#0f172a';
+export const LIGHT_TEXT = '#f8fafc';
+
+const LIGHTNESS_STEP = 0.01;
+
+function flatten(value) {
+  const color = typeof value === 'string' ? parseColor(value) : value;
+  const over = (channel) => channel * color.alpha + 255 * (1 - color.alpha);
+  return { r: over(color.r), g: over(color.g), b: over(color.b) };
+}
+
+export function relativeLuminance(value) {
+  const { r, g, b } = flatten(value);
+  const [lr, lg, lb] = [r, g, b].map((channel) => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+}
+
+export function contrastRatio(foreground, background) {
+  const [lighter, darker] = [relativeLuminance(foreground), relativeLuminance(background)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+function apcaLuminance(value) {
+  const { r, g, b } = flatten(value);
+  const y = 0.2126729 * (r / 255) ** 2.4 + 0.7151522 * (g / 255) ** 2.4 + 0.0721750 * (b / 255) ** 2.4;
+  return y > 0.022 ? y : y + (0.022 - y) ** 1.414;
+}
+
+export function apcaContrast(foreground, background) {
+  const text = apcaLuminance(foreground);
+  const surface = apcaLuminance(background);
+  if (Math.abs(surface - text) < 0.0005) return 0;
+  if (surface > text) {
+    const contrast = (surface ** 0.56 - text ** 0.57) * 1.14;
+    return contrast < 0.1 ? 0 : (contrast - 0.027) * 100;
+  }
+  const contrast = (surface ** 0.65 - text ** 0.62) * 1.14;
+  return contrast > -0.1 ? 0 : (contrast + 0.027) * 100;
+}
+
+function strengthen(foreground, background) {
+  const color = toOklch(parseColor(foreground));
+  const step = relativeLuminance(foreground) < relativeLuminance(background) ? -LIGHTNESS_STEP : LIGHTNESS_STEP;
+  let shade = foreground;
+  for (let l = color.l + step; contrastRatio(shade, background) < AA_RATIO && l > -LIGHTNESS_STEP && l < 1 + LIGHTNESS_STEP; l += step) {
+    shade = formatHex(fromOklch({ ...color, l }));
+  }
+  return shade;
+}
+
+export function pickForeground(background, candidates = [DARK_TEXT, LIGHT_TEXT]) {
+  const ranked = [...candidates].sort((a, b) => contrastRatio(b, background) - contrastRatio(a, background));
+  if (contrastRatio(ranked[0], background) >= AA_RATIO) return ranked[0];
+  const shades = ranked.map((candidate) => strengthen(candidate, background));
+  return shades.find((shade) => contrastRatio(shade, background) >= AA_RATIO)
+    || shades.reduce((best, shade) => (contrastRatio(shade, background) > contrastRatio(best, background) ? shade : best));
+}
+
+export class PlugoContrastError extends Error {
+  constructor(failures) {
+    const lines = failures.map((check) => (
+      `  ✖ ${check.selector}: ${check.foreground} on ${check.background} is ${check.ratio.toFixed(2)}:1`
+      + `\n      → WCAG AA needs ${AA_RATIO}:1 for body text, adjust ${check.source}`
+    ));
+    super(`Contrast check failed (${failures.length} pair${failures.length > 1 ? 's' : ''} below AA)\n${lines.join('\n')}`);
+    this.name = 'PlugoContrastError';
+    this.issues = failures;
+  }
+}
+
+export function createContrastAudit({ apca = false } = {}) {
+  const checks = [];
+
+  return {
+    check(selector, foreground, background, { source = 'theme.colors', detail = true } = {}) {
+      checks.push({
+        selector,
+        foreground,
+        background,
+        source,
+        detail,
+        ratio: contrastRatio(foreground, background),
+        apca: apca ? apcaContrast(foreground, background) : null
+      });
+      return foreground;
+    },
+    failures() {
+      return checks.filter((check) => check.ratio < AA_RATIO);
+    },
+    report() {
+      const rows = checks
+        .filter((check) => check.detail || check.ratio < AA_RATIO)
+        .map((check) => {
+          const row = {
+            selector: check.selector,
+            foreground: check.foreground,
+            background: check.background,
+            ratio: `${check.ratio.toFixed(2)}:1`,
+            AA: check.ratio >= AA_RATIO ? '✔' : '✖',
+            AAA: check.ratio >= AAA_RATIO ? '✔' : '✖'
+          };
+          if (apca) row.APCA = `Lc ${Math.round(check.apca)}`;
+          return row;
+        });
+      const failing = checks.filter((check) => check.ratio < AA_RATIO).length;
+      return { rows, summary: `Checked ${checks.length} color pairs, ${failing} below WCAG AA` };
+    }
+  };
+}
@@ -0,0 +1,83 @@
+import { parseCss } from './css-parser.js';
+
+function declarationText(decl) {
+  return `${decl.prop}: ${decl.value}${decl.important ? ' !important' : ''};`;
+}
+
+function collectRules(nodes, context = '', rules = new Map()) {
+  nodes.forEach((node) => {
+    if (node.type === 'rule') {
+      const key = `${context}\n${node.selector}`;
+      const entry = rules.get(key) || { selector: node.selector, context, declarations: [] };
+      entry.declarations.push(...node.declarations.map(declarationText));
+      rules.set(key, entry);
+    }
+    if (node.type === 'atrule' && node.nodes) {
+      collectRules(node.nodes, `${context} @${node.name}${node.params ? ` ${node.params}` : ''}`.trim(), rules);
+    }
+  });
+  return rules;
+}
+
+function without(list, other) {
+  const remaining = [...other];
+  return list.filter((item) => {
+    const index = remaining.indexOf(item);
+    if (index === -1) return true;
+    remaining.splice(index, 1);
+    return false;
+  });
+}
+
+export function diffCss(before, after) {
+  const previous = collectRules(parseCss(before).nodes);
+  const next = collectRules(parseCss(after).nodes);
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  next.forEach((rule, key) => {
+    if (!previous.has(key)) added.push(rule);
+  });
+  previous.forEach((rule, key) => {
+    const current = next.get(key);
+    if (!current) {
+      removed.push(rule);
+      return;
+    }
+    const dropped = without(rule.declarations, current.declarations);
+    const introduced = without(current.declarations, rule.declarations);
+    if (dropped.length || introduced.length) {
+      changed.push({ selector: rule.selector, context: rule.context, removed: dropped, added: introduced });
+    }
+  });
+  return { added, removed, changed };
+}
+
+function label({ selector, context }) {
+  return context ? `${selector}  (${context})` : selector;
+}
+
+export function formatCssDiff({ added, removed, changed }) {
+  if (!added.length && !removed.length && !changed.length) {
+    return 'No selector changes';
+  }
+  const lines = [`${added.length} added, ${removed.length} removed, ${changed.length} changed selector(s)`];
+  if (added.length) {
+    lines.push('', `Added (${added.length})`, ...added.map((rule) => `  + ${label(rule)}`));
+  }
+  if (removed.length) {
+    lines.push('', `Removed (${removed.length})`, ...removed.map((rule) => `  - ${label(rule)}`));
+  }
+  if (changed.length) {
+    lines.push('', `Changed (${changed.length})`);
+    changed.forEach((rule) => {
+      lines.push(
+        `  ~ ${label(rule)}`,
+        ...rule.removed.map((decl) => `      - ${decl}`),
+        ...rule.added.map((decl) => `      + ${decl}`)
+      );
+    });
+  }
+  return lines.join('\n');
+}
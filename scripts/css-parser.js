@@ -0,0 +1,236 @@
+const BLOCK_AT_RULES = new Set(['media', 'supports', 'layer', 'container', 'document', 'keyframes']);
+
+function skipString(css, index) {
+  const quote = css[index];
+  let cursor = index + 1;
+  while (cursor < css.length && css[cursor] !== quote) {
+    cursor += css[cursor] === '\\' ? 2 : 1;
+  }
+  return cursor + 1;
+}
+
+function skipComment(css, index) {
+  const end = css.indexOf('*/', index + 2);
+  return end === -1 ? css.length : end + 2;
+}
+
+function findBlockEnd(css, openIndex) {
+  let depth = 0;
+  let cursor = openIndex;
+  while (cursor < css.length) {
+    const char = css[cursor];
+    if (char === '"' || char === '\'') {
+      cursor = skipString(css, cursor);
+      continue;
+    }
+    if (char === '/' && css[cursor + 1] === '*') {
+      cursor = skipComment(css, cursor);
+      continue;
+    }
+    if (char === '\\') {
+      cursor += 2;
+      continue;
+    }
+    if (char === '{') depth += 1;
+    if (char === '}') {
+      depth -= 1;
+      if (depth === 0) return cursor;
+    }
+    cursor += 1;
+  }
+  throw new Error(`Unclosed block starting at offset ${openIndex}`);
+}
+
+function splitTopLevel(source, separator) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  let cursor = 0;
+  while (cursor < source.length) {
+    const char = source[cursor];
+    if (char === '"' || char === '\'') {
+      const end = skipString(source, cursor);
+      current += source.slice(cursor, end);
+      cursor = end;
+      continue;
+    }
+    if (char === '/' && source[cursor + 1] === '*') {
+      cursor = skipComment(source, cursor);
+      continue;
+    }
+    if (char === '\\') {
+      current += source.slice(cursor, cursor + 2);
+      cursor += 2;
+      continue;
+    }
+    if (char === '(' || char === '[') depth += 1;
+    if (char === ')' || char === ']') depth -= 1;
+    if (char === separator && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+    cursor += 1;
+  }
+  parts.push(current);
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+function parseDeclarations(body) {
+  return splitTopLevel(body, ';').map((chunk) => {
+    const colon = chunk.indexOf(':');
+    if (colon === -1) {
+      throw new Error(`Invalid declaration "${chunk}"`);
+    }
+    let value = chunk.slice(colon + 1).trim();
+    const important = /!important$/i.test(value);
+    if (important) value = value.replace(/\s*!important$/i, '');
+    return { type: 'decl', prop: chunk.slice(0, colon).trim(), value, important };
+  });
+}
+
+function parseNodes(css, start, end) {
+  const nodes = [];
+  let cursor = start;
+  let preludeStart = start;
+  const push = (node, from) => {
+    const leading = css.slice(preludeStart, from).match(/^\s*/)[0];
+    if (nodes.length && /\n[ \t]*\n/.test(leading)) {
+      node.spaced = true;
+    }
+    node.start = preludeStart + leading.length;
+    nodes.push(node);
+  };
+
+  while (cursor < end) {
+    const char = css[cursor];
+    if (char === '/' && css[cursor + 1] === '*') {
+      const commentEnd = skipComment(css, cursor);
+      if (!css.slice(preludeStart, cursor).trim()) {
+        push({ type: 'comment', text: css.slice(cursor + 2, commentEnd - 2) }, cursor);
+        preludeStart = commentEnd;
+      }
+      cursor = commentEnd;
+      continue;
+    }
+    if (char === '"' || char === '\'') {
+      cursor = skipString(css, cursor);
+      continue;
+    }
+    if (char === '\\') {
+      cursor += 2;
+      continue;
+    }
+    if (char === ';') {
+      const statement = css.slice(preludeStart, cursor).trim();
+      const match = statement.match(/^@([\w-]+)\s*([\s\S]*)$/);
+      if (!match) {
+        throw new Error(`Unexpected "${statement}" outside of a rule`);
+      }
+      push({ type: 'atrule', name: match[1], params: match[2].trim(), nodes: null }, cursor);
+      cursor += 1;
+      preludeStart = cursor;
+      continue;
+    }
+    if (char === '{') {
+      const closeIndex = findBlockEnd(css, cursor);
+      const prelude = css.slice(preludeStart, cursor).trim();
+      const atMatch = prelude.match(/^@([\w-]+)\s*([\s\S]*)$/);
+      const inline = !css.slice(cursor, closeIndex).includes('\n');
+      if (atMatch) {
+        const name = atMatch[1];
+        const node = { type: 'atrule', name, params: atMatch[2].trim(), inline };
+        if (BLOCK_AT_RULES.has(name.toLowerCase())) {
+          node.nodes = parseNodes(css, cursor + 1, closeIndex);
+        } else {
+          node.body = css.slice(cursor + 1, closeIndex).trim();
+        }
+        push(node, cursor);
+      } else {
+        push({
+          type: 'rule',
+          selector: prelude.replace(/\s+/g, ' '),
+          declarations: parseDeclarations(css.slice(cursor + 1, closeIndex)),
+          inline
+        }, cursor);
+      }
+      cursor = closeIndex + 1;
+      preludeStart = cursor;
+      continue;
+    }
+    if (char === '}') {
+      throw new Error(`Unexpected "}" at offset ${cursor}`);
+    }
+    cursor += 1;
+  }
+
+  if (css.slice(preludeStart, end).trim()) {
+    throw new Error(`Unterminated statement "${css.slice(preludeStart, end).trim()}"`);
+  }
+  return nodes;
+}
+
+export function parseCss(css) {
+  return { type: 'stylesheet', nodes: parseNodes(css, 0, css.length) };
+}
+
+export function splitSelectors(selector) {
+  return splitTopLevel(selector, ',');
+}
+
+export function unescapeIdentifier(identifier) {
+  return identifier.replace(/\\([0-9a-fA-F]{1,6})\s?|\\([\s\S])/g, (match, hex, char) => (
+    hex ? String.fromCodePoint(parseInt(hex, 16)) : char
+  ));
+}
+
+export function selectorClasses(selector) {
+  const matches = selector.match(/\.(?:\\[\s\S]|[a-zA-Z0-9_-])+/g) || [];
+  return matches.map((match) => unescapeIdentifier(match.slice(1)));
+}
+
+export function walkRules(nodes, visitor) {
+  nodes.forEach((node) => {
+    if (node.type === 'rule') visitor(node);
+    if (node.type === 'atrule' && node.nodes) walkRules(node.nodes, visitor);
+  });
+}
+
+function stringifyDeclaration(decl) {
+  return `${decl.prop}: ${decl.value}${decl.important ? ' !important' : ''};`;
+}
+
+function stringifyNodes(nodes, indent) {
+  return nodes.map((node) => {
+    const gap = node.spaced ? '\n' : '';
+    if (node.type === 'comment') {
+      return `${gap}${indent}/*${node.text}*/`;
+    }
+    if (node.type === 'rule') {
+      if (!node.declarations.length) {
+        return `${gap}${indent}${node.selector} {}`;
+      }
+      if (node.inline) {
+        return `${gap}${indent}${node.selector} { ${node.declarations.map(stringifyDeclaration).join(' ')} }`;
+      }
+      const body = node.declarations.map((decl) => `${indent}  ${stringifyDeclaration(decl)}`).join('\n');
+      return `${gap}${indent}${node.selector} {\n${body}\n${indent}}`;
+    }
+    const head = `${gap}${indent}@${node.name}${node.params ? ` ${node.params}` : ''}`;
+    if (node.nodes && node.inline) {
+      return `${head} { ${stringifyNodes(node.nodes, '').split('\n').join(' ')} }`;
+    }
+    if (node.nodes) {
+      return `${head} {\n${stringifyNodes(node.nodes, `${indent}  `)}\n${indent}}`;
+    }
+    if (node.body !== undefined) {
+      return `${head} { ${node.body} }`;
+    }
+    return `${head};`;
+  }).join('\n');
+}
+
+export function stringifyCss(stylesheet) {
+  return `${stringifyNodes(stylesheet.nodes, '')}\n`;
+}
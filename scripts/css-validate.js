@@ -0,0 +1,75 @@
+import { parseCss } from './css-parser.js';
+
+const PROPERTY = /^(--[\w-]+|-?[a-zA-Z][a-zA-Z0-9-]*)$/;
+const DANGLING_DECLARATION = /^-?[a-zA-Z][a-zA-Z0-9-]*\s*:(?!:)/;
+
+function lineAt(css, offset) {
+  return css.slice(0, offset).split('\n').length;
+}
+
+function balanced(value) {
+  let depth = 0;
+  for (const char of value.replace(/"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/g, '')) {
+    if (char === '(') depth += 1;
+    if (char === ')') depth -= 1;
+    if (depth < 0) return false;
+  }
+  return depth === 0;
+}
+
+function checkDeclaration(decl) {
+  if (!PROPERTY.test(decl.prop)) {
+    return `invalid property name "${decl.prop}"`;
+  }
+  if (!decl.value && !decl.prop.startsWith('--')) {
+    return `"${decl.prop}" has no value`;
+  }
+  if (DANGLING_DECLARATION.test(decl.value)) {
+    return `"${decl.prop}" is missing its value, the next declaration "${decl.value}" was swallowed`;
+  }
+  if (/[{}]/.test(decl.value) || !balanced(decl.value)) {
+    return `"${decl.prop}: ${decl.value}" has unbalanced brackets`;
+  }
+  return null;
+}
+
+function checkNodes(css, nodes, context, issues) {
+  nodes.forEach((node) => {
+    const line = lineAt(css, node.start);
+    if (node.type === 'rule') {
+      if (!node.selector) {
+        issues.push({ line, selector: context, message: 'rule without a selector' });
+      }
+      node.declarations.forEach((decl) => {
+        const message = checkDeclaration(decl);
+        if (message) issues.push({ line, selector: `${context}${node.selector}`, message });
+      });
+    }
+    if (node.type === 'atrule') {
+      if (['media', 'supports', 'container', 'keyframes'].includes(node.name) && !node.params) {
+        issues.push({ line, selector: context, message: `@${node.name} without a condition` });
+      }
+      if (node.nodes) {
+        checkNodes(css, node.nodes, `${context}@${node.name}${node.params ? ` ${node.params}` : ''} > `, issues);
+      }
+    }
+  });
+}
+
+export function validateCss(css) {
+  let stylesheet;
+  try {
+    stylesheet = parseCss(css);
+  } catch (error) {
+    return [{ line: null, selector: '', message: error.message }];
+  }
+  const issues = [];
+  checkNodes(css, stylesheet.nodes, '', issues);
+  return issues;
+}
+
+export function formatCssIssues(issues) {
+  return issues
+    .map(({ line, selector, message }) => `  ✖ ${line ? `line ${line}: ` : ''}${selector ? `${selector}: ` : ''}${message}`)
+    .join('\n');
+}
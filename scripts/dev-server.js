@@ -0,0 +1,222 @@
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+
+const CLIENT_PATH = '/__plugo/client.js';
+const EVENTS_PATH = '/__plugo/events';
+const SUBMIT_PATH = '/__plugo/submit';
+const MAX_SUBMIT_BYTES = 64 * 1024;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2',
+  '.map': 'application/json; charset=utf-8'
+};
+
+const CLIENT_SCRIPT = `(() => {
+  const OVERLAY_ID = 'plugo-error-overlay';
+
+  function showOverlay(message) {
+    let overlay = document.getElementById(OVERLAY_ID);
+    if (!overlay) {
+      overlay = document.createElement('pre');
+      overlay.id = OVERLAY_ID;
+      overlay.setAttribute('role', 'alert');
+      overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;margin:0;padding:32px;overflow:auto;' +
+        'background:rgba(15,23,42,0.94);color:#fecaca;font:14px/1.5 ui-monospace,monospace;white-space:pre-wrap;';
+      document.body.appendChild(overlay);
+    }
+    overlay.textContent = 'Plugo build failed\\n\\n' + message;
+  }
+
+  function hideOverlay() {
+    const overlay = document.getElementById(OVERLAY_ID);
+    if (overlay) overlay.remove();
+  }
+
+  function swapStylesheets(files) {
+    const stamp = Date.now();
+    let swapped = false;
+    document.querySelectorAll('link[rel="stylesheet"]').forEach((link) => {
+      const url = new URL(link.href, location.href);
+      if (url.origin !== location.origin || !files.includes(url.pathname)) return;
+      url.searchParams.set('plugo', stamp);
+      link.href = url.href;
+      swapped = true;
+    });
+    return swapped;
+  }
+
+  const source = new EventSource('${EVENTS_PATH}');
+  source.addEventListener('reload', () => location.reload());
+  source.addEventListener('css', (event) => {
+    const { files } = JSON.parse(event.data);
+    if (!swapStylesheets(files)) location.reload();
+  });
+  source.addEventListener('build-error', (event) => showOverlay(JSON.parse(event.data).message));
+  source.addEventListener('build-ok', hideOverlay);
+})();
+`;
+
+function injectClient(html) {
+  const tag = `<script src="${CLIENT_PATH}" data-plugo-dev></script>`;
+  return html.includes('</body>') ? html.replace('</body>', `${tag}\n</body>`) : `${html}\n${tag}`;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_SUBMIT_BYTES) {
+        reject(new Error('Payload too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'], 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(payload));
+}
+
+export function createDevServer({ rootDir, port = 3000, onSubmit = () => {} }) {
+  const clients = new Set();
+  const submissions = [];
+  let lastError = null;
+
+  async function handleSubmit(req, res) {
+    const { searchParams } = new URL(req.url, 'http://localhost');
+    if (req.method === 'GET') {
+      sendJson(res, 200, { submissions });
+      return;
+    }
+    if (req.method !== 'POST') {
+      res.writeHead(405, { Allow: 'GET, POST' }).end();
+      return;
+    }
+    const status = Number(searchParams.get('status')) || 202;
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(req));
+    } catch (error) {
+      sendJson(res, 400, { ok: false, error: error.message });
+      return;
+    }
+    if (status >= 400) {
+      sendJson(res, status, { ok: false, error: `Simulated ${status} response` });
+      return;
+    }
+    submissions.push({ id: submissions.length + 1, receivedAt: new Date().toISOString(), payload });
+    onSubmit(payload);
+    sendJson(res, status, { ok: true, id: submissions.length });
+  }
+
+  function send(res, event, payload) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  function broadcast(event, payload = {}) {
+    clients.forEach((res) => send(res, event, payload));
+  }
+
+  async function serveFile(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    let filePath = path.join(rootDir, decodeURIComponent(pathname));
+    if (filePath !== rootDir && !filePath.startsWith(`${rootDir}${path.sep}`)) {
+      res.writeHead(403).end('Forbidden');
+      return;
+    }
+
+    const stats = await fs.stat(filePath).catch(() => null);
+    if (stats?.isDirectory()) {
+      filePath = path.join(filePath, 'index.html');
+    }
+
+    const content = await fs.readFile(filePath).catch(() => null);
+    if (!content) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end(`Not found: ${pathname}`);
+      return;
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    const headers = {
+      'Content-Type': CONTENT_TYPES[extension] || 'application/octet-stream',
+      'Cache-Control': 'no-store'
+    };
+    res.writeHead(200, headers);
+    res.end(extension === '.html' ? injectClient(content.toString('utf8')) : content);
+  }
+
+  const server = http.createServer((req, res) => {
+    if (req.url === CLIENT_PATH) {
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPES['.js'], 'Cache-Control': 'no-store' });
+      res.end(CLIENT_SCRIPT);
+      return;
+    }
+
+    if (req.url === EVENTS_PATH) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.write('retry: 1000\n\n');
+      clients.add(res);
+      if (lastError) send(res, 'build-error', { message: lastError });
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+
+    if (req.url.split('?')[0] === SUBMIT_PATH) {
+      handleSubmit(req, res).catch((error) => sendJson(res, 500, { ok: false, error: String(error) }));
+      return;
+    }
+
+    serveFile(req, res).catch((error) => {
+      res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' }).end(String(error));
+    });
+  });
+
+  return {
+    listen() {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, () => resolve(`http://localhost:${server.address().port}`));
+      });
+    },
+    reload() {
+      broadcast('reload');
+    },
+    updateCss(files) {
+      const urls = files.map((file) => `/${path.relative(rootDir, file).split(path.sep).join('/')}`);
+      broadcast('css', { files: urls });
+    },
+    buildSucceeded() {
+      lastError = null;
+      broadcast('build-ok');
+    },
+    buildFailed(error) {
+      lastError = error?.issues ? error.message : (error?.stack || String(error));
+      broadcast('build-error', { message: lastError });
+    },
+    close() {
+      clients.forEach((res) => res.end());
+      clients.clear();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,220 @@
+import { parseCss, splitSelectors } from './css-parser.js';
+import { lineIndex } from './sourcemap.js';
+
+const MERGEABLE_AT_RULES = new Set(['media', 'supports', 'container', 'layer']);
+const LENGTH_UNITS = /^(-?)(?:0*\.0+|0+)(px|r?em|ex|ch|vw|vh|vmin|vmax|cm|mm|in|pt|pc|q)$/i;
+const KEEP_ZERO_UNITS = new Set(['flex', 'flex-basis']);
+
+function tokenize(source) {
+  const tokens = [];
+  let cursor = 0;
+  while (cursor < source.length) {
+    const char = source[cursor];
+    const url = source.slice(cursor).match(/^url\([^)"']*\)/i);
+    if (url) {
+      tokens.push({ type: 'word', value: url[0] });
+      cursor += url[0].length;
+    } else if (char === '"' || char === '\'') {
+      let end = cursor + 1;
+      while (end < source.length && source[end] !== char) {
+        end += source[end] === '\\' ? 2 : 1;
+      }
+      tokens.push({ type: 'string', value: source.slice(cursor, end + 1) });
+      cursor = end + 1;
+    } else if (/\s/.test(char)) {
+      const end = source.slice(cursor).search(/\S/);
+      tokens.push({ type: 'space', value: ' ' });
+      cursor = end === -1 ? source.length : cursor + end;
+    } else if ('(),/:>+~'.includes(char)) {
+      tokens.push({ type: 'punct', value: char });
+      cursor += 1;
+    } else {
+      let end = cursor;
+      while (end < source.length && !/[\s"'(),/:>+~]/.test(source[end])) {
+        if (source[end] === '\\') {
+          const hex = source.slice(end + 1).match(/^[0-9a-fA-F]{1,6}\s?/);
+          end += hex ? hex[0].length + 1 : 2;
+        } else {
+          end += 1;
+        }
+      }
+      tokens.push({ type: 'word', value: source.slice(cursor, end) });
+      cursor = end;
+    }
+  }
+  return tokens;
+}
+
+function joinTokens(tokens, tight) {
+  return tokens.filter((token, index) => {
+    if (token.type !== 'space') return true;
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+    return previous && next && !tight.includes(previous.value) && !tight.includes(next.value);
+  }).map((token) => token.value).join('');
+}
+
+function shortenNumber(word) {
+  return word
+    .replace(/^(-?\d*\.\d*?)0+(?=[a-z%]*$)/i, '$1')
+    .replace(/^(-?\d+)\.(?=[a-z%]*$)/i, '$1')
+    .replace(/^(-?)0+\.(?=\d)/, '$1.');
+}
+
+function shortenHex(word) {
+  const hex = word.toLowerCase();
+  const match = hex.match(/^#([0-9a-f])\1([0-9a-f])\2([0-9a-f])\3(?:([0-9a-f])\4)?$/);
+  return match ? `#${match.slice(1).filter(Boolean).join('')}` : hex;
+}
+
+export function minifyValue(value, prop = '') {
+  if (prop.startsWith('--')) {
+    return value.trim();
+  }
+  let depth = 0;
+  const tokens = tokenize(value.trim()).map((token) => {
+    if (token.value === '(') depth += 1;
+    if (token.value === ')') depth -= 1;
+    if (token.type !== 'word') return token;
+    if (/^#[0-9a-f]{3,8}$/i.test(token.value)) {
+      return { ...token, value: shortenHex(token.value) };
+    }
+    if (/^-?(\d+\.?\d*|\.\d+)([a-z]+|%)?$/i.test(token.value)) {
+      const shortened = shortenNumber(token.value);
+      const zero = shortened.match(LENGTH_UNITS);
+      return { ...token, value: zero && depth === 0 && !KEEP_ZERO_UNITS.has(prop) ? '0' : shortened };
+    }
+    return token;
+  });
+  return joinTokens(tokens, [',', '(', ')']);
+}
+
+export function minifySelector(selector) {
+  return joinTokens(tokenize(selector), [',', '>', '+', '~']);
+}
+
+function minifyParams(params) {
+  let depth = 0;
+  const tokens = tokenize(params).map((token) => {
+    if (token.value === '(') depth += 1;
+    if (token.value === ')') depth -= 1;
+    return { ...token, inParens: depth > 0 };
+  });
+  return tokens.filter((token, index) => {
+    if (token.type !== 'space') return true;
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+    if (!previous || !next || previous.value === '(' || next.value === ')' || next.value === ',' || previous.value === ',') return false;
+    return !(token.inParens && (previous.value === ':' || next.value === ':'));
+  }).map((token) => token.value).join('');
+}
+
+function declarationKey(decl) {
+  return `${decl.prop}:${decl.value}${decl.important ? '!important' : ''}`;
+}
+
+function dedupeDeclarations(declarations) {
+  const seen = new Set();
+  return declarations.reduceRight((kept, decl) => {
+    const key = declarationKey(decl);
+    if (!seen.has(key)) {
+      seen.add(key);
+      kept.unshift(decl);
+    }
+    return kept;
+  }, []);
+}
+
+function ruleBody(rule) {
+  return rule.declarations.map(declarationKey).join(';');
+}
+
+function canJoinSelectors(selector) {
+  return !/::?-/.test(selector);
+}
+
+function mergeSiblings(nodes) {
+  const merged = [];
+  nodes.forEach((node) => {
+    const previous = merged[merged.length - 1];
+    if (previous?.type === 'rule' && node.type === 'rule') {
+      if (previous.selector === node.selector) {
+        previous.declarations = dedupeDeclarations([...previous.declarations, ...node.declarations]);
+        return;
+      }
+      if (ruleBody(previous) === ruleBody(node) && canJoinSelectors(previous.selector) && canJoinSelectors(node.selector)) {
+        previous.selector = Array.from(new Set([...splitSelectors(previous.selector), ...splitSelectors(node.selector)])).join(',');
+        return;
+      }
+    }
+    if (previous?.type === 'atrule' && node.type === 'atrule' && previous.nodes && node.nodes
+      && previous.name === node.name && previous.params === node.params && MERGEABLE_AT_RULES.has(node.name)) {
+      previous.nodes = mergeSiblings([...previous.nodes, ...node.nodes]);
+      return;
+    }
+    merged.push(node);
+  });
+
+  const seen = new Set();
+  return merged.reduceRight((kept, node) => {
+    if (node.type === 'rule') {
+      const key = `${node.selector}{${ruleBody(node)}}`;
+      if (seen.has(key)) return kept;
+      seen.add(key);
+    }
+    kept.unshift(node);
+    return kept;
+  }, []);
+}
+
+function optimizeNodes(nodes, keepDeclaration) {
+  const optimized = nodes.flatMap((node) => {
+    if (node.type === 'comment') {
+      return node.text.startsWith('!') ? [node] : [];
+    }
+    if (node.type === 'rule') {
+      const declarations = dedupeDeclarations(node.declarations
+        .filter(keepDeclaration)
+        .map((decl) => ({ ...decl, prop: decl.prop.trim(), value: minifyValue(decl.value, decl.prop) })));
+      const selector = Array.from(new Set(splitSelectors(node.selector).map(minifySelector))).join(',');
+      return declarations.length ? [{ ...node, selector, declarations }] : [];
+    }
+    const params = minifyParams(node.params);
+    if (node.nodes) {
+      const children = optimizeNodes(node.nodes, keepDeclaration);
+      return children.length ? [{ ...node, params, nodes: children }] : [];
+    }
+    return [{ ...node, params, body: node.body === undefined ? undefined : node.body.replace(/\s+/g, ' ') }];
+  });
+  return mergeSiblings(optimized);
+}
+
+function printNodes(nodes, output, position) {
+  nodes.forEach((node) => {
+    output.segments.push({ generatedColumn: output.css.length, ...position(node.start) });
+    if (node.type === 'comment') {
+      output.css += `/*${node.text}*/`;
+    } else if (node.type === 'rule') {
+      const declarations = node.declarations.map((decl) => `${decl.prop}:${decl.value}${decl.important ? '!important' : ''}`);
+      output.css += `${node.selector}{${declarations.join(';')}}`;
+    } else {
+      output.css += `@${node.name}${node.params ? ` ${node.params}` : ''}`;
+      if (node.nodes) {
+        output.css += '{';
+        printNodes(node.nodes, output, position);
+        output.css += '}';
+      } else if (node.body !== undefined) {
+        output.css += `{${node.body}}`;
+      } else {
+        output.css += ';';
+      }
+    }
+  });
+}
+
+export function minifyCss(css, { keepDeclaration = () => true } = {}) {
+  const position = lineIndex(css);
+  const output = { css: '', segments: [] };
+  printNodes(optimizeNodes(parseCss(css).nodes, keepDeclaration), output, position);
+  return output;
+}
@@ -0,0 +1,99 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parseCss, selectorClasses, splitSelectors, stringifyCss } from './css-parser.js';
+
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+function globToRegExp(pattern) {
+  const normalized = pattern.replace(/\\/g, '/').replace(/^\.\//, '');
+  let source = '';
+  for (let i = 0; i < normalized.length; i += 1) {
+    const char = normalized[i];
+    if (char === '*' && normalized[i + 1] === '*') {
+      const followedBySlash = normalized[i + 2] === '/';
+      source += followedBySlash ? '(?:.*/)?' : '.*';
+      i += followedBySlash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const close = normalized.indexOf('}', i);
+      const options = normalized.slice(i + 1, close).split(',');
+      source += `(?:${options.map((option) => option.replace(/[.+^$()|[\]\\]/g, '\\$&')).join('|')})`;
+      i = close;
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+async function listFiles(dir, root = dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(entries.map(async (entry) => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return IGNORED_DIRECTORIES.has(entry.name) ? [] : listFiles(fullPath, root);
+    }
+    return [path.relative(root, fullPath).split(path.sep).join('/')];
+  }));
+  return files.flat();
+}
+
+export async function resolveContentFiles(patterns, rootDir, { ignore = [] } = {}) {
+  const matchers = patterns.map(globToRegExp);
+  const files = await listFiles(rootDir);
+  return files
+    .filter((file) => matchers.some((matcher) => matcher.test(file)) && !ignore.includes(file))
+    .map((file) => path.join(rootDir, file));
+}
+
+export function extractClassCandidates(source) {
+  const candidates = new Set();
+  const tokens = source.match(/[A-Za-z0-9_\-:@/.]+/g) || [];
+  tokens.forEach((token) => {
+    candidates.add(token);
+    token.split('.').forEach((part) => {
+      if (part) candidates.add(part);
+    });
+  });
+  return candidates;
+}
+
+export async function collectContentClasses(patterns, rootDir, options) {
+  const files = await resolveContentFiles(patterns, rootDir, options);
+  const used = new Set();
+  await Promise.all(files.map(async (file) => {
+    const source = await fs.readFile(file, 'utf8');
+    extractClassCandidates(source).forEach((candidate) => used.add(candidate));
+  }));
+  return { files, used };
+}
+
+function purgeNodes(nodes, used) {
+  return nodes.reduce((kept, node) => {
+    if (node.type === 'rule') {
+      const selectors = splitSelectors(node.selector)
+        .filter((selector) => selectorClasses(selector).every((className) => used.has(className)));
+      if (selectors.length) {
+        kept.push({ ...node, selector: selectors.join(', ') });
+      }
+      return kept;
+    }
+    if (node.type === 'atrule' && node.nodes) {
+      const children = purgeNodes(node.nodes, used);
+      if (children.some((child) => child.type !== 'comment')) {
+        kept.push({ ...node, nodes: children });
+      }
+      return kept;
+    }
+    kept.push(node);
+    return kept;
+  }, []);
+}
+
+export function purgeCss(css, used) {
+  const stylesheet = parseCss(css);
+  return stringifyCss({ ...stylesheet, nodes: purgeNodes(stylesheet.nodes, used) });
+}
@@ -0,0 +1,21 @@
+import { cls } from './classes.js';
+
+export function initBadges(root = document) {
+  root.querySelectorAll(`.${cls('badge-dismiss')}`).forEach((button) => {
+    if (!button.hasAttribute('aria-label')) {
+      const label = button.closest(`.${cls('badge')}`).textContent.replace(button.textContent, '').trim();
+      button.setAttribute('aria-label', `Remove ${label}`);
+    }
+  });
+  root.addEventListener('click', (event) => {
+    const button = event.target.closest(`.${cls('badge-dismiss')}`);
+    if (!button) return;
+    const badge = button.closest(`.${cls('badge')}`);
+    const siblings = Array.from(badge.parentElement.querySelectorAll(`.${cls('badge-dismiss')}`));
+    const index = siblings.indexOf(button);
+    const next = siblings[index + 1] || siblings[index - 1];
+    if (!badge.dispatchEvent(new CustomEvent('badge:dismiss', { bubbles: true, cancelable: true }))) return;
+    badge.remove();
+    next?.focus();
+  });
+}
@@ -0,0 +1,51 @@
+import { cls } from './classes.js';
+
+let navbarCount = 0;
+
+function isCollapsed(toggle) {
+  return getComputedStyle(toggle).display !== 'none';
+}
+
+export function initNavbar(root = document) {
+  return Array.from(root.querySelectorAll('[data-navbar]')).map((navbar) => {
+    const toggle = navbar.querySelector(`.${cls('navbar-toggle')}`);
+    const menu = navbar.querySelector(`.${cls('navbar-menu')}`);
+    if (!toggle || !menu) return null;
+
+    navbarCount += 1;
+    menu.id = menu.id || `navbar-menu-${navbarCount}`;
+    toggle.setAttribute('aria-controls', menu.id);
+    toggle.setAttribute('aria-expanded', 'false');
+
+    const isOpen = () => toggle.getAttribute('aria-expanded') === 'true';
+    const setOpen = (open) => {
+      menu.classList.toggle(cls('is-open'), open);
+      toggle.setAttribute('aria-expanded', String(open));
+    };
+
+    toggle.addEventListener('click', () => {
+      setOpen(!isOpen());
+      if (isOpen()) {
+        menu.querySelector('a[href], button:not([disabled])')?.focus();
+      }
+    });
+    navbar.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape' && isOpen()) {
+        setOpen(false);
+        toggle.focus();
+      }
+    });
+    menu.addEventListener('click', (event) => {
+      if (event.target.closest('a[href]') && isCollapsed(toggle)) {
+        setOpen(false);
+      }
+    });
+    document.addEventListener('click', (event) => {
+      if (isOpen() && !navbar.contains(event.target)) {
+        setOpen(false);
+      }
+    });
+
+    return { navbar, open: () => setOpen(true), close: () => setOpen(false) };
+  }).filter(Boolean);
+}
@@ -0,0 +1,73 @@
+import { cls } from './classes.js';
+
+const NEXT_KEYS = { horizontal: 'ArrowRight', vertical: 'ArrowDown' };
+const PREVIOUS_KEYS = { horizontal: 'ArrowLeft', vertical: 'ArrowUp' };
+let tabsCount = 0;
+
+function selectTab(tabs, selected, { focus = false } = {}) {
+  tabs.forEach(({ tab, panel }) => {
+    const active = tab === selected;
+    tab.setAttribute('aria-selected', String(active));
+    tab.tabIndex = active ? 0 : -1;
+    panel.hidden = !active;
+  });
+  if (focus) selected.focus();
+  selected.dispatchEvent(new CustomEvent('tabs:change', { bubbles: true }));
+}
+
+export function initTabs(root = document) {
+  return Array.from(root.querySelectorAll(`.${cls('tabs')}`)).map((container) => {
+    const list = container.querySelector(`.${cls('tabs-list')}`);
+    const panels = Array.from(container.querySelectorAll(`.${cls('tabs-panel')}`));
+    if (!list) return null;
+
+    tabsCount += 1;
+    const orientation = list.getAttribute('aria-orientation') === 'vertical' ? 'vertical' : 'horizontal';
+    list.setAttribute('role', 'tablist');
+    const candidates = Array.from(list.querySelectorAll(`.${cls('tabs-tab')}`)).map((tab, index) => ({
+      tab,
+      panel: document.getElementById(tab.getAttribute('aria-controls')) || panels[index],
+      index
+    }));
+    candidates.filter(({ panel }) => !panel).forEach(({ tab }) => {
+      tab.tabIndex = -1;
+    });
+    const tabs = candidates.filter(({ panel }) => panel).map(({ tab, panel, index }) => {
+      tab.id = tab.id || `tabs-${tabsCount}-tab-${index}`;
+      panel.id = panel.id || `tabs-${tabsCount}-panel-${index}`;
+      tab.setAttribute('role', 'tab');
+      tab.setAttribute('aria-controls', panel.id);
+      panel.setAttribute('role', 'tabpanel');
+      panel.setAttribute('aria-labelledby', tab.id);
+      panel.tabIndex = 0;
+      return { tab, panel };
+    });
+    if (!tabs.length) return null;
+
+    const enabled = () => tabs.map(({ tab }) => tab).filter((tab) => !tab.disabled);
+    const initial = tabs.find(({ tab }) => tab.getAttribute('aria-selected') === 'true') || tabs[0];
+    selectTab(tabs, initial.tab);
+
+    list.addEventListener('click', (event) => {
+      const tab = event.target.closest(`.${cls('tabs-tab')}`);
+      if (tab && !tab.disabled && tabs.some((item) => item.tab === tab)) selectTab(tabs, tab);
+    });
+    list.addEventListener('keydown', (event) => {
+      const available = enabled();
+      const index = available.indexOf(event.target);
+      if (index === -1) return;
+      const target = {
+        [NEXT_KEYS[orientation]]: available[(index + 1) % available.length],
+        [PREVIOUS_KEYS[orientation]]: available[(index - 1 + available.length) % available.length],
+        Home: available[0],
+        End: available[available.length - 1]
+      }[event.key];
+      if (target) {
+        event.preventDefault();
+        selectTab(tabs, target, { focus: true });
+      }
+    });
+
+    return { container, select: (index) => selectTab(tabs, tabs[index].tab) };
+  }).filter(Boolean);
+}
@@ -0,0 +1,64 @@
+import { parseCss, splitSelectors, stringifyCss, unescapeIdentifier } from './css-parser.js';
+import { escapeClassName } from './variants.js';
+
+export const LAYERS = ['reset', 'base', 'layout', 'components', 'utilities'];
+export const LAYER_ORDER = `@layer ${LAYERS.join(', ')};\n\n`;
+
+const ROOT_SELECTORS = new Set([':root', 'html', 'body']);
+
+export function prefixClassName(className, prefix) {
+  if (!prefix) return className;
+  const split = className.lastIndexOf(':') + 1;
+  return `${className.slice(0, split)}${prefix}${className.slice(split)}`;
+}
+
+function prefixSelector(selector, prefix) {
+  if (!prefix) return selector;
+  return selector.replace(/\.((?:\\[\s\S]|[a-zA-Z0-9_-])+)/g, (match, name) => (
+    `.${escapeClassName(prefixClassName(unescapeIdentifier(name), prefix))}`
+  ));
+}
+
+function scopeSelector(selector, scope, darkSelector) {
+  if (!scope) return selector;
+  if (ROOT_SELECTORS.has(selector)) return scope;
+  if (darkSelector && selector.startsWith(darkSelector) && /^(\s|$)/.test(selector.slice(darkSelector.length))) {
+    const rest = selector.slice(darkSelector.length).trim();
+    return rest
+      ? `${darkSelector} ${scope} ${rest}, ${scope}${darkSelector} ${rest}`
+      : `${scope}${darkSelector}, ${darkSelector} ${scope}`;
+  }
+  return `${scope} ${selector}`;
+}
+
+function scopeNodes(nodes, transform) {
+  return nodes.map((node) => {
+    if (node.type === 'rule') {
+      return { ...node, selector: splitSelectors(node.selector).map(transform).join(', ') };
+    }
+    if (node.type === 'atrule' && node.nodes && node.name !== 'keyframes') {
+      return { ...node, nodes: scopeNodes(node.nodes, transform) };
+    }
+    return node;
+  });
+}
+
+export function createScoper({ prefix = '', scope = null, darkSelector = null } = {}) {
+  const dark = darkSelector && prefixSelector(darkSelector, prefix);
+  const transform = (selector) => scopeSelector(prefixSelector(selector, prefix), scope, dark);
+  return (css) => {
+    if (!prefix && !scope) {
+      return css;
+    }
+    const stylesheet = parseCss(css);
+    return stringifyCss({ ...stylesheet, nodes: scopeNodes(stylesheet.nodes, transform) });
+  };
+}
+
+export function wrapLayer(css, layer) {
+  if (!layer || !css.trim()) {
+    return css;
+  }
+  const body = css.trimEnd().split('\n').map((line) => (line ? `  ${line}` : line)).join('\n');
+  return `@layer ${layer} {\n${body}\n}\n\n`;
+}
@@ -0,0 +1,109 @@
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+function encodeVlq(number) {
+  let vlq = number < 0 ? ((-number) << 1) | 1 : number << 1;
+  let encoded = '';
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    encoded += BASE64[digit];
+  } while (vlq > 0);
+  return encoded;
+}
+
+export function lineIndex(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i += 1) {
+    if (text[i] === '\n') starts.push(i + 1);
+  }
+  return (offset) => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (starts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    return { line: low, column: offset - starts[low] };
+  };
+}
+
+export function createConcat() {
+  let css = '';
+  let line = 0;
+  let column = 0;
+  const segments = [];
+
+  return {
+    add(chunk, source = null, originalLine = 0) {
+      const lines = chunk.split('\n');
+      lines.forEach((text, index) => {
+        if (source && text) {
+          segments.push({
+            generatedLine: line + index,
+            generatedColumn: index === 0 ? column : 0,
+            source,
+            originalLine: originalLine + index,
+            originalColumn: 0
+          });
+        }
+      });
+      css += chunk;
+      line += lines.length - 1;
+      column = lines.length > 1 ? lines[lines.length - 1].length : column + chunk.length;
+    },
+    get css() {
+      return css;
+    },
+    get segments() {
+      return segments;
+    }
+  };
+}
+
+export function originalPosition(segments, line, column) {
+  let match = null;
+  for (const segment of segments) {
+    if (segment.generatedLine > line) break;
+    if (segment.generatedLine === line && segment.generatedColumn <= column) match = segment;
+  }
+  if (!match) return null;
+  return {
+    source: match.source,
+    originalLine: match.originalLine,
+    originalColumn: match.originalColumn + column - match.generatedColumn
+  };
+}
+
+export function createSourceMap({ file, sourceRoot = '', segments }) {
+  const sources = [];
+  const lines = [];
+  const state = { column: 0, source: 0, line: 0, originalColumn: 0 };
+
+  [...segments]
+    .sort((a, b) => a.generatedLine - b.generatedLine || a.generatedColumn - b.generatedColumn)
+    .forEach((segment) => {
+      if (!sources.includes(segment.source)) sources.push(segment.source);
+      while (lines.length <= segment.generatedLine) {
+        lines.push([]);
+        state.column = 0;
+      }
+      const sourceIndex = sources.indexOf(segment.source);
+      lines[segment.generatedLine].push(
+        encodeVlq(segment.generatedColumn - state.column)
+        + encodeVlq(sourceIndex - state.source)
+        + encodeVlq(segment.originalLine - state.line)
+        + encodeVlq(segment.originalColumn - state.originalColumn)
+      );
+      Object.assign(state, {
+        column: segment.generatedColumn,
+        source: sourceIndex,
+        line: segment.originalLine,
+        originalColumn: segment.originalColumn
+      });
+    });
+
+  const map = { version: 3, file, sourceRoot, sources, names: [], mappings: lines.map((line) => line.join(',')).join(';') };
+  return `${JSON.stringify(map)}\n`;
+}
@@ -0,0 +1,218 @@
+import { contrastRatio, pickForeground } from './contrast.js';
+import { parseCss } from './css-parser.js';
+import { prefixClassName } from './scope.js';
+
+const GUIDE_STYLES = `.sg-section { padding: 48px 0; border-bottom: 1px solid var(--surface-border); }
+.sg-swatch { display: flex; flex-direction: column; justify-content: flex-end; gap: 2px; width: 100%; min-height: 96px; padding: 12px; border: 1px solid var(--surface-border); border-radius: 12px; font: inherit; font-size: 0.8125rem; text-align: left; cursor: copy; }
+.sg-swatch strong { font-size: 0.875rem; }
+.sg-bar { height: 12px; border-radius: 4px; background: var(--color-primary); }
+.sg-demo { display: flex; flex-wrap: wrap; align-items: flex-start; gap: 12px; padding: 24px; border: 1px solid var(--surface-border); border-radius: 12px 12px 0 0; background: var(--surface-card); }
+.sg-demo > * { max-width: 100%; }
+.sg-box { padding: 12px; border: 1px dashed var(--surface-border); border-radius: 8px; background: var(--surface-card); text-align: center; font-size: 0.875rem; }
+.sg-code { position: relative; margin: 0 0 24px; }
+.sg-code pre { margin: 0; padding: 16px; overflow-x: auto; border-radius: 0 0 12px 12px; background: #0f172a; color: #e2e8f0; font-size: 0.8125rem; }
+.sg-code [data-copy] { position: absolute; top: 8px; right: 8px; }
+.sg-table { width: 100%; border-collapse: collapse; font-size: 0.875rem; }
+.sg-table th, .sg-table td { padding: 8px; border-bottom: 1px solid var(--surface-border); text-align: left; vertical-align: top; }
+.sg-table code { white-space: pre-wrap; word-break: break-word; }
+`;
+
+const GUIDE_SCRIPT = `const index = JSON.parse(document.getElementById('sg-class-data').textContent);
+const search = document.getElementById('sg-search');
+const results = document.getElementById('sg-results');
+const summary = document.getElementById('sg-summary');
+const LIMIT = 100;
+
+function copy(text, button) {
+  const done = () => {
+    const label = button.textContent;
+    button.textContent = 'Copied';
+    setTimeout(() => { button.textContent = label; }, 1200);
+  };
+  if (navigator.clipboard) {
+    navigator.clipboard.writeText(text).then(done);
+  } else {
+    const area = document.createElement('textarea');
+    area.value = text;
+    document.body.append(area);
+    area.select();
+    document.execCommand('copy');
+    area.remove();
+    done();
+  }
+}
+
+function row(cells) {
+  const tr = document.createElement('tr');
+  cells.forEach((text) => {
+    const td = document.createElement('td');
+    const code = document.createElement('code');
+    code.textContent = text;
+    td.append(code);
+    tr.append(td);
+  });
+  return tr;
+}
+
+function renderIndex() {
+  const terms = search.value.trim().toLowerCase().split(/\\s+/).filter(Boolean);
+  const matches = index.filter(([selector, declarations]) => (
+    terms.every((term) => selector.toLowerCase().includes(term) || declarations.toLowerCase().includes(term))
+  ));
+  results.replaceChildren(...matches.slice(0, LIMIT).map(row));
+  summary.textContent = matches.length > LIMIT
+    ? \`Showing \${LIMIT} of \${matches.length} rules, refine the search to see more.\`
+    : \`\${matches.length} rule(s)\`;
+}
+
+document.addEventListener('click', (event) => {
+  const button = event.target.closest('[data-copy]');
+  if (button) {
+    const text = button.dataset.copy || button.closest('.sg-code').querySelector('code').textContent;
+    copy(text, button);
+  }
+});
+search.addEventListener('input', renderIndex);
+renderIndex();
+`;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function codeBlock(code) {
+  return `<div class="sg-code"><button type="button" class="btn btn-sm btn-secondary" data-copy>Copy</button>`
+    + `<pre><code>${escapeHtml(code)}</code></pre></div>\n`;
+}
+
+function example(markup) {
+  return `<div class="sg-demo">${markup}</div>\n${codeBlock(markup)}`;
+}
+
+function section(id, title, intro, body) {
+  return `<section id="${id}" class="sg-section">\n<h2>${title}</h2>\n<p>${intro}</p>\n${body}</section>\n`;
+}
+
+function swatch(className, background) {
+  const foreground = pickForeground(background);
+  const ratio = contrastRatio(foreground, background);
+  return '<div class="col-6 sm:col-4 lg:col-2">'
+    + `<button type="button" class="sg-swatch ${className}" data-copy="${className}" title="Copy the class name">`
+    + `<strong>${className}</strong><span>${background}</span><span>${ratio.toFixed(2)}:1 ${ratio >= 4.5 ? 'AA' : 'below AA'}</span>`
+    + '</button></div>\n';
+}
+
+function colorSection(colors) {
+  const body = Object.entries(colors).map(([name, entry]) => (
+    `<h3>${name}</h3>\n<div class="row m-b-4">\n`
+    + swatch(`bg-${name}`, entry.base)
+    + swatch(`bg-${name}-light`, entry.light)
+    + swatch(`bg-${name}-dark`, entry.dark)
+    + Object.entries(entry.scale).map(([step, hex]) => swatch(`bg-${name}-${step}`, hex)).join('')
+    + '</div>\n'
+  )).join('');
+  return section('colors', 'Colors', 'Swatches with their hex value and the contrast of the generated foreground color. Click a swatch to copy its class.', body);
+}
+
+function spacingSection(spacing) {
+  const rows = Object.entries(spacing.steps).map(([index, value]) => (
+    `<tr><td><code>p-${index}</code> <code>m-${index}</code> <code>gap-${index}</code></td><td>${value}</td>`
+    + `<td><div class="sg-bar" style="width: ${value}"></div></td></tr>\n`
+  )).join('');
+  return section('spacing', 'Spacing', `Every step is a multiple of <code>${spacing.baseUnit}</code>.`,
+    `<table class="sg-table"><thead><tr><th>Classes</th><th>Value</th><th></th></tr></thead><tbody>\n${rows}</tbody></table>\n`);
+}
+
+function typographySection(typography) {
+  const samples = Object.entries(typography.sizes).map(([name, size]) => (
+    `<p class="text-${name} m-0">text-${name} <small>${escapeHtml(size)}</small></p>\n`
+  )).join('');
+  const headings = [1, 2, 3, 4, 5, 6].map((level) => `<h${level}>Heading ${level}</h${level}>`).join('\n');
+  return section('typography', 'Typography', 'The type scale and heading sizes generated from <code>typography.scale</code>.',
+    `<div class="sg-demo flex-col">${samples}</div>\n${codeBlock(samples.trim())}${example(headings)}`);
+}
+
+function gridSection(layout) {
+  const divisors = Array.from({ length: layout.cols }, (_, index) => index + 1)
+    .filter((count) => count > 1 && layout.cols % count === 0 && count <= 6);
+  const demos = Object.entries(layout.breakpoints).map(([prefix, size], index) => {
+    const count = divisors[index % divisors.length] || 1;
+    const span = layout.cols / count;
+    const markup = `<div class="row">\n${Array.from({ length: count }, () => (
+      `  <div class="col-${layout.cols} ${prefix}:col-${span}"><div class="sg-box">col-${layout.cols} ${prefix}:col-${span}</div></div>`
+    )).join('\n')}\n</div>`;
+    return `<h3>${prefix} <small>≥ ${size}</small></h3>\n<div class="sg-demo" style="display: block">${markup}</div>\n${codeBlock(markup)}`;
+  }).join('');
+  return section('grid', 'Grid', `A ${layout.cols}-column ${layout.mode} grid. Each demo stacks below its breakpoint.`, demos);
+}
+
+function componentSection(components) {
+  const body = components.map(({ name, example: markup }) => (
+    `<h3>${name}</h3>\n${markup ? example(markup) : '<p>No example markup registered for this component.</p>\n'}`
+  )).join('');
+  return section('components', 'Components', 'Every enabled component with its markup.', body);
+}
+
+function classSection(rules) {
+  const data = JSON.stringify(rules).replace(/</g, '\\u003c');
+  return section('classes', 'Class index', 'Search every generated rule by class name or declaration.',
+    '<label class="form-label" for="sg-search">Search</label>\n'
+    + '<input id="sg-search" class="form-control m-b-3" type="search" placeholder="e.g. md:col or margin-top">\n'
+    + '<p id="sg-summary" aria-live="polite"></p>\n'
+    + '<table class="sg-table"><thead><tr><th>Selector</th><th>Declarations</th><th>Context</th></tr></thead><tbody id="sg-results"></tbody></table>\n'
+    + `<script type="application/json" id="sg-class-data">${data}</script>\n`);
+}
+
+function indexRules(nodes, context = '') {
+  return nodes.flatMap((node) => {
+    if (node.type === 'rule') {
+      const declarations = node.declarations.map((decl) => `${decl.prop}: ${decl.value}${decl.important ? ' !important' : ''};`).join(' ');
+      return [[node.selector, declarations, context]];
+    }
+    if (node.type === 'atrule' && node.nodes && node.name !== 'keyframes') {
+      const label = node.name === 'layer' ? context : `${context} @${node.name} ${node.params}`.trim();
+      return indexRules(node.nodes, label);
+    }
+    return [];
+  });
+}
+
+function withPrefix(html, classes, prefix) {
+  if (!prefix) return html;
+  return html.replace(/class=("|&quot;)(.*?)\1/g, (match, quote, names) => `class=${quote}${names.split(/\s+/).map((name) => {
+    const prefixed = prefixClassName(name, prefix);
+    return classes.has(prefixed) ? prefixed : name;
+  }).join(' ')}${quote}`);
+}
+
+export function toStyleGuide({ resolved, css, classes, components, scripts = [], prefix = '', cssHref, jsDir }) {
+  const body = colorSection(resolved.colors)
+    + spacingSection(resolved.spacing)
+    + typographySection(resolved.typography)
+    + gridSection(resolved.layout)
+    + componentSection(components)
+    + classSection(indexRules(parseCss(css).nodes));
+  const imports = scripts.map((file, index) => `import * as component${index} from './${jsDir}/${file}';`).join('\n');
+  const inits = scripts.length
+    ? `[${scripts.map((file, index) => `component${index}`).join(', ')}].forEach((module) => {\n`
+      + '  Object.entries(module).filter(([name]) => /^init/.test(name)).forEach(([, init]) => init());\n});\n'
+    : '';
+  const nav = ['colors', 'spacing', 'typography', 'grid', 'components', 'classes']
+    .map((id) => `<a class="btn btn-sm btn-secondary" href="#${id}">${id[0].toUpperCase()}${id.slice(1)}</a>`)
+    .join('\n');
+
+  return '<!DOCTYPE html>\n<html lang="en">\n<head>\n'
+    + '<meta charset="UTF-8">\n<meta name="viewport" content="width=device-width, initial-scale=1.0">\n'
+    + '<title>Plugo style guide</title>\n'
+    + `<link rel="stylesheet" href="${cssHref}">\n<style>\n${GUIDE_STYLES}</style>\n</head>\n<body>\n`
+    + '<!-- Generated by Plugo from plugo.config.js, do not edit. -->\n'
+    + withPrefix('<header class="container p-y-5">\n<h1>Plugo style guide</h1>\n'
+      + '<p>Generated from plugo.config.js on every build.</p>\n'
+      + `<nav class="flex flex-wrap gap-2" aria-label="Sections">\n${nav}\n</nav>\n</header>\n`
+      + `<main class="container">\n${body}</main>\n`, classes, prefix)
+    + `<script type="module">\n${imports}\n${inits}${GUIDE_SCRIPT}</script>\n</body>\n</html>\n`;
+}
@@ -0,0 +1,149 @@
+const TIMING_FUNCTIONS = {
+  linear: [0, 0, 1, 1],
+  ease: [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1]
+};
+
+function splitFontFamily(value) {
+  return value.split(',').map((family) => family.trim().replace(/^['"]|['"]$/g, '')).filter(Boolean);
+}
+
+function token(type, value) {
+  return type ? { $type: type, $value: value } : { $value: value };
+}
+
+function mapValues(object, transform) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, transform(value, key)]));
+}
+
+function colorGroup(entry) {
+  return {
+    base: token('color', entry.base),
+    light: token('color', entry.light),
+    dark: token('color', entry.dark),
+    ...mapValues(entry.scale, (hex) => token('color', hex))
+  };
+}
+
+export function toDesignTokens(resolved) {
+  const { transition } = resolved;
+  const tokens = {
+    color: mapValues(resolved.colors, colorGroup),
+    surface: mapValues(resolved.surfaces.light, (value) => token('color', value)),
+    fontFamily: {
+      main: token('fontFamily', splitFontFamily(resolved.typography.main)),
+      headlines: token('fontFamily', splitFontFamily(resolved.typography.headlines))
+    },
+    fontSize: mapValues(resolved.typography.sizes, (value) => token('dimension', value)),
+    lineHeight: {
+      body: token('number', resolved.typography.lineHeight)
+    },
+    spacing: {
+      base: token('dimension', resolved.spacing.baseUnit),
+      ...mapValues(resolved.spacing.steps, (value) => token('dimension', value))
+    },
+    breakpoint: mapValues(resolved.layout.breakpoints, (value) => token('dimension', value)),
+    transition: {
+      duration: token('duration', transition.duration),
+      easing: TIMING_FUNCTIONS[transition.type]
+        ? token('cubicBezier', TIMING_FUNCTIONS[transition.type])
+        : token(null, transition.type)
+    }
+  };
+
+  if (resolved.layout.container) {
+    tokens.layout = { container: token('dimension', resolved.layout.container) };
+  }
+
+  if (resolved.darkColors) {
+    tokens.dark = {
+      color: mapValues(resolved.darkColors, (entry) => ({
+        base: token('color', entry.base),
+        light: token('color', entry.light),
+        dark: token('color', entry.dark)
+      })),
+      surface: mapValues(resolved.surfaces.dark, (value) => token('color', value))
+    };
+  }
+
+  return `${JSON.stringify(tokens, null, 2)}\n`;
+}
+
+export function toJsModule(resolved) {
+  return `/* Generated by Plugo from plugo.config.js, do not edit. */\n`
+    + `export const tokens = ${JSON.stringify(resolved, null, 2)};\n\nexport default tokens;\n`;
+}
+
+function scssKey(key) {
+  return /^\d+$/.test(key) ? key : `'${key}'`;
+}
+
+function scssMap(object, indent = '  ') {
+  const entries = Object.entries(object).map(([key, value]) => {
+    const rendered = value && typeof value === 'object' ? scssMap(value, `${indent}  `) : value;
+    return `${indent}${scssKey(key)}: ${rendered}`;
+  });
+  return `(\n${entries.join(',\n')}\n${indent.slice(2)})`;
+}
+
+export function toScss(resolved) {
+  let scss = '// Generated by Plugo from plugo.config.js, do not edit.\n\n';
+  Object.entries(resolved.colors).forEach(([name, entry]) => {
+    scss += `$plugo-color-${name}: ${entry.base};\n`;
+    scss += `$plugo-color-${name}-light: ${entry.light};\n`;
+    scss += `$plugo-color-${name}-dark: ${entry.dark};\n`;
+  });
+  scss += `\n$plugo-font-main: ${resolved.typography.main};\n`;
+  scss += `$plugo-font-headlines: ${resolved.typography.headlines};\n`;
+  scss += `$plugo-line-height: ${resolved.typography.lineHeight};\n`;
+  scss += `$plugo-spacing-base: ${resolved.spacing.baseUnit};\n`;
+  if (resolved.layout.container) {
+    scss += `$plugo-container: ${resolved.layout.container};\n`;
+  }
+  scss += `$plugo-cols: ${resolved.layout.cols};\n`;
+  scss += `$plugo-transition-duration: ${resolved.transition.duration};\n`;
+  scss += `$plugo-transition-type: ${resolved.transition.type};\n\n`;
+
+  const colors = mapValues(resolved.colors, (entry) => ({
+    base: entry.base,
+    light: entry.light,
+    dark: entry.dark,
+    ...entry.scale
+  }));
+  scss += `$plugo-colors: ${scssMap(colors)};\n\n`;
+  scss += `$plugo-surfaces: ${scssMap(resolved.surfaces)};\n\n`;
+  scss += `$plugo-font-sizes: ${scssMap(resolved.typography.sizes)};\n\n`;
+  scss += `$plugo-spacing: ${scssMap(resolved.spacing.steps)};\n\n`;
+  scss += `$plugo-breakpoints: ${scssMap(resolved.layout.breakpoints)};\n`;
+  return scss;
+}
+
+export function toClassTypes(classNames) {
+  const union = classNames.length
+    ? classNames.map((className) => `  | '${className.replace(/'/g, '\\\'')}'`).join('\n')
+    : '  never';
+  return '/* Generated by Plugo from plugo.config.js, do not edit. */\n\n'
+    + `export type PlugoClass =\n${union};\n\n`
+    + 'export type PlugoClassList = PlugoClass | `${PlugoClass} ${string}`;\n';
+}
+
+export function toClassModule(classNames, prefix = '') {
+  const names = prefix
+    ? Array.from(new Set(classNames
+      .map((className) => className.slice(className.lastIndexOf(':') + 1))
+      .filter((name) => name.startsWith(prefix))
+      .map((name) => name.slice(prefix.length)))).sort()
+    : [];
+  return '/* Generated by Plugo from plugo.config.js, do not edit. */\n\n'
+    + `export const prefix = ${JSON.stringify(prefix)};\n\n`
+    + `const names = new Set(${JSON.stringify(names)});\n\n`
+    + 'export function cls(classNames) {\n'
+    + '  if (!prefix) return classNames;\n'
+    + '  return classNames.split(/\\s+/).filter(Boolean).map((name) => {\n'
+    + '    const split = name.lastIndexOf(\':\') + 1;\n'
+    + '    return names.has(name.slice(split)) ? `${name.slice(0, split)}${prefix}${name.slice(split)}` : name;\n'
+    + '  }).join(\' \');\n'
+    + '}\n\nexport default cls;\n';
+}
@@ -0,0 +1,493 @@
+import { resolveTargets } from './autoprefix.js';
+import { parseColor } from './color.js';
+import { BUILTIN_COMPONENTS, SIZES, STATES, VARIANTS } from './components.js';
+import { VARIANT_KINDS } from './variants.js';
+
+export const KNOWN_COMPONENTS = Object.keys(BUILTIN_COMPONENTS);
+export const KNOWN_UTILITIES = [
+  'spacing', 'flex', 'color', 'image', 'gap', 'sizing', 'display',
+  'position', 'zIndex', 'typography', 'border', 'shadow', 'opacity'
+];
+
+const KNOWN_TOP_LEVEL_KEYS = ['darkMode', 'strictContrast', 'apca', 'targets', 'output', 'theme', 'themes', 'content', 'components', 'registerComponents', 'utilities'];
+const DARK_MODE_STRATEGIES = ['media', 'class', 'attribute'];
+const SURFACE_KEYS = ['background', 'text', 'border', 'card', 'muted'];
+const LAYOUT_MODES = ['flex', 'grid'];
+const THEME_KEYS = ['colors', 'darkColors', 'surfaces', 'darkSurfaces', 'typography'];
+const THEME_OUTPUTS = ['scoped', 'standalone'];
+const OUTPUT_OPTIONS = ['prefix', 'scope', 'layers', 'themes', 'styleguide'];
+const FONT_DISPLAYS = ['auto', 'block', 'swap', 'fallback', 'optional'];
+const LENGTH_PATTERN = /^(\d+(\.\d+)?|\.\d+)(px|rem|em|%|vw|vh)$/;
+const DURATION_PATTERN = /^(\d+(\.\d+)?|\.\d+)(ms|s)$/;
+
+export class PlugoConfigError extends Error {
+  constructor(issues) {
+    super(formatIssues(issues));
+    this.name = 'PlugoConfigError';
+    this.issues = issues;
+  }
+}
+
+export function formatIssues(issues) {
+  const lines = issues.map(({ path, message, suggestion }) => (
+    `  ✖ ${path}: ${message}${suggestion ? `\n      → ${suggestion}` : ''}`
+  ));
+  return `Invalid plugo.config.js (${issues.length} problem${issues.length > 1 ? 's' : ''})\n${lines.join('\n')}`;
+}
+
+function levenshtein(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+function closestMatch(value, candidates) {
+  const ranked = candidates
+    .map((candidate) => ({ candidate, distance: levenshtein(String(value), candidate) }))
+    .sort((left, right) => left.distance - right.distance);
+  return ranked.length && ranked[0].distance <= 3 ? ranked[0].candidate : null;
+}
+
+function describe(value) {
+  return typeof value === 'string' ? `"${value}"` : String(value);
+}
+
+function suggestColor(value) {
+  const trimmed = typeof value === 'string' ? value.trim() : '';
+  if (trimmed && trimmed !== value && parseColor(trimmed)) {
+    return `remove the surrounding whitespace: '${trimmed}'`;
+  }
+  if (/^#/.test(trimmed)) {
+    return 'hex colors need 3, 4, 6 or 8 hexadecimal digits, e.g. \'#6e52f7\'';
+  }
+  return 'use hex, rgb(), hsl() or oklch(), e.g. \'#6e52f7\' or \'oklch(0.58 0.22 285)\'';
+}
+
+function checkLength(issues, path, value, { required = true } = {}) {
+  if (value === undefined && !required) return;
+  if (typeof value !== 'string' || !LENGTH_PATTERN.test(value)) {
+    const trimmed = typeof value === 'string' ? value.trim() : '';
+    let suggestion = 'use a number followed by px, rem, em, %, vw or vh, e.g. \'16px\'';
+    if (typeof value === 'number') {
+      suggestion = `add a unit: '${value}px'`;
+    } else if (trimmed !== value && LENGTH_PATTERN.test(trimmed)) {
+      suggestion = `remove the surrounding whitespace: '${trimmed}'`;
+    } else if (/^calc\(/i.test(trimmed)) {
+      suggestion = 'calc() cannot be scaled by the generator, use a plain length';
+    }
+    issues.push({ path, message: `${describe(value)} is not a valid length`, suggestion });
+  }
+}
+
+function checkColors(issues, colors) {
+  if (!colors || typeof colors !== 'object' || Array.isArray(colors)) {
+    issues.push({ path: 'theme.colors', message: 'must be an object of name → color', suggestion: 'e.g. { primary: \'#6e52f7\' }' });
+    return;
+  }
+  Object.entries(colors).forEach(([name, value]) => {
+    const path = `theme.colors.${name}`;
+    if (!/^[a-z][a-z0-9-]*$/.test(name)) {
+      issues.push({ path, message: `"${name}" cannot be used in class names`, suggestion: 'use lowercase letters, digits and dashes' });
+    }
+    if (!parseColor(value) || value !== value.trim()) {
+      issues.push({ path, message: `${describe(value)} is not a supported color`, suggestion: suggestColor(value) });
+    }
+  });
+}
+
+function checkColorMap(issues, path, map, knownKeys) {
+  if (map === undefined) return;
+  if (!map || typeof map !== 'object' || Array.isArray(map)) {
+    issues.push({ path, message: 'must be an object of name → color', suggestion: `e.g. { ${knownKeys[0]}: '#0f172a' }` });
+    return;
+  }
+  Object.entries(map).forEach(([key, value]) => {
+    if (!knownKeys.includes(key)) {
+      const match = closestMatch(key, knownKeys);
+      issues.push({
+        path: `${path}.${key}`,
+        message: `unknown key "${key}"`,
+        suggestion: match ? `did you mean '${match}'?` : `available: ${knownKeys.join(', ')}`
+      });
+    }
+    if (!parseColor(value) || value !== value.trim()) {
+      issues.push({ path: `${path}.${key}`, message: `${describe(value)} is not a supported color`, suggestion: suggestColor(value) });
+    }
+  });
+}
+
+function checkTypeScale(issues, scale) {
+  if (scale === undefined) return;
+  if (!scale || typeof scale !== 'object' || Array.isArray(scale)) {
+    issues.push({ path: 'theme.typography.scale', message: 'must be an object', suggestion: 'e.g. { base: \'1rem\', ratio: [1.2, 1.25], minViewport: \'320px\', maxViewport: \'1280px\' }' });
+    return;
+  }
+  const bases = Array.isArray(scale.base) ? scale.base : [scale.base];
+  if (Array.isArray(scale.base) && scale.base.length !== 2) {
+    issues.push({ path: 'theme.typography.scale.base', message: 'must be a length or a [min, max] pair', suggestion: 'e.g. [\'1rem\', \'1.125rem\']' });
+  } else {
+    bases.forEach((base) => checkLength(issues, 'theme.typography.scale.base', base, { required: false }));
+  }
+  const ratios = Array.isArray(scale.ratio) ? scale.ratio : [scale.ratio];
+  if ((Array.isArray(scale.ratio) && scale.ratio.length !== 2)
+    || ratios.some((ratio) => ratio !== undefined && !(typeof ratio === 'number' && ratio > 1))) {
+    issues.push({ path: 'theme.typography.scale.ratio', message: `${describe(scale.ratio)} must be a number greater than 1 or a [min, max] pair`, suggestion: 'e.g. 1.25 for a major third, or [1.2, 1.25]' });
+  }
+  ['minViewport', 'maxViewport'].forEach((key) => {
+    const value = scale[key];
+    if (value !== undefined && !(typeof value === 'string' && /^\d*\.?\d+px$/.test(value))) {
+      issues.push({ path: `theme.typography.scale.${key}`, message: `${describe(value)} must be a width in px`, suggestion: key === 'minViewport' ? 'e.g. \'320px\'' : 'e.g. \'1280px\'' });
+    }
+  });
+  if (parseFloat(scale.minViewport || 320) >= parseFloat(scale.maxViewport || 1280)) {
+    issues.push({ path: 'theme.typography.scale.maxViewport', message: 'must be larger than minViewport', suggestion: 'e.g. minViewport \'320px\' and maxViewport \'1280px\'' });
+  }
+}
+
+function checkFontFaces(issues, fontFaces) {
+  if (fontFaces === undefined) return;
+  if (!Array.isArray(fontFaces)) {
+    issues.push({ path: 'theme.typography.fontFaces', message: 'must be an array', suggestion: 'e.g. [{ family: \'Inter\', src: \'/assets/fonts/inter.woff2\' }]' });
+    return;
+  }
+  fontFaces.forEach((face, index) => {
+    const path = `theme.typography.fontFaces[${index}]`;
+    if (typeof face?.family !== 'string' || !face.family.trim()) {
+      issues.push({ path: `${path}.family`, message: 'must be a font-family name', suggestion: 'e.g. \'Inter\'' });
+    }
+    const sources = Array.isArray(face?.src) ? face.src : [face?.src];
+    if (!sources.length || sources.some((src) => typeof src !== 'string' || !src.trim())) {
+      issues.push({ path: `${path}.src`, message: 'must be a font file path or an array of paths', suggestion: 'use paths relative to the site root, e.g. \'/assets/fonts/inter.woff2\'' });
+    }
+    if (face?.display !== undefined && !FONT_DISPLAYS.includes(face.display)) {
+      issues.push({ path: `${path}.display`, message: `${describe(face.display)} is not a font-display value`, suggestion: `use one of ${FONT_DISPLAYS.join(', ')}` });
+    }
+  });
+}
+
+function checkOutput(issues, output) {
+  if (output === undefined) return;
+  if (!output || typeof output !== 'object' || Array.isArray(output)) {
+    issues.push({ path: 'output', message: 'must be an object', suggestion: 'e.g. { prefix: \'pg-\', scope: \'.plugo\', layers: true }' });
+    return;
+  }
+  Object.keys(output).filter((key) => !OUTPUT_OPTIONS.includes(key)).forEach((key) => {
+    issues.push({ path: `output.${key}`, message: 'is not a known option', suggestion: `use ${OUTPUT_OPTIONS.join(', ')}` });
+  });
+  if (output.themes !== undefined && !THEME_OUTPUTS.includes(output.themes)) {
+    issues.push({ path: 'output.themes', message: `${describe(output.themes)} is not a theme output`, suggestion: `use ${THEME_OUTPUTS.map((mode) => `'${mode}'`).join(' or ')}` });
+  }
+  if (output.prefix !== undefined && (typeof output.prefix !== 'string' || !/^([a-z][a-z0-9-]*)?$/i.test(output.prefix))) {
+    issues.push({ path: 'output.prefix', message: `${describe(output.prefix)} cannot start a class name`, suggestion: 'use letters, digits and dashes, e.g. \'pg-\'' });
+  }
+  if (output.scope !== undefined && output.scope !== null && (typeof output.scope !== 'string' || !output.scope.trim() || output.scope.includes(','))) {
+    issues.push({ path: 'output.scope', message: `${describe(output.scope)} must be a single selector`, suggestion: 'e.g. \'.plugo\' or \'#app\'' });
+  }
+  if (output.layers !== undefined && typeof output.layers !== 'boolean') {
+    issues.push({ path: 'output.layers', message: 'must be true or false', suggestion: 'use true to wrap the output in @layer blocks' });
+  }
+  if (output.styleguide !== undefined && typeof output.styleguide !== 'boolean') {
+    issues.push({ path: 'output.styleguide', message: 'must be true or false', suggestion: 'use false to skip plugo.styleguide.html' });
+  }
+}
+
+function checkThemes(issues, themes, colorNames, darkMode) {
+  if (themes === undefined) return;
+  if (!themes || typeof themes !== 'object' || Array.isArray(themes)) {
+    issues.push({ path: 'themes', message: 'must be an object of name → theme overrides', suggestion: 'e.g. { clientA: { colors: { primary: \'#0b7285\' } } }' });
+    return;
+  }
+  Object.entries(themes).forEach(([name, overrides]) => {
+    const path = `themes.${name}`;
+    if (!/^[a-zA-Z][\w-]*$/.test(name)) {
+      issues.push({ path, message: `"${name}" cannot be used as a data-theme value`, suggestion: 'use letters, digits, dashes and underscores' });
+    }
+    if (name === 'dark' && darkMode === 'attribute') {
+      issues.push({ path, message: 'collides with the [data-theme="dark"] dark mode selector', suggestion: 'rename the theme or override theme.darkColors instead' });
+    }
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      issues.push({ path, message: 'must be an object of theme overrides', suggestion: `override any of ${THEME_KEYS.join(', ')}` });
+      return;
+    }
+    Object.keys(overrides).filter((key) => !THEME_KEYS.includes(key)).forEach((key) => {
+      issues.push({ path: `${path}.${key}`, message: 'cannot vary between themes', suggestion: `themes only override ${THEME_KEYS.join(', ')}` });
+    });
+    checkColorMap(issues, `${path}.colors`, overrides.colors, colorNames);
+    checkColorMap(issues, `${path}.darkColors`, overrides.darkColors, colorNames);
+    checkColorMap(issues, `${path}.surfaces`, overrides.surfaces, SURFACE_KEYS);
+    checkColorMap(issues, `${path}.darkSurfaces`, overrides.darkSurfaces, SURFACE_KEYS);
+    Object.entries(overrides.typography || {}).forEach(([key, value]) => {
+      if (!['main', 'headlines'].includes(key)) {
+        issues.push({ path: `${path}.typography.${key}`, message: 'cannot vary between themes', suggestion: 'themes only override the main and headlines font families' });
+      } else if (typeof value !== 'string' || !value.trim()) {
+        issues.push({ path: `${path}.typography.${key}`, message: 'must be a font-family string', suggestion: 'e.g. \'Georgia, serif\'' });
+      }
+    });
+  });
+}
+
+function checkGutters(issues, gutters, breakpoints) {
+  if (gutters === undefined || typeof gutters === 'string') {
+    checkLength(issues, 'theme.layout.gutters', gutters, { required: false });
+    return;
+  }
+  if (!gutters || typeof gutters !== 'object' || Array.isArray(gutters)) {
+    issues.push({ path: 'theme.layout.gutters', message: 'must be a length or an object of breakpoint → length', suggestion: 'e.g. { base: \'16px\', lg: \'32px\' }' });
+    return;
+  }
+  Object.entries(gutters).forEach(([key, value]) => {
+    if (key !== 'base' && !breakpoints.includes(key)) {
+      const match = closestMatch(key, ['base', ...breakpoints]);
+      issues.push({
+        path: `theme.layout.gutters.${key}`,
+        message: 'is not a breakpoint',
+        suggestion: match ? `did you mean '${match}'?` : `use 'base' or one of ${breakpoints.join(', ')}`
+      });
+      return;
+    }
+    checkLength(issues, `theme.layout.gutters.${key}`, value);
+  });
+}
+
+function checkLayout(issues, layout, darkMode) {
+  if (!layout || typeof layout !== 'object') {
+    issues.push({ path: 'theme.layout', message: 'is required', suggestion: 'define cols and breakpoints' });
+    return;
+  }
+  checkLength(issues, 'theme.layout.container', layout.container, { required: false });
+  if (layout.variants !== undefined) {
+    checkVariants(issues, 'theme.layout.variants', layout.variants, darkMode);
+  }
+  if (layout.mode !== undefined && !LAYOUT_MODES.includes(layout.mode)) {
+    issues.push({ path: 'theme.layout.mode', message: `${describe(layout.mode)} is not a layout mode`, suggestion: `use one of ${LAYOUT_MODES.map((mode) => `'${mode}'`).join(', ')}` });
+  }
+  checkGutters(issues, layout.gutters, Object.keys(layout.breakpoints || {}));
+
+  if (!Number.isInteger(layout.cols) || layout.cols <= 0) {
+    const rounded = Math.max(1, Math.round(Number(layout.cols)) || 12);
+    issues.push({
+      path: 'theme.layout.cols',
+      message: `${describe(layout.cols)} must be a positive integer`,
+      suggestion: `use ${rounded}`
+    });
+  }
+
+  const { breakpoints } = layout;
+  if (!breakpoints || typeof breakpoints !== 'object' || Array.isArray(breakpoints)) {
+    issues.push({ path: 'theme.layout.breakpoints', message: 'must be an object of prefix → width', suggestion: 'e.g. { md: \'768px\' }' });
+    return;
+  }
+
+  let previous = null;
+  Object.entries(breakpoints).forEach(([prefix, size]) => {
+    const path = `theme.layout.breakpoints.${prefix}`;
+    if (!/^[a-z][a-z0-9-]*$/.test(prefix)) {
+      issues.push({ path, message: `"${prefix}" cannot be used as a class prefix`, suggestion: 'use lowercase letters, digits and dashes' });
+    }
+    const before = issues.length;
+    checkLength(issues, path, size);
+    if (issues.length !== before) return;
+
+    const [, number, , unit] = size.match(LENGTH_PATTERN);
+    if (previous && previous.unit !== unit) {
+      issues.push({
+        path,
+        message: `uses "${unit}" while theme.layout.breakpoints.${previous.prefix} uses "${previous.unit}"`,
+        suggestion: 'express every breakpoint in the same unit'
+      });
+    } else if (previous && Number(number) <= previous.number) {
+      issues.push({
+        path,
+        message: `${size} must be larger than theme.layout.breakpoints.${previous.prefix} (${previous.size})`,
+        suggestion: 'list breakpoints from the smallest to the largest width'
+      });
+    }
+    previous = { prefix, size, unit, number: Number(number) };
+  });
+}
+
+function checkRegisteredComponents(issues, registered) {
+  if (registered === undefined) return;
+  if (!registered || typeof registered !== 'object' || Array.isArray(registered)) {
+    issues.push({ path: 'registerComponents', message: 'must be an object of name → component', suggestion: 'e.g. { badge: (theme) => \'.badge { … }\' }' });
+    return;
+  }
+  Object.entries(registered).forEach(([name, definition]) => {
+    const path = `registerComponents.${name}`;
+    if (!/^[a-z][a-z0-9-]*$/.test(name)) {
+      issues.push({ path, message: `"${name}" cannot be used as a component name`, suggestion: 'use lowercase letters, digits and dashes' });
+    }
+    if (typeof definition === 'function') return;
+    if (!definition || typeof definition.render !== 'function') {
+      issues.push({ path, message: 'must be a function or an object with a render(theme, ui) function', suggestion: 'return the component CSS as a string' });
+      return;
+    }
+    const rules = definition.rules ?? {};
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      issues.push({ path: `${path}.rules`, message: 'must be an object of modifier → CSS', suggestion: 'e.g. { hover: \'.my-widget:hover { … }\' }' });
+    }
+    [['variants', VARIANTS], ['sizes', SIZES], ['states', STATES]].forEach(([key, known]) => {
+      if (definition[key] === undefined) return;
+      checkNameList(issues, `${path}.${key}`, definition[key], known);
+      if (!Array.isArray(definition[key]) || !rules || typeof rules !== 'object') return;
+      definition[key].filter((modifier) => !['string', 'function'].includes(typeof rules[modifier])).forEach((modifier) => {
+        issues.push({ path: `${path}.rules`, message: `missing a rule for the declared ${key.slice(0, -1)} "${modifier}"`, suggestion: 'give it a CSS string or a function (ui) returning one' });
+      });
+    });
+    if (definition.example !== undefined && !['string', 'function'].includes(typeof definition.example)) {
+      issues.push({ path: `${path}.example`, message: 'must be an HTML string or a function returning one', suggestion: 'e.g. \'<div class="my-widget">…</div>\'' });
+    }
+  });
+}
+
+function checkVariants(issues, path, variants, darkMode) {
+  if (!Array.isArray(variants)) {
+    issues.push({ path, message: 'must be an array of variants', suggestion: 'e.g. [\'responsive\', \'hover\']' });
+    return;
+  }
+  checkNameList(issues, path, variants, VARIANT_KINDS);
+  if (variants.includes('dark') && !darkMode) {
+    issues.push({ path, message: '"dark" variants need a dark mode strategy', suggestion: 'set darkMode to \'media\', \'class\' or \'attribute\'' });
+  }
+}
+
+function checkUtilities(issues, config) {
+  const { utilities, darkMode } = config;
+  if (Array.isArray(utilities) || utilities === undefined || utilities === null || typeof utilities !== 'object') {
+    checkNameList(issues, 'utilities', utilities, KNOWN_UTILITIES);
+    return;
+  }
+  Object.entries(utilities).forEach(([name, variants]) => {
+    if (!KNOWN_UTILITIES.includes(name)) {
+      const match = closestMatch(name, KNOWN_UTILITIES);
+      issues.push({
+        path: `utilities.${name}`,
+        message: 'unknown utility family',
+        suggestion: match ? `did you mean '${match}'?` : `available: ${KNOWN_UTILITIES.join(', ')}`
+      });
+    } else if (typeof variants !== 'boolean') {
+      checkVariants(issues, `utilities.${name}`, variants, darkMode);
+    }
+  });
+}
+
+function checkNameList(issues, path, list, known) {
+  if (!Array.isArray(list)) {
+    issues.push({ path, message: 'must be an array', suggestion: `e.g. ['${known[0]}']` });
+    return;
+  }
+  list.forEach((name, index) => {
+    if (!known.includes(name)) {
+      const match = closestMatch(name, known);
+      issues.push({
+        path: `${path}[${index}]`,
+        message: `unknown entry ${describe(name)}`,
+        suggestion: match ? `did you mean '${match}'?` : `available: ${known.join(', ')}`
+      });
+    }
+  });
+}
+
+export function validateConfig(config) {
+  const issues = [];
+  if (!config || typeof config !== 'object') {
+    return [{ path: '(root)', message: 'plugo.config.js must export a config object', suggestion: 'add `export default config;`' }];
+  }
+
+  Object.keys(config).forEach((key) => {
+    if (!KNOWN_TOP_LEVEL_KEYS.includes(key)) {
+      const match = closestMatch(key, KNOWN_TOP_LEVEL_KEYS);
+      issues.push({ path: key, message: 'unknown option', suggestion: match ? `did you mean '${match}'?` : null });
+    }
+  });
+
+  const { darkMode } = config;
+  if (darkMode !== undefined && typeof darkMode !== 'boolean' && !DARK_MODE_STRATEGIES.includes(darkMode)) {
+    const match = closestMatch(darkMode, DARK_MODE_STRATEGIES);
+    issues.push({
+      path: 'darkMode',
+      message: `${describe(darkMode)} is not a dark mode strategy`,
+      suggestion: match ? `did you mean '${match}'?` : `use false, true or one of ${DARK_MODE_STRATEGIES.map((name) => `'${name}'`).join(', ')}`
+    });
+  }
+
+  ['strictContrast', 'apca'].forEach((key) => {
+    if (config[key] !== undefined && typeof config[key] !== 'boolean') {
+      issues.push({ path: key, message: `${describe(config[key])} must be a boolean`, suggestion: 'use true or false' });
+    }
+  });
+
+  if (config.targets !== undefined) {
+    const { targets } = config;
+    if (typeof targets !== 'string' && (!targets || typeof targets !== 'object' || Array.isArray(targets))) {
+      issues.push({ path: 'targets', message: 'must be a query string or an object of browser → minimum version', suggestion: 'e.g. \'> 0.5%, last 2 versions, not dead\'' });
+    } else {
+      try {
+        resolveTargets(targets);
+      } catch (error) {
+        issues.push({ path: 'targets', message: error.message, suggestion: 'e.g. \'> 0.5%, last 2 versions, Firefox ESR, not dead\'' });
+      }
+    }
+  }
+
+  checkOutput(issues, config.output);
+
+  if (config.content !== undefined
+    && (!Array.isArray(config.content) || config.content.some((pattern) => typeof pattern !== 'string'))) {
+    issues.push({ path: 'content', message: 'must be an array of glob strings', suggestion: 'e.g. [\'./**/*.html\']' });
+  }
+
+  const { theme } = config;
+  if (!theme || typeof theme !== 'object') {
+    issues.push({ path: 'theme', message: 'is required', suggestion: 'define colors, typography, layout, spacing and transition' });
+  } else {
+    checkColors(issues, theme.colors);
+    checkColorMap(issues, 'theme.darkColors', theme.darkColors, Object.keys(theme.colors || {}));
+    checkColorMap(issues, 'theme.surfaces', theme.surfaces, SURFACE_KEYS);
+    checkColorMap(issues, 'theme.darkSurfaces', theme.darkSurfaces, SURFACE_KEYS);
+
+    ['main', 'headlines'].forEach((key) => {
+      if (typeof theme.typography?.[key] !== 'string' || !theme.typography[key].trim()) {
+        issues.push({ path: `theme.typography.${key}`, message: 'must be a font-family string', suggestion: 'e.g. \'Arial, sans-serif\'' });
+      }
+    });
+
+    checkTypeScale(issues, theme.typography?.scale);
+    checkFontFaces(issues, theme.typography?.fontFaces);
+
+    checkLayout(issues, theme.layout, config.darkMode);
+
+    checkLength(issues, 'theme.spacing.baseUnit', theme.spacing?.baseUnit);
+    const ratio = theme.spacing?.ratioLineHeight;
+    if (ratio !== undefined && !(Number(ratio) > 0 && /^\s*\d*\.?\d+\s*$/.test(String(ratio)))) {
+      issues.push({ path: 'theme.spacing.ratioLineHeight', message: `${describe(ratio)} must be a positive number`, suggestion: 'e.g. \'1.25\'' });
+    }
+
+    const duration = theme.transition?.duration;
+    if (typeof duration !== 'string' || !DURATION_PATTERN.test(duration)) {
+      issues.push({ path: 'theme.transition.duration', message: `${describe(duration)} is not a valid duration`, suggestion: 'use milliseconds or seconds, e.g. \'300ms\'' });
+    }
+    if (typeof theme.transition?.type !== 'string' || !theme.transition.type.trim()) {
+      issues.push({ path: 'theme.transition.type', message: 'must be a timing function', suggestion: 'e.g. \'ease\'' });
+    }
+  }
+
+  checkThemes(issues, config.themes, Object.keys(theme?.colors || {}), config.darkMode);
+  checkRegisteredComponents(issues, config.registerComponents);
+  checkNameList(issues, 'components', config.components, [...KNOWN_COMPONENTS, ...Object.keys(config.registerComponents || {})]);
+  checkUtilities(issues, config);
+
+  return issues;
+}
@@ -0,0 +1,88 @@
+export const VARIANT_KINDS = ['responsive', 'max', 'hover', 'focus', 'dark', 'container'];
+
+export const DEFAULT_VARIANTS = {
+  grid: ['responsive'],
+  spacing: ['responsive'],
+  flex: ['responsive'],
+  color: [],
+  image: [],
+  gap: ['responsive'],
+  sizing: ['responsive'],
+  display: ['responsive'],
+  position: ['responsive'],
+  zIndex: [],
+  typography: ['responsive'],
+  border: [],
+  shadow: ['hover'],
+  opacity: ['hover']
+};
+
+const STATE_PSEUDOS = {
+  hover: ':hover',
+  focus: ':focus'
+};
+
+export function escapeClassName(name) {
+  return name.replace(/[^a-zA-Z0-9_-]/g, '\\$&');
+}
+
+function belowBreakpoint(size) {
+  const [, number, unit] = String(size).match(/^(\d*\.?\d+)([a-z%]*)$/);
+  const offset = unit === 'px' ? 0.02 : 0.00125;
+  return `${Number((Number(number) - offset).toFixed(5))}${unit}`;
+}
+
+export function resolveVariants(utilities, layout = {}) {
+  const families = Array.isArray(utilities)
+    ? Object.fromEntries(utilities.map((name) => [name, DEFAULT_VARIANTS[name] || []]))
+    : Object.fromEntries(Object.entries(utilities || {})
+      .filter(([, variants]) => variants !== false)
+      .map(([name, variants]) => [name, Array.isArray(variants) ? variants : DEFAULT_VARIANTS[name] || []]));
+  return { ...families, grid: layout.variants || DEFAULT_VARIANTS.grid };
+}
+
+export function createVariantEngine({ breakpoints, darkSelector }) {
+  const sizes = Object.entries(breakpoints);
+
+  function rule(utility, prefix = '', pseudo = '', indent = '') {
+    return `${indent}.${escapeClassName(`${prefix}${utility.name}`)}${pseudo} { ${utility.declarations} }\n`;
+  }
+
+  function block(header, utilities, prefix) {
+    return `${header} {\n${utilities.map((utility) => rule(utility, prefix, '', '  ')).join('')}}\n\n`;
+  }
+
+  return {
+    render(utilities, variants = []) {
+      const enabled = new Set(variants);
+      let css = `${utilities.map((utility) => rule(utility)).join('')}\n`;
+
+      Object.entries(STATE_PSEUDOS).forEach(([state, pseudo]) => {
+        if (enabled.has(state)) {
+          css += `${utilities.map((utility) => rule(utility, `${state}:`, pseudo)).join('')}\n`;
+        }
+      });
+      if (enabled.has('dark') && darkSelector) {
+        css += darkSelector === 'media'
+          ? block('@media (prefers-color-scheme: dark)', utilities, 'dark:')
+          : `${utilities.map((utility) => `${darkSelector} ${rule(utility, 'dark:')}`).join('')}\n`;
+      }
+      if (enabled.has('max')) {
+        [...sizes].reverse().forEach(([prefix, size]) => {
+          css += block(`@media (max-width: ${belowBreakpoint(size)})`, utilities, `max-${prefix}:`);
+        });
+      }
+      if (enabled.has('responsive')) {
+        sizes.forEach(([prefix, size]) => {
+          css += block(`@media (min-width: ${size})`, utilities, `${prefix}:`);
+        });
+      }
+      if (enabled.has('container')) {
+        sizes.forEach(([prefix, size]) => {
+          css += block(`@container (min-width: ${size})`, utilities, `@${prefix}:`);
+        });
+      }
+      return css;
+    }
+  };
+}
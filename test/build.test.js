@@ -0,0 +1,63 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import { describe, test } from 'node:test';
+import os from 'os';
+import path from 'path';
+import { buildPlugo } from '../scripts/build.js';
+import { formatCssIssues, validateCss } from '../scripts/css-validate.js';
+import { matchSnapshot, staleSnapshots } from './snapshot.js';
+
+const FIXTURES = {
+  project: async () => {
+    const { content, ...config } = (await import('../plugo.config.js')).default;
+    return config;
+  },
+  minimal: async () => (await import('./fixtures/minimal.config.js')).default,
+  scoped: async () => (await import('./fixtures/scoped.config.js')).default
+};
+
+function isSnapshotted(file) {
+  return file.endsWith('.css') && file !== 'app.css' && !file.endsWith('/all.css');
+}
+
+Object.entries(FIXTURES).forEach(([fixture, load]) => {
+  describe(`${fixture} fixture`, async () => {
+    const result = await buildPlugo(await load(), { minify: true });
+    const stylesheets = Object.entries({ ...result.partials, ...result.bundles }).filter(([file]) => file.endsWith('.css'));
+    const snapshotted = Object.keys(result.partials).filter(isSnapshotted);
+
+    test('every partial and bundle parses as valid CSS', () => {
+      const failures = stylesheets
+        .map(([file, css]) => [file, validateCss(css)])
+        .filter(([, issues]) => issues.length)
+        .map(([file, issues]) => `${file}\n${formatCssIssues(issues)}`);
+      assert.equal(failures.length, 0, failures.join('\n'));
+    });
+
+    snapshotted.forEach((file) => {
+      test(`${file} matches its snapshot`, () => matchSnapshot(`${fixture}/${file}`, result.partials[file]));
+    });
+
+    test('has no stale snapshots', async () => {
+      const stale = await staleSnapshots(fixture, snapshotted);
+      assert.deepEqual(stale, [], `Snapshots without a matching partial: ${stale.join(', ')}`);
+    });
+  });
+});
+
+test('leaves the generated bundles of any outDir out of the purge content', async () => {
+  const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'plugo-purge-'));
+  try {
+    await fs.mkdir(path.join(cwd, 'dist'));
+    await fs.writeFile(path.join(cwd, 'index.html'), '<button class="btn">Go</button>');
+    await fs.writeFile(path.join(cwd, 'dist', 'plugo.styleguide.html'), '<p class="m-t-2 flex">Every class</p>');
+    const config = { ...(await import('./fixtures/minimal.config.js')).default, content: ['./**/*.html'] };
+    const result = await buildPlugo(config, { cwd, outDir: path.join(cwd, 'dist') });
+    assert.deepEqual(result.contentFiles, [path.join(cwd, 'index.html')]);
+    assert.match(result.bundles['plugo.purged.css'], /\.btn \{/);
+    assert.doesNotMatch(result.bundles['plugo.purged.css'], /\.m-t-2 \{/);
+  } finally {
+    await fs.rm(cwd, { recursive: true, force: true });
+  }
+});
+
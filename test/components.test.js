@@ -0,0 +1,50 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { BUILTIN_COMPONENTS, createComponentRegistry } from '../scripts/components.js';
+
+const UI = { colors: ['primary'], space: (value) => `${value}rem`, transition: (...properties) => properties.join(', ') };
+const THEME = { layout: { breakpoints: { md: '768px' } }, transition: { duration: '300ms', type: 'ease' } };
+
+const chip = {
+  variants: ['outline'],
+  sizes: ['sm', 'lg'],
+  states: ['hover'],
+  rules: {
+    hover: '.chip:hover { opacity: 0.8; }\n',
+    outline: '.chip-outline { background: none; }\n',
+    sm: (ui) => `.chip-sm { padding: ${ui.space(0.25)}; }\n`,
+    lg: (ui) => `.chip-lg { padding: ${ui.space(1)}; }\n`
+  },
+  render: (theme, ui) => `.chip { display: inline-flex; }\n${ui.rules('states')}${ui.rules('variants')}${ui.rules('sizes')}`
+};
+
+test('generates the rules of the declared variants, sizes and states in order', () => {
+  const registry = createComponentRegistry({ chip });
+  assert.equal(registry.render('chip', THEME, UI), '.chip { display: inline-flex; }\n'
+    + '.chip:hover { opacity: 0.8; }\n.chip-outline { background: none; }\n.chip-sm { padding: 0.25rem; }\n.chip-lg { padding: 1rem; }\n');
+});
+
+test('leaves out the modifiers a component no longer declares', () => {
+  const registry = createComponentRegistry({ button: { ...BUILTIN_COMPONENTS.button, variants: ['outline'], sizes: ['sm'], states: [] } });
+  const css = registry.render('button', THEME, UI);
+  assert.match(css, /\.btn-outline \{/);
+  assert.match(css, /\.btn-sm \{/);
+  ['.btn-ghost', '.btn-lg', '.btn:hover', '.btn:disabled'].forEach((selector) => assert.ok(!css.includes(selector), `${selector} should not be generated`));
+});
+
+test('fails when a declared modifier has no rule', () => {
+  const registry = createComponentRegistry({ chip: { ...chip, sizes: ['sm', 'md'] } });
+  assert.throws(() => registry.render('chip', THEME, UI), /Component "chip" declares size "md" but has no rule for it/);
+});
+
+test('gives every declared built-in variant and size its own selector', () => {
+  const registry = createComponentRegistry();
+  Object.entries(BUILTIN_COMPONENTS).forEach(([name, component]) => {
+    const css = registry.render(name, THEME, UI);
+    const prefix = name === 'button' ? 'btn' : name;
+    [...component.variants, ...component.sizes].forEach((modifier) => {
+      assert.match(css, new RegExp(`\\.${prefix}(-control)?-${modifier}\\b`), `${name} declares ${modifier} without a selector`);
+    });
+  });
+});
+
@@ -0,0 +1,105 @@
+import assert from 'assert/strict';
+import { beforeEach, test } from 'node:test';
+import { SubmitError, createHttpAdapter, createSubmitAdapter } from '../assets/js/contact-adapters.js';
+import { checkRateLimit, flushQueue } from '../assets/js/contact.js';
+
+const QUEUE_KEY = 'portfolio-contact-queue';
+const SENT_KEY = 'portfolio-contact-sent';
+const MINUTE = 60 * 1000;
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+function store(key, value) {
+  localStorage.setItem(key, JSON.stringify(value));
+}
+
+function stored(key) {
+  return JSON.parse(localStorage.getItem(key));
+}
+
+function queued(id, attempts = 0) {
+  return { id, payload: { message: id }, attempts };
+}
+
+beforeEach(() => {
+  globalThis.localStorage = createStorage();
+  Object.defineProperty(globalThis, 'navigator', { value: { onLine: true }, configurable: true, writable: true });
+  globalThis.document = { querySelector: () => null };
+});
+
+test('allows three messages an hour, thirty seconds apart', () => {
+  const now = 10 * 60 * MINUTE;
+  assert.deepEqual(checkRateLimit(now), { allowed: true, retryAt: now });
+  store(SENT_KEY, [now - 10 * 1000]);
+  assert.deepEqual(checkRateLimit(now), { allowed: false, retryAt: now + 20 * 1000 });
+  store(SENT_KEY, [now - 50 * MINUTE, now - 5 * MINUTE]);
+  assert.equal(checkRateLimit(now).allowed, true);
+  store(SENT_KEY, [now - 50 * MINUTE, now - 20 * MINUTE, now - 5 * MINUTE]);
+  assert.deepEqual(checkRateLimit(now), { allowed: false, retryAt: now + 10 * MINUTE });
+  store(SENT_KEY, [now - 70 * MINUTE, now - 20 * MINUTE, now - 5 * MINUTE]);
+  assert.equal(checkRateLimit(now).allowed, true, 'messages older than an hour no longer count');
+});
+
+test('keeps retryable failures in the queue and drops them after five attempts', async () => {
+  store(QUEUE_KEY, [queued('sent'), queued('retry', 1), queued('exhausted', 4), queued('rejected')]);
+  const adapter = {
+    async submit({ message }) {
+      if (message === 'retry' || message === 'exhausted') throw new SubmitError('503', { retryable: true });
+      if (message === 'rejected') throw new SubmitError('400', { retryable: false });
+    }
+  };
+  assert.deepEqual(await flushQueue(adapter), { sent: 1, dropped: 2, pending: 1 });
+  assert.deepEqual(stored(QUEUE_KEY), [queued('retry', 2)]);
+});
+
+test('keeps messages queued while a flush is running', async () => {
+  store(QUEUE_KEY, [queued('first')]);
+  const adapter = {
+    async submit() {
+      store(QUEUE_KEY, [...stored(QUEUE_KEY), queued('added')]);
+    }
+  };
+  assert.deepEqual(await flushQueue(adapter), { sent: 1, dropped: 0, pending: 1 });
+  assert.deepEqual(stored(QUEUE_KEY), [queued('added')]);
+});
+
+test('leaves the queue alone while offline', async () => {
+  store(QUEUE_KEY, [queued('first')]);
+  navigator.onLine = false;
+  assert.deepEqual(await flushQueue({ submit: () => assert.fail('should not submit offline') }), { sent: 0, dropped: 0, pending: 1 });
+  assert.deepEqual(stored(QUEUE_KEY), [queued('first')]);
+});
+
+test('picks the http adapter for an endpoint, mailto without one and the mock under plugo dev', () => {
+  assert.equal(createSubmitAdapter({ endpoint: '/api/contact', mailto: 'me@example.com' }).name, 'http');
+  assert.equal(createSubmitAdapter({ mailto: 'me@example.com' }).name, 'mailto');
+  assert.equal(createSubmitAdapter({ adapter: 'mock', endpoint: '/api/contact' }).name, 'mock');
+  globalThis.document = { querySelector: (selector) => (selector === 'script[data-plugo-dev]' ? {} : null) };
+  assert.equal(createSubmitAdapter({ endpoint: '/api/contact' }).name, 'mock');
+  assert.throws(() => createSubmitAdapter({ adapter: 'http' }), /needs an endpoint/);
+  assert.throws(() => createSubmitAdapter({ adapter: 'smtp' }), /Unknown submit adapter "smtp"/);
+});
+
+test('only retries network errors and transient server responses', async () => {
+  const adapter = createHttpAdapter({ endpoint: '/api/contact' });
+  const failure = async (respond) => {
+    globalThis.fetch = respond;
+    return adapter.submit({}).then(() => null, (error) => error);
+  };
+  assert.equal(await failure(async () => ({ ok: true, status: 202 })), null);
+  const rejected = await failure(async () => ({ ok: false, status: 422 }));
+  assert.ok(rejected instanceof SubmitError);
+  assert.deepEqual([rejected.retryable, rejected.status], [false, 422]);
+  assert.deepEqual([(await failure(async () => ({ ok: false, status: 503 }))).retryable, (await failure(async () => ({ ok: false, status: 429 }))).retryable], [true, true]);
+  const offline = await failure(async () => {
+    throw new TypeError('Failed to fetch');
+  });
+  assert.deepEqual([offline.retryable, offline.status], [true, null]);
+});
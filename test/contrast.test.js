@@ -0,0 +1,16 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { AA_RATIO, DARK_TEXT, LIGHT_TEXT, contrastRatio, pickForeground } from '../scripts/contrast.js';
+
+test('keeps the better of the default foregrounds when it reaches AA', () => {
+  assert.equal(pickForeground('#ffffff'), DARK_TEXT);
+  assert.equal(pickForeground('#6e52f7'), LIGHT_TEXT);
+});
+
+test('adjusts the foreground lightness until a mid-tone background reaches AA', () => {
+  ['#d6465f', '#e11d48', '#777777', '#767676'].forEach((background) => {
+    const foreground = pickForeground(background);
+    assert.ok(![DARK_TEXT, LIGHT_TEXT].includes(foreground), `${background} should need an adjusted foreground`);
+    assert.ok(contrastRatio(foreground, background) >= AA_RATIO, `${foreground} on ${background} is below AA`);
+  });
+});
@@ -0,0 +1,37 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { diffCss, formatCssDiff } from '../scripts/css-diff.js';
+
+const BEFORE = '.a { color: red; }\n.b { margin: 0; }\n@media (min-width: 640px) { .sm\\:a { color: red; } }\n';
+const AFTER = '.a { color: blue; }\n@media (min-width: 640px) { .sm\\:a { color: red; } }\n@media (min-width: 768px) { .md\\:a { color: red; } }\n';
+
+test('lists added, removed and changed selectors with their context', () => {
+  const { added, removed, changed } = diffCss(BEFORE, AFTER);
+  assert.deepEqual(added.map(({ selector, context }) => [selector, context]), [['.md\\:a', '@media (min-width: 768px)']]);
+  assert.deepEqual(removed.map(({ selector }) => selector), ['.b']);
+  assert.deepEqual(changed, [{ selector: '.a', context: '', removed: ['color: red;'], added: ['color: blue;'] }]);
+});
+
+test('ignores formatting and keeps repeated prefixed declarations apart', () => {
+  const before = '.box { display: -webkit-box; display: flex; }';
+  assert.deepEqual(diffCss(before, '.box {\n  display: -webkit-box;\n  display: flex;\n}\n'), { added: [], removed: [], changed: [] });
+  assert.deepEqual(diffCss(before, '.box { display: flex; }').changed[0].removed, ['display: -webkit-box;']);
+});
+
+test('formats a readable report', () => {
+  assert.equal(formatCssDiff(diffCss(BEFORE, BEFORE)), 'No selector changes');
+  assert.equal(formatCssDiff(diffCss(BEFORE, AFTER)), [
+    '1 added, 1 removed, 1 changed selector(s)',
+    '',
+    'Added (1)',
+    '  + .md\\:a  (@media (min-width: 768px))',
+    '',
+    'Removed (1)',
+    '  - .b',
+    '',
+    'Changed (1)',
+    '  ~ .a',
+    '      - color: red;',
+    '      + color: blue;'
+  ].join('\n'));
+});
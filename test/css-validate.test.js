@@ -0,0 +1,34 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { validateCss } from '../scripts/css-validate.js';
+
+test('accepts well-formed rules, at-rules and custom properties', () => {
+  const css = ':root { --gap: ; --color: #fff; }\n'
+    + '@media (min-width: 640px) {\n  .sm\\:p-1 { padding: calc(1rem + (2px * 3)) !important; }\n}\n'
+    + '@keyframes fade { from { opacity: 0; } to { opacity: 1; } }\n'
+    + '.icon { background: url("data:image/svg+xml;utf8,<svg></svg>"); }\n';
+  assert.deepEqual(validateCss(css), []);
+});
+
+test('reports a prefixed declaration that lost its value', () => {
+  const issues = validateCss('.transition { -webkit-transition:\n  transition: all 300ms ease; }\n');
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].selector, '.transition');
+  assert.match(issues[0].message, /"-webkit-transition" is missing its value/);
+});
+
+test('reports empty values, bad property names and unbalanced brackets', () => {
+  const issues = validateCss('.a { color: ; }\n.b { 1width: 10px; }\n.c { width: calc(100% - 2px; }\n');
+  assert.deepEqual(issues.map(({ line, selector }) => [line, selector]), [[1, '.a'], [2, '.b'], [3, '.c']]);
+});
+
+test('reports syntax errors from the parser', () => {
+  const [issue] = validateCss('.a { color: red; }}\n');
+  assert.match(issue.message, /Unexpected "}"/);
+});
+
+test('includes the at-rule context of nested rules', () => {
+  const [issue] = validateCss('@layer utilities {\n  @media (min-width: 1px) {\n    .a { color: ; }\n  }\n}\n');
+  assert.equal(issue.selector, '@layer utilities > @media (min-width: 1px) > .a');
+  assert.equal(issue.line, 3);
+});
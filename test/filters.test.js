@@ -0,0 +1,42 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { DEFAULT_FILTERS, applyFilters, filtersToQuery, projectFacets, readFilters } from '../assets/js/filters.js';
+
+const PROJECTS = [
+  { slug: 'shop', title: 'Boutique', type: 'Web', role: null, description: 'E-commerce', tags: ['Vue', 'Stripe'], date: '2023-05' },
+  { slug: 'app', title: 'Agenda', type: 'Mobile', role: 'Lead', description: 'Planning partagé', tags: ['React Native'], date: '2024-02' },
+  { slug: 'site', title: 'Éditions', type: 'Web', role: null, description: 'Site vitrine', tags: ['Vue'], date: '2022-11' }
+];
+
+test('round-trips filters through the query string', () => {
+  const facets = projectFacets(PROJECTS);
+  const filters = { q: 'édition', type: 'Web', tags: ['Stripe', 'Vue'], sort: 'title' };
+  const query = filtersToQuery(filters);
+  assert.equal(query, 'q=%C3%A9dition&type=Web&tag=Stripe&tag=Vue&sort=title');
+  assert.deepEqual(readFilters(`?${query}`, facets), filters);
+  assert.equal(filtersToQuery(DEFAULT_FILTERS), '');
+  assert.deepEqual(readFilters('', facets), DEFAULT_FILTERS);
+});
+
+test('drops unknown types, tags and sorts read from the URL', () => {
+  const filters = readFilters('?type=Print&tag=Vue&tag=Vue&tag=Rust&sort=stars', projectFacets(PROJECTS));
+  assert.deepEqual(filters, { q: '', type: 'all', tags: ['Vue'], sort: 'featured' });
+});
+
+test('filters by type, tags and search terms', () => {
+  const slugs = (filters) => applyFilters(PROJECTS, { ...DEFAULT_FILTERS, ...filters }).results.map(({ project }) => project.slug);
+  assert.deepEqual(slugs({ type: 'Web' }), ['shop', 'site']);
+  assert.deepEqual(slugs({ tags: ['Vue', 'Stripe'] }), ['shop']);
+  assert.deepEqual(slugs({ q: 'edition' }), ['site']);
+  assert.deepEqual(slugs({ sort: 'date' }), ['app', 'shop', 'site']);
+  assert.deepEqual(slugs({ sort: 'title' }), ['app', 'shop', 'site']);
+});
+
+test('counts facets over the filtered results', () => {
+  const { facets } = applyFilters(PROJECTS, { ...DEFAULT_FILTERS, type: 'Web', tags: ['Vue'] });
+  assert.deepEqual(facets, [
+    { tag: 'React Native', count: 0, selected: false },
+    { tag: 'Stripe', count: 1, selected: false },
+    { tag: 'Vue', count: 2, selected: true }
+  ]);
+});
@@ -0,0 +1,32 @@
+const config = {
+    darkMode: false,
+    targets: { safari: '6', chrome: '20', firefox: '15' },
+    theme: {
+        colors: {
+            primary: '#6e52f7'
+        },
+        typography: {
+            main: 'Arial, sans-serif',
+            headlines: 'Verdana, sans-serif'
+        },
+        layout: {
+            container: '960px',
+            cols: 4,
+            breakpoints: {
+                md: '768px'
+            }
+        },
+        spacing: {
+            baseUnit: '8px',
+            ratioLineHeight: '1.5'
+        },
+        transition: {
+            duration: '200ms',
+            type: 'ease-in-out'
+        }
+    },
+    components: ['button'],
+    utilities: ['spacing', 'flex', 'color']
+};
+
+export default config;
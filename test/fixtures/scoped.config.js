@@ -0,0 +1,66 @@
+const config = {
+    darkMode: 'class',
+    targets: 'last 2 versions, not dead',
+    output: {
+        prefix: 'pg-',
+        scope: '.plugo',
+        layers: true,
+        themes: 'standalone',
+        styleguide: false
+    },
+    theme: {
+        colors: {
+            primary: '#0f766e',
+            danger: '#b91c1c'
+        },
+        typography: {
+            main: 'system-ui, sans-serif',
+            headlines: 'Georgia, serif',
+            scale: {
+                base: ['0.875rem', '1rem'],
+                ratio: 1.2
+            }
+        },
+        layout: {
+            mode: 'grid',
+            container: '1140px',
+            cols: 6,
+            gutters: {
+                base: '12px',
+                lg: '24px'
+            },
+            breakpoints: {
+                sm: '576px',
+                lg: '992px'
+            }
+        },
+        spacing: {
+            baseUnit: '4px',
+            ratioLineHeight: '1.4'
+        },
+        transition: {
+            duration: '150ms',
+            type: 'linear'
+        }
+    },
+    themes: {
+        print: {
+            colors: {
+                primary: '#000000'
+            },
+            surfaces: {
+                background: '#ffffff',
+                text: '#000000'
+            }
+        }
+    },
+    components: ['card', 'alert', 'modal'],
+    utilities: {
+        spacing: ['responsive'],
+        color: ['hover', 'dark'],
+        display: ['responsive', 'max'],
+        opacity: ['hover']
+    }
+};
+
+export default config;
@@ -0,0 +1,71 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { parseProjects, validateProject } from '../assets/js/projects.js';
+
+const BASE_URL = 'https://portfolio.dev/';
+
+function entry(overrides = {}) {
+  return {
+    slug: 'dashboard-analytics',
+    title: 'Dashboard',
+    description: 'Suivi des ventes en temps réel.',
+    type: 'Web',
+    tags: ['Vue', 'D3'],
+    date: '2024-03',
+    ...overrides
+  };
+}
+
+test('normalizes a valid project and resolves relative image paths against the base URL', () => {
+  const { project, errors } = validateProject(entry({
+    title: '  Dashboard  ',
+    cover: { src: 'images/dashboard.jpg', alt: '', srcset: [{ src: 'images/dashboard-640.jpg', width: 640 }] }
+  }), { baseUrl: BASE_URL });
+  assert.deepEqual(errors, []);
+  assert.equal(project.title, 'Dashboard');
+  assert.equal(project.cover.srcset, 'images/dashboard-640.jpg 640w');
+  assert.equal(project.cover.sizes, '(min-width: 1024px) 33vw, (min-width: 640px) 50vw, 100vw');
+  assert.deepEqual([project.repository, project.live, project.featured], [null, null, false]);
+});
+
+test('reports every invalid field of a rejected entry', () => {
+  const { project, errors } = validateProject(entry({ slug: 'Dashboard Analytics', date: '2024-13', tags: 'vue', stars: 5 }));
+  assert.equal(project, null);
+  assert.deepEqual(errors, [
+    'unknown field "stars"',
+    'slug must be lowercase words separated by dashes, e.g. "dashboard-analytics"',
+    'date must be YYYY-MM or YYYY-MM-DD',
+    'tags must be a list of strings'
+  ]);
+  assert.deepEqual(validateProject(['not', 'an', 'object']).errors, ['must be an object']);
+});
+
+test('only accepts absolute http(s) links and image URLs', () => {
+  assert.deepEqual(validateProject(entry({ repository: 'github.com/me/dashboard', live: 'javascript:alert(1)' })).errors, [
+    'repository must be an absolute http(s) URL',
+    'live must be an absolute http(s) URL'
+  ]);
+  assert.deepEqual(validateProject(entry({ live: 'https://dashboard.portfolio.dev' })).errors, []);
+  assert.deepEqual(validateProject(entry({ cover: { src: 'data:image/png;base64,AAAA', alt: '' } }), { baseUrl: BASE_URL }).errors, [
+    'cover.src must be an image path or URL'
+  ]);
+  assert.deepEqual(validateProject(entry({ gallery: [{ src: 'images/a.jpg', alt: 'A' }] })).errors, [
+    'gallery[0].src must be an image path or URL'
+  ], 'relative paths need a base URL');
+});
+
+test('rejects duplicate slugs and sorts featured projects first, then by date', () => {
+  const { projects, rejected } = parseProjects({
+    projects: [
+      entry({ slug: 'older', date: '2022-01' }),
+      entry({ slug: 'newer', date: '2024-06-15' }),
+      entry({ slug: 'older', date: '2023-01' }),
+      entry({ slug: 'pinned', date: '2021-05', featured: true }),
+      { title: 'Broken' }
+    ]
+  }, { baseUrl: BASE_URL });
+  assert.deepEqual(projects.map(({ slug }) => slug), ['pinned', 'newer', 'older']);
+  assert.deepEqual(rejected.map(({ index, label }) => [index, label]), [[2, 'older'], [4, 'Broken']]);
+  assert.deepEqual(rejected[0].errors, ['slug "older" is already used by another project']);
+  assert.throws(() => parseProjects({}), /must contain a "projects" list/);
+});
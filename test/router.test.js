@@ -0,0 +1,18 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { currentPath } from '../assets/js/router.js';
+
+function withHash(hash) {
+  globalThis.window = { location: { hash } };
+  return currentPath();
+}
+
+test('decodes the path of hash routes', () => {
+  assert.equal(withHash('#/projects/caf%C3%A9'), '/projects/café');
+  assert.equal(withHash('#contact'), null);
+  assert.equal(withHash(''), null);
+});
+
+test('treats a malformed hash as no route', () => {
+  assert.equal(withHash('#/projects/%E0'), null);
+});
@@ -0,0 +1,33 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { highlight, matchFields, matchTerm, searchTerms } from '../assets/js/search.js';
+
+test('splits queries into lowercase terms without accents', () => {
+  assert.deepEqual(searchTerms('  Élan, VITE! '), ['elan', 'vite']);
+  assert.deepEqual(searchTerms('—'), []);
+});
+
+test('matches accented text and returns ranges in the original string', () => {
+  assert.deepEqual(matchTerm('creme', 'Crème brûlée'), [[0, 5]]);
+  assert.deepEqual(matchTerm('brulee', 'Crème brûlée'), [[6, 12]]);
+  assert.deepEqual(matchTerm('e', 'Éte'), [[0, 1], [2, 3]]);
+});
+
+test('tolerates typos in terms of four letters or more', () => {
+  assert.deepEqual(matchTerm('javscript', 'Du JavaScript moderne'), [[3, 13]]);
+  assert.deepEqual(matchTerm('reakt', 'React hooks'), [[0, 5]]);
+  assert.equal(matchTerm('abc', 'abd'), null, 'short terms must match exactly');
+  assert.equal(matchTerm('python', 'React hooks'), null);
+});
+
+test('requires every term to match one of the fields', () => {
+  const fields = { title: 'Boutique en ligne', tags: ['Vue', 'Stripe'] };
+  assert.deepEqual(matchFields(fields, ['vue', 'boutique']), { 'tags.0': [[0, 3]], title: [[0, 8]] });
+  assert.equal(matchFields(fields, ['vue', 'python']), null);
+});
+
+test('highlights ranges and escapes the text around them', () => {
+  const text = 'Crème <brûlée>';
+  assert.equal(String(highlight(text, matchTerm('brulee', text))), 'Crème &lt;<mark>brûlée</mark>&gt;');
+  assert.equal(String(highlight('R&D')), 'R&amp;D');
+});
@@ -0,0 +1,61 @@
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { diffCss, formatCssDiff } from '../scripts/css-diff.js';
+
+const SNAPSHOT_DIR = fileURLToPath(new URL('./__snapshots__/', import.meta.url));
+const UPDATE = process.env.UPDATE_SNAPSHOTS === '1';
+
+async function readSnapshot(file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function listFiles(dir, prefix = '') {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const nested = await Promise.all(entries.map((entry) => (
+    entry.isDirectory()
+      ? listFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`)
+      : [`${prefix}${entry.name}`]
+  )));
+  return nested.flat();
+}
+
+function describeChange(expected, actual) {
+  try {
+    return formatCssDiff(diffCss(expected, actual));
+  } catch (error) {
+    return `the output no longer parses: ${error.message}`;
+  }
+}
+
+export async function matchSnapshot(name, actual) {
+  const file = path.join(SNAPSHOT_DIR, name);
+  const expected = await readSnapshot(file);
+  if (expected === actual) return;
+  if (UPDATE) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, actual);
+    return;
+  }
+  if (expected === null) {
+    assert.fail(`${name} has no snapshot yet\n\nRun \`UPDATE_SNAPSHOTS=1 npm test\` to record it.`);
+  }
+  assert.fail(`${name} does not match its snapshot\n${describeChange(expected, actual)}\n\n`
+    + 'Run `UPDATE_SNAPSHOTS=1 npm test` if the change is intended.');
+}
+
+export async function staleSnapshots(group, names) {
+  const expected = new Set(names);
+  const stale = (await listFiles(path.join(SNAPSHOT_DIR, group))).filter((name) => !expected.has(name));
+  if (UPDATE) {
+    await Promise.all(stale.map((name) => fs.rm(path.join(SNAPSHOT_DIR, group, name))));
+    return [];
+  }
+  return stale;
+}
@@ -0,0 +1,22 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { escapeHtml, html } from '../assets/js/template.js';
+
+test('escapes the HTML special characters', () => {
+  assert.equal(escapeHtml('<a href="x">Tom & Jerry\'s</a>'), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+  assert.equal(escapeHtml(42), '42');
+});
+
+test('escapes interpolated values but keeps nested templates as markup', () => {
+  const title = '<img src=x onerror=alert(1)>';
+  const tags = ['C++', '<b>'].map((tag) => html`<li>${tag}</li>`);
+  assert.equal(
+    String(html`<h3 title="${title}">${title}</h3><ul>${tags}</ul>`),
+    '<h3 title="&lt;img src=x onerror=alert(1)&gt;">&lt;img src=x onerror=alert(1)&gt;</h3>'
+      + '<ul><li>C++</li><li>&lt;b&gt;</li></ul>'
+  );
+});
+
+test('renders nothing for null, undefined and false', () => {
+  assert.equal(String(html`<p>${null}${undefined}${false}${0}</p>`), '<p>0</p>');
+});